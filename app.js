@@ -25,17 +25,35 @@ function parseDate(str) {
   return new Date(y, m - 1, d);
 }
 
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Whole days since 1970-01-01 for a YYYY-MM-DD date.  Worked out in UTC
+// so daylight saving changes never produce fractional days.
+function dateToDayNumber(str) {
+  const [y, m, d] = str.split('-').map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / MS_PER_DAY);
+}
+
+function dayNumberToDate(day) {
+  const date = new Date(day * MS_PER_DAY);
+  const m = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const d = String(date.getUTCDate()).padStart(2, '0');
+  return `${date.getUTCFullYear()}-${m}-${d}`;
+}
+
+// Data is kept by the storage layer in storage.js, which reads it all
+// into memory before the app renders; the load functions below convert
+// what older versions stored and the save functions hand changes back.
 function loadEntries() {
   try {
-    const data = localStorage.getItem('workoutEntries');
-    if (data) {
-      const entries = JSON.parse(data);
-      entries.sort((a, b) => {
-        const dateDiff = new Date(a.date) - new Date(b.date);
-        if (dateDiff !== 0) return dateDiff;
-        return a.exercise.localeCompare(b.exercise);
-      });
-      return entries;
+    const stored = AppStorage.get('workoutEntries');
+    if (stored) {
+      const entries = migrateFlatEntries(stored);
+      // Persist the migrated shape straight away so the conversion
+      // only ever happens once per stored history.
+      if (entries !== stored) saveEntries(entries);
+      // Sort a copy: the stored list is the one held in state
+      return sortEntries(entries.slice());
     }
   } catch (err) {
     console.error('Failed to load entries:', err);
@@ -43,19 +61,92 @@ function loadEntries() {
   return [];
 }
 
+/**
+ * Convert entries stored in the original flat format
+ * ({date, exercise, weight, reps, notes}, one row per set) into the
+ * session format where each entry holds an ordered list of sets.
+ * Flat rows logged for the same exercise on the same date are merged
+ * into a single entry, keeping the id of the first row and the order
+ * in which the rows were logged.  Returns the original array when
+ * nothing needed converting.
+ *
+ * @param {Array<object>} entries Entries as read from storage.
+ * @returns {Array<object>} Entries that all have a `sets` array.
+ */
+function migrateFlatEntries(entries) {
+  if (!Array.isArray(entries)) return [];
+  if (entries.every((e) => Array.isArray(e.sets))) return entries;
+  const result = [];
+  const merged = {};
+  entries
+    .slice()
+    .sort((a, b) => (Number(a.id) || 0) - (Number(b.id) || 0))
+    .forEach((e) => {
+      if (Array.isArray(e.sets)) {
+        result.push(e);
+        return;
+      }
+      const set = { weight: Number(e.weight) || 0, reps: Number(e.reps) || 0 };
+      const key = `${e.date}|${e.exercise}`;
+      const existing = merged[key];
+      if (existing) {
+        existing.sets.push(set);
+        const note = (e.notes || '').trim();
+        if (note && !existing.notes.split('; ').includes(note)) {
+          existing.notes = existing.notes ? `${existing.notes}; ${note}` : note;
+        }
+        return;
+      }
+      const entry = { id: e.id, date: e.date, exercise: e.exercise, sets: [set], notes: (e.notes || '').trim() };
+      merged[key] = entry;
+      result.push(entry);
+    });
+  return result;
+}
+
+// Order entries chronologically, then by exercise name, in place.
+function sortEntries(entries) {
+  entries.sort((a, b) => {
+    const dateDiff = new Date(a.date) - new Date(b.date);
+    if (dateDiff !== 0) return dateDiff;
+    return a.exercise.localeCompare(b.exercise);
+  });
+  return entries;
+}
+
+// The highest id handed out by createEntryIds() so far
+let lastEntryId = 0;
+
+/**
+ * Ids for `count` new entries.  Entries are keyed by id in storage, so
+ * an id must never be reused: ids count up from the current time, or
+ * from above the highest id in `entries` or handed out before when
+ * that is later.  An import takes one id per entry and so runs ahead
+ * of the clock; entries logged right after it still get ids of their
+ * own.
+ *
+ * @param {Array<object>} entries The entries the new ones join.
+ * @param {number} count Number of ids needed.
+ * @returns {Array<number>}
+ */
+function createEntryIds(entries, count) {
+  const highest = entries.reduce((max, e) => Math.max(max, Number(e.id) || 0), lastEntryId);
+  const first = Math.max(Date.now(), Math.floor(highest) + 1);
+  const ids = Array.from({ length: count }, (_, i) => first + i);
+  if (count > 0) lastEntryId = ids[count - 1];
+  return ids;
+}
+
 function saveEntries(entries) {
-  try {
-    localStorage.setItem('workoutEntries', JSON.stringify(entries));
-  } catch (err) {
-    console.error('Failed to save entries:', err);
-  }
+  AppStorage.set('workoutEntries', entries);
 }
 
+// Read the single plan stored before the plan library existed.
 function loadPlan() {
   try {
-    const data = localStorage.getItem('workoutPlan');
+    const data = AppStorage.get('workoutPlan');
     if (data) {
-      return JSON.parse(data);
+      return migratePlanRows(data);
     }
   } catch (err) {
     console.error('Failed to load plan:', err);
@@ -63,1258 +154,7111 @@ function loadPlan() {
   return null;
 }
 
-function savePlan(plan) {
+/**
+ * Load the plan library.  A plan stored by older versions of the app
+ * under `workoutPlan` becomes the library's active plan.
+ */
+function loadPlans() {
   try {
-    if (plan) {
-      localStorage.setItem('workoutPlan', JSON.stringify(plan));
-    } else {
-      localStorage.removeItem('workoutPlan');
+    const data = AppStorage.get('workoutPlans');
+    if (data) {
+      return data.map(migratePlanRows);
+    }
+    const legacy = loadPlan();
+    if (legacy) {
+      const plans = [toLibraryPlan(legacy, 'My plan')];
+      savePlans(plans);
+      AppStorage.remove('workoutPlan');
+      return plans;
     }
   } catch (err) {
-    console.error('Failed to save plan:', err);
+    console.error('Failed to load plans:', err);
   }
+  return [];
 }
 
-function getUniqueExercises(entries) {
-  const set = new Set();
-  entries.forEach((e) => set.add(e.exercise));
-  return Array.from(set).sort();
+function savePlans(plans) {
+  AppStorage.set('workoutPlans', plans);
 }
 
-function calculateGlobalAverages(entries) {
-  if (!entries || entries.length === 0) {
-    return { averageWeight: 0, averageReps: 0 };
+// Finished workout sessions: `{id, date, startedAt, endedAt, workout}`
+// with ISO timestamps.  The entries logged during a session carry its
+// id as `sessionId`.
+function loadSessions() {
+  try {
+    const data = AppStorage.get('workoutSessions');
+    if (data) {
+      return data;
+    }
+  } catch (err) {
+    console.error('Failed to load sessions:', err);
   }
-  let weightSum = 0;
-  let repsSum = 0;
-  entries.forEach((e) => {
-    weightSum += Number(e.weight) || 0;
-    repsSum += Number(e.reps) || 0;
-  });
-  const avgW = weightSum / entries.length;
-  const avgR = repsSum / entries.length;
-  return {
-    averageWeight: Math.round(avgW * 100) / 100,
-    averageReps: Math.round(avgR * 100) / 100,
-  };
+  return [];
 }
 
-function calculatePRs(entries) {
-  const prMap = {};
-  entries.forEach((e) => {
-    if (!prMap[e.exercise]) {
-      prMap[e.exercise] = { maxWeight: Number(e.weight) || 0, maxReps: Number(e.reps) || 0 };
-    } else {
-      const current = prMap[e.exercise];
-      if (Number(e.weight) > current.maxWeight) current.maxWeight = Number(e.weight);
-      if (Number(e.reps) > current.maxReps) current.maxReps = Number(e.reps);
+function saveSessions(sessions) {
+  AppStorage.set('workoutSessions', sessions);
+}
+
+// The workout in progress is stored as well, so a reload or a phone
+// that unloads the app mid-session does not lose the ticked sets.
+function loadLiveSession() {
+  try {
+    const data = AppStorage.get('liveSession');
+    if (data) {
+      return data;
     }
-  });
-  return Object.keys(prMap)
-    .map((ex) => ({ exercise: ex, ...prMap[ex] }))
-    .sort((a, b) => a.exercise.localeCompare(b.exercise));
+  } catch (err) {
+    console.error('Failed to load the current workout:', err);
+  }
+  return null;
 }
 
-function calculateVolumePerExercise(entries) {
-  const volumeMap = {};
-  entries.forEach((e) => {
-    const vol = (Number(e.weight) || 0) * (Number(e.reps) || 0);
-    volumeMap[e.exercise] = (volumeMap[e.exercise] || 0) + vol;
-  });
-  return volumeMap;
+// A finished or abandoned workout (null) is removed from storage
+function saveLiveSession(session) {
+  AppStorage.set('liveSession', session);
 }
 
-function exportCSV(entries) {
-  if (!entries || entries.length === 0) return;
-  const header = 'date,exercise,weight,reps,notes';
-  const lines = entries.map((e) => {
-    const safeNotes = (e.notes || '').replace(/,/g, ';');
-    return [e.date, e.exercise, e.weight, e.reps, safeNotes].join(',');
-  });
-  const csv = [header].concat(lines).join('\n');
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.setAttribute('download', 'workouts.csv');
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+// What each storage key holds, for the message shown when saving fails
+const STORAGE_LABELS = {
+  workoutEntries: 'your workout log',
+  workoutPlans: 'your plans',
+  workoutPlan: 'your plan',
+  workoutSessions: 'your workout sessions',
+  liveSession: 'the workout in progress',
+  appSettings: 'your settings',
+  exerciseBank: 'the exercise bank',
+};
+
+function describeStorageError(key, err) {
+  const reason = err && err.name === 'QuotaExceededError' ? ' because the browser has run out of storage space' : '';
+  return (
+    `Could not save ${STORAGE_LABELS[key] || 'your data'}${reason}. ` +
+    'Changes since then are lost when the app is closed; download a backup from the Progress page to keep them.'
+  );
 }
 
-// Predefined exercises suggested by the user.  This list is used to
-// initialise the exercise bank when no prior bank exists in
-// localStorage.  Users can later add additional exercises to the
-// bank via the UI.
-const DEFAULT_EXERCISES = [
-  'Leg press',
-  'Lying leg curl',
-  'Hip abduction machine',
-  'Hip adduction machine',
-  'Lunges with weights',
-  'Planking',
-  'Side planking',
-  'Triceps push down',
-  'Chest press machine',
-  'Seated cable row',
-  'Lat pull-down',
-  'Biceps curl (Barbell)',
-  'Shoulder press machine',
-  'Leg extension',
-  'Hip thrusts',
-  'Bulgarian split squat',
-  'Single deadlift with weight',
-  'Clamshells',
-  'Alternating leg lower',
-  'Deadbug',
-  'Heel touch',
-  'Crunches',
-  'Side crunches',
-];
+// The last failed save, shown above the page until dismissed.  Kept
+// outside App() like the undo timeout: failures arrive from the storage
+// layer, which is subscribed to once at startup rather than on every
+// render, and showing or dismissing one re-renders the app.
+let storageError = null;
 
-// Load the exercise bank from localStorage.  If the bank does not
-// exist, initialise it with the default exercises defined above.
-function loadExerciseBank() {
-  /**
-   * Load the exercise bank from localStorage.  If an existing bank
-   * is found, merge it with the DEFAULT_EXERCISES so that any new
-   * defaults are always available.  The resulting list is sorted
-   * alphabetically and persisted back to localStorage to ensure
-   * subsequent loads include the full set.  If parsing fails or no
-   * bank is found, a fresh copy of DEFAULT_EXERCISES is used.
-   */
-  let bank = [];
-  try {
-    const data = localStorage.getItem('exerciseBank');
-    if (data) {
-      const parsed = JSON.parse(data);
-      if (Array.isArray(parsed)) {
-        bank = parsed;
-      }
+function setStorageError(message) {
+  storageError = message;
+  React.render(React.createElement(App), document.getElementById('root'));
+}
+
+// --- Plan scheduling ---
+// A plan maps calendar dates to workouts in one of three ways:
+// - weekly:   `days` maps a weekday (0 = Sunday) to its exercises; the
+//             schedule is fixed when the plan is saved.
+// - rotation: the `workouts` (e.g. A and B) are done in turn on the
+//             weekdays listed in `trainingDays`.
+// - cycle:    the `workouts` form an N-day cycle run regardless of the
+//             weekday; a workout without exercises is a rest day.
+// Rotation and cycle plans may set `pushMissed` so that a missed
+// session is done at the next opportunity instead of being skipped.
+const PLAN_TYPES = {
+  weekly: 'Weekly (fixed weekdays)',
+  rotation: 'Rotation (e.g. A/B alternating)',
+  cycle: 'N-day cycle',
+};
+
+/**
+ * Work out the schedule of a rotation or cycle plan.  Sessions are
+ * handed out in order from `startDate` to `endDate`.  A past session
+ * counts as done when any of its exercises was logged that day; when
+ * it was missed and the plan pushes missed sessions, the same workout
+ * is scheduled again at the next slot.  Weekly plans are returned
+ * unchanged since their schedule is fixed when they are saved.
+ *
+ * @param {object|null} plan The stored plan.
+ * @param {Array<object>} entries Logged entries.
+ * @param {string} today Today's date (YYYY-MM-DD); earlier sessions are
+ *   checked against the log.
+ * A plan edited while running keeps its sessions before the edit in
+ * `pastSchedule`/`pastScheduleWorkouts` and continues from `resumeDate`
+ * at workout `resumePosition` (see editPlan()).
+ *
+ * @returns {object|null} The plan with `schedule` (date → plan rows)
+ *   and `scheduleWorkouts` (date → index into `workouts`).
+ */
+function schedulePlan(plan, entries, today) {
+  if (!plan || !plan.type || plan.type === 'weekly') return plan;
+  const workouts = plan.workouts || [];
+  if (workouts.length === 0 || !plan.startDate || !plan.endDate) return plan;
+  const logged = {};
+  (entries || []).forEach((e) => {
+    if (!logged[e.date]) logged[e.date] = new Set();
+    logged[e.date].add(String(e.exercise).toLowerCase());
+  });
+  const trainingDays = plan.trainingDays || [];
+  const schedule = { ...(plan.pastSchedule || {}) };
+  const scheduleWorkouts = { ...(plan.pastScheduleWorkouts || {}) };
+  let position = plan.resumePosition || 0;
+  const last = dateToDayNumber(plan.endDate);
+  for (let day = dateToDayNumber(plan.resumeDate || plan.startDate); day <= last; day++) {
+    // Day 0 of the epoch was a Thursday (getDay() === 4)
+    const dow = (day + 4) % 7;
+    if (plan.type === 'rotation' && !trainingDays.includes(dow)) continue;
+    const index = position % workouts.length;
+    const exercises = workouts[index].exercises || [];
+    const date = dayNumberToDate(day);
+    scheduleWorkouts[date] = index;
+    if (exercises.length === 0) {
+      // Rest day of a cycle: nothing to miss
+      position++;
+      continue;
     }
-  } catch (err) {
-    console.error('Failed to load exercise bank:', err);
+    schedule[date] = exercises.map((row) => ({ ...row }));
+    const done = logged[date] && exercises.some((row) => logged[date].has(row.exercise.toLowerCase()));
+    if (date >= today || done || !plan.pushMissed) position++;
   }
-  // Merge loaded bank with default exercises.  Use a Set to
-  // eliminate duplicates then sort the array alphabetically.
-  const merged = Array.from(new Set([...bank, ...DEFAULT_EXERCISES])).sort((a, b) => a.localeCompare(b));
-  try {
-    localStorage.setItem('exerciseBank', JSON.stringify(merged));
-  } catch (err) {
-    console.error('Failed to persist exercise bank:', err);
-  }
-  return merged;
+  return { ...plan, schedule, scheduleWorkouts };
 }
 
-// Save the exercise bank to localStorage
-function saveExerciseBank(bank) {
-  try {
-    localStorage.setItem('exerciseBank', JSON.stringify(bank));
-  } catch (err) {
-    console.error('Failed to save exercise bank:', err);
+// --- Plan prescriptions ---
+// Every planned exercise is a row `{exercise, sets, repsMin, repsMax,
+// loadType, load, unit}`.  Only `exercise` is required; `loadType` is
+// 'absolute' (a weight in `unit`) or 'percent' (of the exercise's best
+// estimated 1RM).  Plans saved before prescriptions existed store bare
+// exercise names, which are read as rows without targets.
+function normalizePlanRow(row) {
+  return typeof row === 'string' ? { exercise: row } : row;
+}
+
+/**
+ * Convert the exercise lists of a stored plan (weekday lists, rotation
+ * workouts and the schedule) into plan rows.
+ */
+function migratePlanRows(plan) {
+  if (!plan || typeof plan !== 'object') return plan;
+  const mapRows = (rows) => (Array.isArray(rows) ? rows.map(normalizePlanRow) : rows);
+  const days = {};
+  Object.keys(plan.days || {}).forEach((dow) => {
+    days[dow] = mapRows(plan.days[dow]);
+  });
+  const schedule = {};
+  Object.keys(plan.schedule || {}).forEach((date) => {
+    schedule[date] = mapRows(plan.schedule[date]);
+  });
+  const migrated = { ...plan, days, schedule };
+  if (Array.isArray(plan.workouts)) {
+    migrated.workouts = plan.workouts.map((w) => ({ ...w, exercises: mapRows(w.exercises || []) }));
   }
+  return migrated;
 }
 
-// Chart drawing functions copied from earlier implementation
+// Smallest weight step that can be loaded on a bar in each unit.
+// Loads worked out from a percentage are rounded to it.
+const LOAD_STEPS = { kg: 2.5, lbs: 5 };
 
-function drawLineChart(canvas, labels, weightData, repsData, exerciseName) {
-  const ctx = canvas.getContext('2d');
-  // Handle high DPI displays by scaling the canvas based on the device
-  // pixel ratio.  The canvas's CSS size is determined by its parent
-  // container; use getBoundingClientRect() to get that size.  Then
-  // multiply by the devicePixelRatio and scale the context so the
-  // rendering remains crisp.  Without this adjustment, charts appear
-  // blurry on mobile and high‑resolution screens.
-  const rect = canvas.getBoundingClientRect();
-  const cssWidth = rect.width;
-  const cssHeight = rect.height;
-  const dpr = window.devicePixelRatio || 1;
-  // Only resize the canvas if its internal size differs from the
-  // desired size.  This avoids clearing the canvas unnecessarily.
-  if (canvas.width !== cssWidth * dpr || canvas.height !== cssHeight * dpr) {
-    canvas.width = cssWidth * dpr;
-    canvas.height = cssHeight * dpr;
-    ctx.scale(dpr, dpr);
+function roundToLoadStep(weight, unit) {
+  const step = LOAD_STEPS[unit] || 1;
+  return Math.round(weight / step) * step;
+}
+
+/**
+ * Best estimated 1RM logged for an exercise, optionally only counting
+ * entries before a date.  Entries must share one unit.
+ */
+function getBestE1RM(entries, exercise, formula, beforeDate) {
+  const name = exercise.toLowerCase();
+  return (entries || []).reduce((best, e) => {
+    if (e.exercise.toLowerCase() !== name || (beforeDate && e.date >= beforeDate)) return best;
+    return Math.max(best, getEntryE1RM(e, formula));
+  }, 0);
+}
+
+/**
+ * The weight prescribed by a plan row in the given unit: an absolute
+ * load is converted, a percentage is taken of the best e1RM logged
+ * before `date` and rounded to a loadable weight.  Returns null when
+ * the row has no load or there is no history to take a percentage of.
+ *
+ * @param {object} row Plan row.
+ * @param {Array<object>} entries Entries already converted to `unit`.
+ */
+function resolvePlannedLoad(row, entries, unit, formula, date) {
+  if (!row || !(row.load > 0)) return null;
+  if (row.loadType === 'absolute') return convertWeight(row.load, row.unit || unit, unit);
+  if (row.loadType === 'percent') {
+    const e1rm = getBestE1RM(entries, row.exercise, formula, date);
+    return e1rm > 0 ? roundToLoadStep((e1rm * row.load) / 100, unit) : null;
   }
-  const width = cssWidth;
-  const height = cssHeight;
-  ctx.clearRect(0, 0, width, height);
-  if (!labels || labels.length === 0) {
-    ctx.fillStyle = '#666';
-    ctx.font = '14px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText('No data available', width / 2, height / 2);
-    return;
+  return null;
+}
+
+// Describe the targets of a plan row, e.g. "3 × 5–8 @ 75% e1RM".
+// Returns an empty string for a row without targets.
+function formatPrescription(row) {
+  if (!row) return '';
+  const reps = row.repsMin ? (row.repsMax && row.repsMax !== row.repsMin ? `${row.repsMin}–${row.repsMax}` : `${row.repsMin}`) : '';
+  let text = row.sets ? `${row.sets} × ${reps || '?'}` : reps ? `${reps} reps` : '';
+  if (row.load > 0) {
+    const load = row.loadType === 'percent' ? `${row.load}% e1RM` : `${row.load} ${row.unit || ''}`.trim();
+    text = text ? `${text} @ ${load}` : `@ ${load}`;
   }
-  const margin = { left: 50, right: 50, top: 50, bottom: 60 };
-  const chartWidth = width - margin.left - margin.right;
-  const chartHeight = height - margin.top - margin.bottom;
-  const minWeight = 0;
-  const maxWeight = Math.max(...weightData, 1);
-  const minReps = 0;
-  const maxReps = Math.max(...repsData, 1);
-  const weightToY = (val) => margin.top + chartHeight - ((val - minWeight) / (maxWeight - minWeight)) * chartHeight;
-  const repsToY = (val) => margin.top + chartHeight - ((val - minReps) / (maxReps - minReps)) * chartHeight;
-  const indexToX = (i) => (labels.length === 1 ? margin.left + chartWidth / 2 : margin.left + (chartWidth * i) / (labels.length - 1));
-  ctx.strokeStyle = '#333';
-  ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.moveTo(margin.left, margin.top + chartHeight);
-  ctx.lineTo(margin.left + chartWidth, margin.top + chartHeight);
-  ctx.stroke();
-  ctx.beginPath();
-  ctx.moveTo(margin.left, margin.top);
-  ctx.lineTo(margin.left, margin.top + chartHeight);
-  ctx.stroke();
-  ctx.beginPath();
-  ctx.moveTo(margin.left + chartWidth, margin.top);
-  ctx.lineTo(margin.left + chartWidth, margin.top + chartHeight);
-  ctx.stroke();
-  const yTickCount = 5;
-  ctx.fillStyle = '#666';
-  ctx.font = '10px sans-serif';
-  ctx.textAlign = 'right';
-  for (let i = 0; i <= yTickCount; i++) {
-    const value = minWeight + ((maxWeight - minWeight) * i) / yTickCount;
-    const y = weightToY(value);
-    ctx.strokeStyle = '#eee';
-    ctx.beginPath();
-    ctx.moveTo(margin.left, y);
-    ctx.lineTo(margin.left + chartWidth, y);
-    ctx.stroke();
-    ctx.fillStyle = '#666';
-    ctx.fillText(value.toFixed(0), margin.left - 5, y + 3);
+  if (row.progression) {
+    const rule = `auto +${row.progression.increment} ${row.progression.unit}`;
+    text = text ? `${text}, ${rule}` : rule;
   }
-  ctx.textAlign = 'left';
-  for (let i = 0; i <= yTickCount; i++) {
-    const value = minReps + ((maxReps - minReps) * i) / yTickCount;
-    const y = repsToY(value);
-    ctx.fillStyle = '#666';
-    ctx.fillText(value.toFixed(0), margin.left + chartWidth + 5, y + 3);
+  return text;
+}
+
+/**
+ * Parse the target inputs of a plan row from the plan form.  Reps may
+ * be a single number or a range such as "8-12".
+ *
+ * @param {object} draft Raw inputs `{sets, reps, load, loadType}` where
+ *   `loadType` is a weight unit or 'percent', plus the progression
+ *   inputs `{progress, increment, deload, failures}`.
+ * @param {string} label Exercise name used in error messages.
+ * @param {string} [defaultUnit] Unit of the progression increment when
+ *   the load is a percentage.
+ * @returns {{target: object}|{error: string}}
+ */
+function parsePlanTarget(draft, label, defaultUnit) {
+  const target = {};
+  const d = draft || {};
+  if (String(d.sets || '').trim() !== '') {
+    const sets = parseInt(d.sets, 10);
+    if (!(sets > 0)) return { error: `Target sets for ${label} must be a positive number.` };
+    target.sets = sets;
   }
-  ctx.textAlign = 'center';
-  ctx.fillStyle = '#666';
-  const labelCount = labels.length;
-  const skip = labelCount > 8 ? Math.ceil(labelCount / 8) : 1;
-  for (let i = 0; i < labelCount; i++) {
-    const x = indexToX(i);
-    if (i % skip === 0 || i === labelCount - 1) {
-      const parts = labels[i].split('-');
-      const month = parseInt(parts[1]);
-      const day = parseInt(parts[2]);
-      const lbl = `${month}/${day}`;
-      ctx.save();
-      ctx.translate(x, margin.top + chartHeight + 15);
-      ctx.rotate(-Math.PI / 6);
-      ctx.fillText(lbl, 0, 0);
-      ctx.restore();
+  const repsText = String(d.reps || '').trim();
+  if (repsText !== '') {
+    const match = repsText.match(/^(\d+)\s*(?:[-–]\s*(\d+))?$/);
+    const min = match ? parseInt(match[1], 10) : 0;
+    const max = match && match[2] ? parseInt(match[2], 10) : min;
+    if (!match || min <= 0 || max < min) {
+      return { error: `Target reps for ${label} must be a number or a range such as 8-12.` };
     }
+    target.repsMin = min;
+    target.repsMax = max;
   }
-  ctx.strokeStyle = '#007bff';
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  weightData.forEach((val, i) => {
-    const x = indexToX(i);
-    const y = weightToY(val);
-    if (i === 0) ctx.moveTo(x, y);
-    else ctx.lineTo(x, y);
-  });
-  ctx.stroke();
-  ctx.strokeStyle = '#dc3545';
-  ctx.beginPath();
-  repsData.forEach((val, i) => {
-    const x = indexToX(i);
-    const y = repsToY(val);
-    if (i === 0) ctx.moveTo(x, y);
-    else ctx.lineTo(x, y);
-  });
-  ctx.stroke();
-  for (let i = 0; i < labelCount; i++) {
-    const x = indexToX(i);
-    const yW = weightToY(weightData[i]);
-    ctx.fillStyle = '#007bff';
-    ctx.beginPath();
-    ctx.arc(x, yW, 3, 0, Math.PI * 2);
-    ctx.fill();
-    const yR = repsToY(repsData[i]);
-    ctx.fillStyle = '#dc3545';
-    ctx.beginPath();
-    ctx.arc(x, yR, 3, 0, Math.PI * 2);
-    ctx.fill();
+  if (String(d.load || '').trim() !== '') {
+    const load = Number(d.load);
+    if (!(load > 0)) return { error: `Target load for ${label} must be a positive number.` };
+    if (d.loadType === 'percent') {
+      target.loadType = 'percent';
+    } else {
+      target.loadType = 'absolute';
+      target.unit = WEIGHT_UNITS.includes(d.loadType) ? d.loadType : 'kg';
+    }
+    target.load = load;
   }
-  ctx.fillStyle = '#333';
-  ctx.font = 'bold 12px sans-serif';
-  ctx.textAlign = 'center';
-  ctx.fillText(`${exerciseName} Progress`, margin.left + chartWidth / 2, margin.top - 20);
-  const legendX = margin.left + 5;
-  const legendY = margin.top - 5;
-  ctx.font = '10px sans-serif';
-  ctx.textAlign = 'left';
-  ctx.fillStyle = '#007bff';
-  ctx.fillRect(legendX, legendY, 8, 8);
-  ctx.fillStyle = '#333';
-  ctx.fillText('Weight', legendX + 12, legendY + 7);
-  const secondX = legendX + 70;
-  ctx.fillStyle = '#dc3545';
-  ctx.fillRect(secondX, legendY, 8, 8);
-  ctx.fillStyle = '#333';
-  ctx.fillText('Reps', secondX + 12, legendY + 7);
+  if (d.progress) {
+    const increment = Number(d.increment);
+    const deloadPercent = Number(d.deload);
+    const failures = parseInt(d.failures, 10);
+    if (!(increment > 0)) return { error: `The load increase for ${label} must be a positive number.` };
+    if (!(deloadPercent > 0 && deloadPercent < 100)) {
+      return { error: `The deload for ${label} must be a percentage between 0 and 100.` };
+    }
+    if (!(failures > 0)) return { error: `The failures before a deload for ${label} must be a positive number.` };
+    target.progression = {
+      increment,
+      unit: WEIGHT_UNITS.includes(d.loadType) ? d.loadType : defaultUnit || 'kg',
+      deloadPercent,
+      failures,
+    };
+  }
+  return { target };
 }
 
-function drawBarChart(canvas, labels, data) {
-  const ctx = canvas.getContext('2d');
-  // Scale the canvas for high DPI displays using the same technique as
-  // drawLineChart().  This ensures bar charts remain crisp on mobile
-  // devices and high‑resolution screens.
-  const rect = canvas.getBoundingClientRect();
-  const cssWidth = rect.width;
-  const cssHeight = rect.height;
-  const dpr = window.devicePixelRatio || 1;
-  if (canvas.width !== cssWidth * dpr || canvas.height !== cssHeight * dpr) {
-    canvas.width = cssWidth * dpr;
-    canvas.height = cssHeight * dpr;
-    ctx.scale(dpr, dpr);
+// --- Progressive overload ---
+// Rule used when progression is switched on for a plan row: add a
+// small increment once every target rep is hit, deload by a percentage
+// after repeated failures at the same weight.
+const DEFAULT_PROGRESSION = { increment: 2.5, deloadPercent: 10, failures: 3 };
+
+/**
+ * Suggest the load for the next session of a plan row from its
+ * progression rule and the latest logged sessions of the exercise.
+ * A session succeeds when at least the target number of sets reached
+ * the top of the target rep range at the session's top weight.
+ * - After a success the top weight goes up by the increment.
+ * - After `failures` failed sessions in a row at the same weight the
+ *   weight drops by `deloadPercent` (rounded to a loadable weight).
+ * - Otherwise the last weight is repeated.
+ * Without history the planned load is suggested.
+ *
+ * @param {object} row Plan row with a `progression` rule.
+ * @param {Array<object>} entries Entries converted to `unit`.
+ * @param {string} unit Unit of the suggestion.
+ * @param {string} formula e1RM formula for percentage loads.
+ * @param {string} date Date of the upcoming session; only earlier
+ *   sessions are considered.
+ * @returns {{weight: number, action: string, reason: string}|null}
+ *   `action` is 'start', 'increase', 'repeat' or 'deload'; null when
+ *   the row has no rule or there is nothing to base a suggestion on.
+ */
+function suggestNextLoad(row, entries, unit, formula, date) {
+  if (!row || !row.progression) return null;
+  const rule = row.progression;
+  const name = row.exercise.toLowerCase();
+  const byDate = {};
+  (entries || []).forEach((e) => {
+    if (e.exercise.toLowerCase() !== name || e.date >= date) return;
+    if (!byDate[e.date]) byDate[e.date] = [];
+    byDate[e.date].push(...getEntrySets(e));
+  });
+  const sessions = Object.keys(byDate)
+    .sort()
+    .reverse()
+    .map((d) => {
+      const sets = byDate[d];
+      const weight = getTopSet({ sets }).weight;
+      const targetReps = row.repsMax || row.repsMin || 1;
+      const hits = sets.filter((set) => Number(set.weight) >= weight - 0.01 && Number(set.reps) >= targetReps).length;
+      return { date: d, weight, success: hits >= (row.sets || 1) };
+    });
+  if (sessions.length === 0) {
+    const planned = resolvePlannedLoad(row, entries, unit, formula, date);
+    return planned === null ? null : { weight: planned, action: 'start', reason: 'Starting load from the plan' };
   }
-  const width = cssWidth;
-  const height = cssHeight;
-  ctx.clearRect(0, 0, width, height);
-  if (!labels || labels.length === 0) {
-    ctx.fillStyle = '#666';
-    ctx.font = '14px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText('No data available', width / 2, height / 2);
-    return;
+  const last = sessions[0];
+  if (last.success) {
+    const increment = convertWeight(rule.increment, rule.unit || unit, unit);
+    return {
+      weight: Math.round((last.weight + increment) * 100) / 100,
+      action: 'increase',
+      reason: `All target reps hit on ${last.date}`,
+    };
   }
-  const margin = { left: 50, right: 30, top: 40, bottom: 70 };
-  const chartWidth = width - margin.left - margin.right;
-  const chartHeight = height - margin.top - margin.bottom;
-  const maxVal = Math.max(...data, 1);
-  const barCount = labels.length;
-  const spacingRatio = 0.3;
-  const barWidth = chartWidth / (barCount * (1 + spacingRatio) + spacingRatio);
-  const spacing = barWidth * spacingRatio;
-  ctx.strokeStyle = '#333';
-  ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.moveTo(margin.left, margin.top);
-  ctx.lineTo(margin.left, margin.top + chartHeight);
-  ctx.stroke();
-  ctx.beginPath();
-  ctx.moveTo(margin.left, margin.top + chartHeight);
-  ctx.lineTo(margin.left + chartWidth, margin.top + chartHeight);
-  ctx.stroke();
-  const yTicks = 5;
-  ctx.font = '10px sans-serif';
-  ctx.fillStyle = '#666';
-  ctx.textAlign = 'right';
-  for (let i = 0; i <= yTicks; i++) {
-    const value = (maxVal * i) / yTicks;
-    const y = margin.top + chartHeight - (chartHeight * i) / yTicks;
-    ctx.strokeStyle = '#eee';
-    ctx.beginPath();
-    ctx.moveTo(margin.left, y);
-    ctx.lineTo(margin.left + chartWidth, y);
-    ctx.stroke();
-    ctx.fillStyle = '#666';
-    ctx.fillText(value.toFixed(0), margin.left - 5, y + 3);
+  let failures = 0;
+  while (failures < sessions.length && !sessions[failures].success && Math.abs(sessions[failures].weight - last.weight) < 0.01) {
+    failures++;
   }
-  const colours = ['#007bff', '#28a745', '#ffc107', '#17a2b8', '#fd7e14', '#6f42c1', '#e83e8c'];
-  ctx.textAlign = 'center';
-  ctx.fillStyle = '#333';
-  labels.forEach((label, idx) => {
-    const value = data[idx];
-    const barHeight = (value / maxVal) * chartHeight;
-    const x = margin.left + spacing + idx * (barWidth + spacing);
-    const y = margin.top + chartHeight - barHeight;
-    ctx.fillStyle = colours[idx % colours.length];
-    ctx.fillRect(x, y, barWidth, barHeight);
-    ctx.save();
-    ctx.translate(x + barWidth / 2, margin.top + chartHeight + 5);
-    ctx.rotate(-Math.PI / 4);
-    ctx.fillStyle = '#333';
-    ctx.fillText(label, 0, 0);
-    ctx.restore();
-  });
-  ctx.fillStyle = '#333';
-  ctx.font = 'bold 12px sans-serif';
-  ctx.textAlign = 'center';
-  ctx.fillText('Total Volume per Exercise', margin.left + chartWidth / 2, margin.top - 15);
+  if (failures >= rule.failures) {
+    return {
+      weight: roundToLoadStep(last.weight * (1 - rule.deloadPercent / 100), unit),
+      action: 'deload',
+      reason: `${failures} sessions in a row short of the target at ${last.weight} ${unit}`,
+    };
+  }
+  return {
+    weight: last.weight,
+    action: 'repeat',
+    reason: `Target reps missed on ${last.date} (${failures} of ${rule.failures} before a deload)`,
+  };
 }
 
-// --------------------- Main Application Component ---------------------
+/**
+ * Set inputs (strings) suggested by a plan row: one set per target
+ * set, filled with the progression rule's suggestion or the planned
+ * load in `unit` and the bottom of the target rep range.
+ */
+function getPlannedSetInputs(row, entries, unit, formula, date) {
+  // A progression rule's suggestion takes precedence over the plan's load
+  const suggestion = suggestNextLoad(row, entries, unit, formula, date);
+  const load = suggestion ? suggestion.weight : resolvePlannedLoad(row, entries, unit, formula, date);
+  return Array.from({ length: row.sets || 1 }, () => ({
+    weight: load ? String(load) : '',
+    reps: row.repsMin ? String(row.repsMin) : '',
+    rpe: '',
+  }));
+}
 
-function App() {
-  // Navigation state: 'log', 'plan', 'progress'
-  const [view, setView] = React.useState('log');
-  // Persisted data
-  const [entries, setEntries] = React.useState(loadEntries());
-  const [plan, setPlan] = React.useState(loadPlan());
-  // Log page state
-  const [logDate, setLogDate] = React.useState(formatDate(new Date()));
-  const [logExercise, setLogExercise] = React.useState('');
-  const [logWeight, setLogWeight] = React.useState('');
-  const [logReps, setLogReps] = React.useState('');
-  const [logNotes, setLogNotes] = React.useState('');
-  const [logMessage, setLogMessage] = React.useState(null);
-  const [logMessageType, setLogMessageType] = React.useState('success');
-  const [groupWeights, setGroupWeights] = React.useState({});
-  const [groupReps, setGroupReps] = React.useState({});
-  // When logging an exercise, the user can select from the bank via a
-  // dropdown.  Selecting "Other" reveals a custom input field.  This
-  // state tracks whether that custom input should be shown.
-  const [showLogCustomInput, setShowLogCustomInput] = React.useState(false);
-  // Exercise bank state.  This list is persisted in localStorage and
-  // prepopulated with a set of common exercises.  Users can add to
-  // this bank via the log page.
-  const [exerciseBank, setExerciseBank] = React.useState(loadExerciseBank());
+// The plan form's target inputs for an existing row (used when a row
+// is loaded back into the editor).
+function planRowToTargetInputs(row) {
+  const r = row || {};
+  return {
+    sets: r.sets ? String(r.sets) : '',
+    reps: r.repsMin ? (r.repsMax && r.repsMax !== r.repsMin ? `${r.repsMin}-${r.repsMax}` : String(r.repsMin)) : '',
+    load: r.load ? String(r.load) : '',
+    loadType: r.loadType === 'percent' ? 'percent' : r.unit || 'kg',
+    progress: !!r.progression,
+    increment: String((r.progression || DEFAULT_PROGRESSION).increment),
+    deload: String((r.progression || DEFAULT_PROGRESSION).deloadPercent),
+    failures: String((r.progression || DEFAULT_PROGRESSION).failures),
+  };
+}
 
-  // --- Microsoft Clarity integration for single‑page navigation ---
-  /**
-   * Notify Microsoft Clarity when the user navigates to a new tab inside
-   * this single-page application.  Without this call, Clarity may treat
-   * all interactions as occurring on a single page, which can cause
-   * heatmaps and dashboard reports to appear empty or greyed out.
-   *
-   * @param {string} viewName The logical page name (e.g., 'log', 'plan', 'progress').
-   */
-  function trackClarity(viewName) {
-    if (typeof window !== 'undefined' && typeof window.clarity === 'function') {
-      try {
-        // Update the `page` tag for Clarity.  Clarity queues this call
-        // internally if its script has not finished loading.
-        window.clarity('set', 'page', viewName);
-      } catch (err) {
-        // Silently ignore any errors if Clarity is not ready.
-        console.debug('Clarity track failed', err);
-      }
+// Most recent planned exercises listed in the planned vs. actual table
+const PLAN_COMPARISON_ROWS = 50;
+
+/**
+ * Compare the sessions a plan scheduled between two dates with what was
+ * logged.  A planned exercise is 'met' when enough sets reached the
+ * target reps and load, 'partial' when it was logged but fell short
+ * and 'missed' when it was not logged that day.  For timed exercises
+ * the rep target is read as seconds held, and for distance exercises
+ * as metres covered.
+ *
+ * @param {object|null} plan Plan with an up-to-date schedule.
+ * @param {Array<object>} entries Entries converted to `unit`.
+ * @param {string|null} fromDate First date to include, or null.
+ * @param {string} toDate Last date to include (normally today).
+ * @returns {Array<object>} `{date, row, targetLoad, entries, status}`
+ *   with the most recent sessions first.
+ */
+function comparePlanToActual(plan, entries, unit, formula, fromDate, toDate) {
+  if (!plan || !plan.schedule) return [];
+  const result = [];
+  Object.keys(plan.schedule)
+    .filter((date) => (!fromDate || date >= fromDate) && date <= toDate)
+    .sort()
+    .reverse()
+    .forEach((date) => {
+      plan.schedule[date].forEach((row) => {
+        const name = row.exercise.toLowerCase();
+        const logged = entries.filter((e) => e.date === date && e.exercise.toLowerCase() === name);
+        const targetLoad = resolvePlannedLoad(row, entries, unit, formula, date);
+        let status = 'missed';
+        if (logged.length > 0) {
+          const sets = [].concat(...logged.map(getEntrySets));
+          // Allow for rounding when comparing against the target load
+          const good = sets.filter(
+            (set) =>
+              (!row.repsMin || Number(set.distance || set.seconds || set.reps) >= row.repsMin) &&
+              (targetLoad === null || Number(set.weight) >= targetLoad - 0.01)
+          );
+          status = good.length >= (row.sets || 1) ? 'met' : 'partial';
+        }
+        result.push({ date, row, targetLoad, entries: logged, status });
+      });
+    });
+  return result;
+}
+
+// --- Plan library ---
+// Every plan in the library has an `id`, a `name`, a `status` and an
+// `archived` flag on top of the plan fields above.  A 'saved' plan has
+// never run; starting it makes it 'active' (at most one plan is) and
+// schedules it from that day for `durationDays` days.  Ending it makes
+// it 'finished' and keeps its schedule up to that point as history.
+
+// The plan definition without anything that belongs to one run of it
+function withoutRun(plan) {
+  const {
+    startDate,
+    endDate,
+    schedule,
+    scheduleWorkouts,
+    pastSchedule,
+    pastScheduleWorkouts,
+    resumeDate,
+    resumePosition,
+    ...rest
+  } = plan;
+  return rest;
+}
+
+// Library entry for a plan that predates the library.  It is active
+// when its end date has not passed yet.
+function toLibraryPlan(plan, name) {
+  const today = formatDate(new Date());
+  return {
+    id: Date.now(),
+    name,
+    archived: false,
+    ...plan,
+    status: plan.status || (plan.endDate && plan.endDate < today ? 'finished' : 'active'),
+    durationDays:
+      plan.durationDays !== undefined
+        ? plan.durationDays
+        : plan.startDate && plan.endDate
+        ? dateToDayNumber(plan.endDate) - dateToDayNumber(plan.startDate)
+        : 27,
+  };
+}
+
+// Schedule of a weekly plan: every date from startDate to endDate
+// whose weekday has exercises.
+function buildWeeklySchedule(days, startDate, endDate) {
+  const schedule = {};
+  const last = dateToDayNumber(endDate);
+  for (let day = dateToDayNumber(startDate); day <= last; day++) {
+    const rows = (days || {})[(day + 4) % 7];
+    if (rows && rows.length > 0) {
+      schedule[dayNumberToDate(day)] = rows.map((row) => ({ ...row }));
     }
   }
-  // Plan page state
-  const [planSelectedDays, setPlanSelectedDays] = React.useState({});
-  const [planExercises, setPlanExercises] = React.useState({});
-  const [planEndDate, setPlanEndDate] = React.useState('');
-  const [planMessage, setPlanMessage] = React.useState(null);
-  const [planMessageType, setPlanMessageType] = React.useState('success');
-  // Determine scheduled exercises for logDate if plan exists
-  let scheduledExercises = [];
-  if (plan && plan.schedule && plan.schedule[logDate]) {
-    scheduledExercises = plan.schedule[logDate];
+  return schedule;
+}
+
+/**
+ * Start a plan today: it becomes active and is scheduled from today
+ * for its duration.
+ */
+function startPlan(plan, entries, today) {
+  const endDate = dayNumberToDate(dateToDayNumber(today) + (plan.durationDays || 0));
+  const started = { ...withoutRun(plan), status: 'active', startDate: today, endDate, schedule: {} };
+  if (!plan.type || plan.type === 'weekly') {
+    started.schedule = buildWeeklySchedule(plan.days, today, endDate);
+    return started;
   }
-  // Unique exercises for suggestions
-  const uniqueExercises = getUniqueExercises(entries);
-  // Combine exercises from the bank with those that have been logged
-  // previously.  Using a Set ensures duplicates are removed.  The
-  // resulting list is sorted alphabetically for display in the
-  // datalist of the exercise input.
-  const datalistOptions = Array.from(new Set([...exerciseBank, ...uniqueExercises])).sort();
+  return schedulePlan(started, entries, today);
+}
 
-  // Add the current value of the exercise input to the bank if it
-  // doesn’t already exist.  Provides feedback via the logMessage
-  // state when an exercise is added or when an attempt is made to
-  // add an empty or duplicate entry.
-  function handleAddExerciseToBank() {
-    const trimmed = logExercise.trim();
-    if (!trimmed) {
-      setLogMessage('Please enter an exercise name to add to the bank.');
-      setLogMessageType('error');
-      return;
-    }
-    if (exerciseBank.includes(trimmed)) {
-      setLogMessage('Exercise already exists in the bank.');
-      setLogMessageType('error');
-      return;
-    }
-    const updated = [...exerciseBank, trimmed].sort((a, b) => a.localeCompare(b));
-    saveExerciseBank(updated);
-    setExerciseBank(updated);
-    // Set the selected exercise to the newly added value and hide the
-    // custom input field.  This ensures the dropdown reflects the
-    // addition immediately.
-    setShowLogCustomInput(false);
-    setLogExercise(trimmed);
-    setLogMessage('Exercise added to the bank!');
-    setLogMessageType('success');
+/**
+ * End the active plan.  Its schedule up to yesterday is kept so the
+ * block stays in the plan history; a plan ended on the day it started
+ * goes back to being a saved plan.
+ */
+function endPlan(plan, entries, today) {
+  if (!plan.startDate || plan.startDate >= today) {
+    return { ...withoutRun(plan), status: 'saved' };
   }
+  const yesterday = dayNumberToDate(dateToDayNumber(today) - 1);
+  const ended = schedulePlan({ ...plan, endDate: yesterday < plan.endDate ? yesterday : plan.endDate }, entries, today);
+  const schedule = {};
+  Object.keys(ended.schedule || {}).forEach((date) => {
+    if (date < today) schedule[date] = ended.schedule[date];
+  });
+  return { ...ended, status: 'finished', schedule };
+}
 
-  /**
-   * When the user selects an exercise from the dropdown on the log page,
-   * update the current exercise accordingly.  Selecting the special
-   * "Other" option reveals a custom input field.  Selecting any other
-   * option hides the custom input and stores the chosen exercise.
-   *
-   * @param {string} value The selected value from the dropdown.
-   */
-  function handleLogSelectChange(value) {
-    if (value === '__other__') {
-      setShowLogCustomInput(true);
-      // Clear the current exercise so that the user can type a new one
-      setLogExercise('');
-    } else {
-      setShowLogCustomInput(false);
-      setLogExercise(value);
-    }
+/**
+ * Apply changes from the plan editor (days, workouts, type, end date)
+ * to a plan.  An active plan keeps its schedule before today; from
+ * today on it is rebuilt from the edited plan, and rotations and
+ * cycles carry on with the workout that was due next.
+ */
+function editPlan(plan, changes, entries, today) {
+  const edited = { ...plan, ...changes };
+  if (plan.status !== 'active') return edited;
+  const current = schedulePlan(plan, entries, today);
+  const pastSchedule = {};
+  const pastScheduleWorkouts = {};
+  Object.keys(current.schedule || {}).forEach((date) => {
+    if (date < today) pastSchedule[date] = current.schedule[date];
+  });
+  Object.keys(current.scheduleWorkouts || {}).forEach((date) => {
+    if (date < today) pastScheduleWorkouts[date] = current.scheduleWorkouts[date];
+  });
+  edited.durationDays = dateToDayNumber(edited.endDate) - dateToDayNumber(plan.startDate);
+  if (!edited.type || edited.type === 'weekly') {
+    edited.schedule = { ...pastSchedule, ...buildWeeklySchedule(edited.days, today, edited.endDate) };
+    return edited;
   }
+  const next = Object.keys(current.scheduleWorkouts || {})
+    .sort()
+    .find((date) => date >= today);
+  return schedulePlan(
+    {
+      ...edited,
+      pastSchedule,
+      pastScheduleWorkouts,
+      resumeDate: today,
+      resumePosition: next !== undefined && current.type === edited.type ? current.scheduleWorkouts[next] : 0,
+    },
+    entries,
+    today
+  );
+}
 
-  /**
-   * Add all exercises from the plan form to the exercise bank.
-   * Iterate over the comma‑separated exercise lists for each selected
-   * day and add any new exercises to the bank.  Provides feedback to
-   * inform the user how many new exercises were added (if any).  If
-   * there are no new exercises to add, an error message is shown.
-   */
-  function handleAddPlanExercisesToBank() {
-    // Gather all exercises from the current plan form
-    const bank = [...exerciseBank];
-    let count = 0;
-    Object.values(planExercises).forEach((list) => {
-      list.forEach((ex) => {
-        const name = ex.trim();
-        if (name && !bank.includes(name)) {
-          bank.push(name);
-          count++;
-        }
+// Helpers for the built-in templates below
+const targetRange = (sets, repsMin, repsMax) => ({ sets, repsMin, repsMax: repsMax || repsMin });
+const TEMPLATE_PROGRESSION = { increment: 2.5, unit: 'kg', deloadPercent: 10, failures: 3 };
+
+/**
+ * Four-week 5/3/1 wave as a 28-day cycle.  Main lifts use the top set
+ * of each week (85/90/95% of a training max of 90% 1RM, then a deload
+ * at 60%), expressed as a percentage of the best e1RM.
+ */
+function build531Workouts() {
+  const lifts = [
+    { name: 'Press', exercise: 'Overhead press', assistance: { exercise: 'Lat pull-down', ...targetRange(5, 10) } },
+    { name: 'Deadlift', exercise: 'Deadlift', assistance: { exercise: 'Crunches', ...targetRange(3, 15) } },
+    null,
+    { name: 'Bench', exercise: 'Bench press', assistance: { exercise: 'Seated cable row', ...targetRange(5, 10) } },
+    { name: 'Squat', exercise: 'Squat', assistance: { exercise: 'Lying leg curl', ...targetRange(3, 10) } },
+    null,
+    null,
+  ];
+  const weeks = [
+    { reps: 5, percent: 76.5 },
+    { reps: 3, percent: 81 },
+    { reps: 1, percent: 85.5 },
+    { reps: 5, percent: 54 },
+  ];
+  const workouts = [];
+  weeks.forEach((week, w) => {
+    lifts.forEach((lift) => {
+      if (!lift) {
+        workouts.push({ name: `Week ${w + 1} rest`, exercises: [] });
+        return;
+      }
+      workouts.push({
+        name: `Week ${w + 1} ${lift.name}`,
+        exercises: [
+          { exercise: lift.exercise, ...targetRange(3, week.reps), loadType: 'percent', load: week.percent },
+          { ...lift.assistance },
+        ],
       });
     });
-    if (count > 0) {
-      bank.sort((a, b) => a.localeCompare(b));
-      setExerciseBank(bank);
-      saveExerciseBank(bank);
-      setPlanMessage(`${count} exercise${count === 1 ? '' : 's'} added to bank.`);
-      setPlanMessageType('success');
-    } else {
-      setPlanMessage('No new exercises found to add.');
-      setPlanMessageType('error');
-    }
+  });
+  return workouts;
+}
+
+// Built-in plans that can be added to the library as a starting point.
+const PLAN_TEMPLATES = {
+  '531': {
+    name: '5/3/1 (4-week waves)',
+    description: 'Press, deadlift, bench and squat days in a 7-day rhythm; loads follow your best e1RM.',
+    plan: { type: 'cycle', days: {}, workouts: build531Workouts(), pushMissed: true, durationDays: 83 },
+  },
+  ppl: {
+    name: 'Push / Pull / Legs',
+    description: 'Six training days a week rotating push, pull and legs workouts.',
+    plan: {
+      type: 'rotation',
+      days: {},
+      trainingDays: [1, 2, 3, 4, 5, 6],
+      pushMissed: true,
+      durationDays: 55,
+      workouts: [
+        {
+          name: 'Push',
+          exercises: [
+            { exercise: 'Bench press', ...targetRange(4, 6, 10), progression: TEMPLATE_PROGRESSION },
+            { exercise: 'Overhead press', ...targetRange(3, 8, 12) },
+            { exercise: 'Chest press machine', ...targetRange(3, 10, 12) },
+            { exercise: 'Triceps push down', ...targetRange(3, 10, 15) },
+          ],
+        },
+        {
+          name: 'Pull',
+          exercises: [
+            { exercise: 'Deadlift', ...targetRange(3, 5), progression: TEMPLATE_PROGRESSION },
+            { exercise: 'Lat pull-down', ...targetRange(3, 8, 12) },
+            { exercise: 'Seated cable row', ...targetRange(3, 10, 12) },
+            { exercise: 'Biceps curl (Barbell)', ...targetRange(3, 10, 12) },
+          ],
+        },
+        {
+          name: 'Legs',
+          exercises: [
+            { exercise: 'Squat', ...targetRange(4, 6, 10), progression: TEMPLATE_PROGRESSION },
+            { exercise: 'Leg press', ...targetRange(3, 10, 15) },
+            { exercise: 'Lying leg curl', ...targetRange(3, 10, 12) },
+            { exercise: 'Leg extension', ...targetRange(3, 12, 15) },
+          ],
+        },
+      ],
+    },
+  },
+  fullbody: {
+    name: 'Full body 3x per week',
+    description: 'The same full-body session on Monday, Wednesday and Friday with steady load increases.',
+    plan: {
+      type: 'weekly',
+      durationDays: 55,
+      days: [1, 3, 5].reduce((days, dow) => {
+        days[dow] = [
+          { exercise: 'Squat', ...targetRange(3, 5), progression: TEMPLATE_PROGRESSION },
+          { exercise: 'Bench press', ...targetRange(3, 5), progression: TEMPLATE_PROGRESSION },
+          { exercise: 'Seated cable row', ...targetRange(3, 8, 12) },
+          { exercise: 'Crunches', ...targetRange(3, 15) },
+        ];
+        return days;
+      }, {}),
+    },
+  },
+};
+
+// Exercise names used by a plan, e.g. to add a template's exercises
+// to the exercise bank.
+function getPlanExerciseNames(plan) {
+  const lists = Object.values(plan.days || {}).concat((plan.workouts || []).map((w) => w.exercises));
+  return Array.from(new Set([].concat(...lists).map((row) => row.exercise)));
+}
+
+// A fresh, never started copy of a plan.
+function duplicatePlan(plan, name) {
+  return { ...withoutRun(plan), id: Date.now(), name, status: 'saved', archived: false };
+}
+
+/**
+ * How well a plan was followed up to today: the share of its past
+ * sessions in which something was logged and the share of planned
+ * exercises whose targets were met (see comparePlanToActual()).
+ * Today's session only counts once something has been logged.
+ *
+ * @returns {{sessions: number, completed: number, percent: number|null,
+ *   rows: number, met: number, metPercent: number|null}}
+ */
+function calculatePlanAdherence(plan, entries, unit, formula, today) {
+  const comparison = comparePlanToActual(plan, entries, unit, formula, null, today).filter(
+    (item) => !(item.date === today && item.status === 'missed')
+  );
+  const sessions = {};
+  comparison.forEach((item) => {
+    sessions[item.date] = sessions[item.date] || item.status !== 'missed';
+  });
+  const dates = Object.keys(sessions);
+  const completed = dates.filter((d) => sessions[d]).length;
+  const met = comparison.filter((item) => item.status === 'met').length;
+  return {
+    sessions: dates.length,
+    completed,
+    percent: dates.length > 0 ? Math.round((completed / dates.length) * 100) : null,
+    rows: comparison.length,
+    met,
+    metPercent: comparison.length > 0 ? Math.round((met / comparison.length) * 100) : null,
+  };
+}
+
+/**
+ * Name of the workout planned for a date, e.g. "Workout B" for a
+ * rotation plan or the weekday for a weekly plan.  Returns null when
+ * nothing is planned.
+ */
+function getPlannedWorkoutName(plan, date, dayNames) {
+  if (!plan || !plan.schedule || !plan.schedule[date]) return null;
+  if (plan.type && plan.type !== 'weekly') {
+    const workout = (plan.workouts || [])[plan.scheduleWorkouts ? plan.scheduleWorkouts[date] : -1];
+    return workout ? workout.name : null;
   }
-  // Event handlers for logging individual workouts
-  function handleLogSubmit(e) {
-    e.preventDefault();
-    const trimmedExercise = logExercise.trim();
-    if (!logDate) {
-      setLogMessage('Please select a date.');
-      setLogMessageType('error');
-      return;
-    }
-    if (!trimmedExercise) {
-      setLogMessage('Please enter an exercise name.');
-      setLogMessageType('error');
-      return;
-    }
-    const w = parseFloat(logWeight);
-    const r = parseInt(logReps, 10);
-    if (isNaN(w) || w <= 0) {
-      setLogMessage('Please enter a valid weight.');
-      setLogMessageType('error');
-      return;
+  return dayNames[parseDate(date).getDay()];
+}
+
+// --- Adherence calendar ---
+
+/**
+ * Status of every scheduled day of the given plans, found by matching
+ * logged exercises against the schedule: 'done' when every planned
+ * exercise was logged, 'partial' when some were and 'missed' when none
+ * were.  Later days, and today until something is logged, are
+ * 'upcoming'.
+ *
+ * @param {Array<object>} plans Plans with up-to-date schedules.
+ * @param {Array<object>} entries Logged entries.
+ * @param {string} today Today's date (YYYY-MM-DD).
+ * @returns {Object<string, {status: string, plan: object}>} By date.
+ */
+function getScheduleStatuses(plans, entries, today) {
+  const logged = {};
+  (entries || []).forEach((e) => {
+    if (!logged[e.date]) logged[e.date] = new Set();
+    logged[e.date].add(e.exercise.toLowerCase());
+  });
+  const statuses = {};
+  plans.forEach((plan) => {
+    Object.keys((plan && plan.schedule) || {}).forEach((date) => {
+      const rows = plan.schedule[date];
+      const done = rows.filter((row) => logged[date] && logged[date].has(row.exercise.toLowerCase())).length;
+      let status;
+      if (done === rows.length) status = 'done';
+      else if (date > today || (date === today && done === 0)) status = 'upcoming';
+      else status = done > 0 ? 'partial' : 'missed';
+      statuses[date] = { status, plan };
+    });
+  });
+  return statuses;
+}
+
+/**
+ * Share of the scheduled sessions of each week (Monday to Sunday) in
+ * which something was logged.  Upcoming sessions do not count.
+ *
+ * @param {Object<string, {status: string}>} statuses From getScheduleStatuses().
+ * @returns {Object<string, {sessions: number, completed: number, percent: number}>}
+ *   Keyed by the Monday starting the week.
+ */
+function calculateWeeklyAdherence(statuses) {
+  const weeks = {};
+  Object.keys(statuses).forEach((date) => {
+    const status = statuses[date].status;
+    if (status === 'upcoming') return;
+    const week = getWeekStart(date);
+    if (!weeks[week]) weeks[week] = { sessions: 0, completed: 0, percent: 0 };
+    weeks[week].sessions++;
+    if (status !== 'missed') weeks[week].completed++;
+  });
+  Object.values(weeks).forEach((w) => {
+    w.percent = Math.round((w.completed / w.sessions) * 100);
+  });
+  return weeks;
+}
+
+// Dates of a calendar month ('YYYY-MM') as weeks starting on Monday.
+// Days of the neighbouring months are null.
+function getMonthGrid(month) {
+  const first = dateToDayNumber(`${month}-01`);
+  const [year, mon] = month.split('-').map(Number);
+  const length = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+  const weeks = [];
+  // Day 0 of the epoch was a Thursday, three days after a Monday
+  let week = new Array((first + 3) % 7).fill(null);
+  for (let i = 0; i < length; i++) {
+    week.push(dayNumberToDate(first + i));
+    if (week.length === 7) {
+      weeks.push(week);
+      week = [];
     }
-    if (isNaN(r) || r <= 0) {
-      setLogMessage('Please enter a valid reps count.');
-      setLogMessageType('error');
-      return;
+  }
+  if (week.length > 0) weeks.push(week.concat(new Array(7 - week.length).fill(null)));
+  return weeks;
+}
+
+// Move a 'YYYY-MM' month by a number of months
+function shiftMonth(month, delta) {
+  const [year, mon] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, mon - 1 + delta, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+// User preferences that are not part of the workout data itself.
+// Stored as a single object so new preferences can be added without
+// introducing further storage keys.
+const DEFAULT_SETTINGS = {
+  displayUnit: 'kg',
+  e1rmFormula: 'epley',
+  // Rep counts shown in the rep-max table on the progress page
+  repBuckets: [1, 3, 5, 8, 10],
+  // Overlay drawn on the progress charts (see TREND_TYPES)
+  trendType: 'regression',
+  // Weeks without a new best before an exercise counts as plateaued
+  plateauWeeks: 4,
+  // Rest timer: default rest in seconds, overrides per exercise (keyed
+  // by lower-case name) and how the end of a rest is announced
+  restSeconds: 120,
+  restByExercise: {},
+  restSound: true,
+  restVibrate: true,
+  restNotify: false,
+  // Default exercises (lower-case names) the user renamed or removed,
+  // so they are not added back to the bank
+  removedExercises: [],
+  // Weekly hard-set ranges per muscle group, e.g. {Chest: {min, max}};
+  // groups not listed use DEFAULT_MUSCLE_TARGET
+  muscleTargets: {},
+};
+
+function loadSettings() {
+  try {
+    const data = AppStorage.get('appSettings');
+    if (data) {
+      return { ...DEFAULT_SETTINGS, ...data };
     }
-    const newEntry = {
-      id: Date.now(),
-      date: logDate,
-      exercise: trimmedExercise,
-      weight: w,
-      reps: r,
-      notes: logNotes.trim(),
-    };
-    const updated = [...entries, newEntry];
-    saveEntries(updated);
-    setEntries(updated);
-    setLogExercise('');
-    setLogWeight('');
-    setLogReps('');
-    setLogNotes('');
-    setLogMessage('Workout logged successfully!');
-    setLogMessageType('success');
+  } catch (err) {
+    console.error('Failed to load settings:', err);
   }
-  // Handler for logging group workouts
-  function handleGroupSubmit(e) {
-    e.preventDefault();
-    if (!logDate) {
-      setLogMessage('Please select a date.');
-      setLogMessageType('error');
-      return;
+  return { ...DEFAULT_SETTINGS };
+}
+
+function saveSettings(settings) {
+  AppStorage.set('appSettings', settings);
+}
+
+// --- Weight units ---
+// Every entry records the unit its weights were logged in.  Statistics
+// and charts convert everything into the user's display unit first so
+// that kg and lbs entries can be compared.
+
+const WEIGHT_UNITS = ['kg', 'lbs'];
+const KG_PER_LB = 0.45359237;
+
+function convertWeight(value, fromUnit, toUnit) {
+  const num = Number(value) || 0;
+  if (fromUnit === toUnit) return num;
+  const converted = fromUnit === 'lbs' ? num * KG_PER_LB : num / KG_PER_LB;
+  // Two decimals are plenty for plates and keep CSV output readable
+  return Math.round(converted * 100) / 100;
+}
+
+/**
+ * Return a copy of an entry with all set weights expressed in the
+ * given unit.  Entries logged before units were tracked have no unit;
+ * they are assumed to already be in `toUnit` until the user assigns
+ * one.
+ *
+ * @param {object} entry The stored entry.
+ * @param {string} toUnit 'kg' or 'lbs'.
+ * @returns {object}
+ */
+function convertEntryUnit(entry, toUnit) {
+  const fromUnit = entry.unit || toUnit;
+  if (fromUnit === toUnit) return entry.unit ? entry : { ...entry, unit: toUnit };
+  return {
+    ...entry,
+    unit: toUnit,
+    // Timed and distance sets carry no load to convert
+    sets: getEntrySets(entry).map((set) =>
+      set.weight === undefined ? set : { ...set, weight: convertWeight(set.weight, fromUnit, toUnit) }
+    ),
+  };
+}
+
+function getUniqueExercises(entries) {
+  const set = new Set();
+  entries.forEach((e) => set.add(e.exercise));
+  return Array.from(set).sort();
+}
+
+// --- Set helpers ---
+// Every entry stores an ordered list of sets, each with a weight, a
+// reps count and an optional RPE (rate of perceived exertion).  The
+// helpers below derive per-entry figures from that list.
+//
+// An entry's `type` says how its sets are measured.  Weighted sets are
+// weight × reps; bodyweight sets are reps with the added load (0 for
+// none) as their weight; timed sets hold `seconds` instead of weight
+// and reps; distance sets hold the `distance` covered in metres and,
+// optionally, the `seconds` it took.  Entries logged before types
+// existed have none and are weight × reps.
+
+// The ways a set can be logged; see getExerciseType() for the bank side
+const SET_TYPES = ['weight', 'bodyweight', 'time', 'distance'];
+
+function getEntrySets(entry) {
+  return entry && Array.isArray(entry.sets) ? entry.sets : [];
+}
+
+function getEntryType(entry) {
+  return entry && SET_TYPES.includes(entry.type) ? entry.type : 'weight';
+}
+
+// The heaviest set of an entry (ties resolved by the higher reps).
+// Used wherever a single weight/reps pair represents a session.
+function getTopSet(entry) {
+  let top = null;
+  getEntrySets(entry).forEach((set) => {
+    const w = Number(set.weight) || 0;
+    const r = Number(set.reps) || 0;
+    if (!top || w > top.weight || (w === top.weight && r > top.reps)) {
+      top = { weight: w, reps: r };
     }
-    const newEntries = [];
-    for (const ex of scheduledExercises) {
-      const w = parseFloat(groupWeights[ex]);
-      const r = parseInt(groupReps[ex], 10);
-      if (isNaN(w) || w <= 0 || isNaN(r) || r <= 0) {
-        setLogMessage(`Please enter valid weight and reps for ${ex}.`);
-        setLogMessageType('error');
-        return;
-      }
-      newEntries.push({
-        id: Date.now() + Math.random(),
-        date: logDate,
-        exercise: ex,
-        weight: w,
-        reps: r,
-        notes: '',
+  });
+  return top || { weight: 0, reps: 0 };
+}
+
+function calculateEntryVolume(entry) {
+  return getEntrySets(entry).reduce((sum, set) => sum + (Number(set.weight) || 0) * (Number(set.reps) || 0), 0);
+}
+
+/**
+ * The work done in an entry, measured the way its exercise is logged:
+ * the volume (weight × reps) of weighted sets, the total reps of
+ * bodyweight sets, the total seconds of timed sets and the total metres
+ * of distance sets.  Used for the volume records, where a plank or a
+ * set of push-ups has no load to count.
+ *
+ * @param {object} entry The entry to measure.
+ * @returns {number}
+ */
+function getEntryWork(entry) {
+  const type = getEntryType(entry);
+  if (type === 'weight') return calculateEntryVolume(entry);
+  const key = { time: 'seconds', distance: 'distance' }[type] || 'reps';
+  return getEntrySets(entry).reduce((sum, set) => sum + (Number(set[key]) || 0), 0);
+}
+
+/**
+ * Describe the sets of an entry in compact "weight × reps" notation.
+ * Consecutive identical sets are collapsed, e.g. "100 × 5 × 3, 90 × 8".
+ * Bodyweight sets read "BW × 12" or "BW+10 × 8", timed sets "45 s" and
+ * distance sets "400 m" or "400 m in 95 s".
+ *
+ * @param {object} entry The entry to describe.
+ * @returns {string}
+ */
+function formatSets(entry) {
+  const type = getEntryType(entry);
+  const groups = [];
+  getEntrySets(entry).forEach((set) => {
+    const last = groups[groups.length - 1];
+    if (
+      last &&
+      last.weight === set.weight &&
+      last.reps === set.reps &&
+      last.seconds === set.seconds &&
+      last.distance === set.distance &&
+      last.rpe === set.rpe
+    ) {
+      last.count++;
+    } else {
+      groups.push({
+        weight: set.weight,
+        reps: set.reps,
+        seconds: set.seconds,
+        distance: set.distance,
+        rpe: set.rpe,
+        count: 1,
       });
     }
-    const updated = entries.concat(newEntries);
-    saveEntries(updated);
-    setEntries(updated);
-    setGroupWeights({});
-    setGroupReps({});
-    setLogMessage('Planned workouts logged successfully!');
-    setLogMessageType('success');
+  });
+  return groups
+    .map((g) => {
+      let text = `${g.weight} × ${g.reps}`;
+      if (type === 'time') text = `${g.seconds} s`;
+      else if (type === 'distance') text = g.seconds ? `${g.distance} m in ${g.seconds} s` : `${g.distance} m`;
+      else if (type === 'bodyweight') text = `${g.weight ? `BW+${g.weight}` : 'BW'} × ${g.reps}`;
+      if (g.count > 1) text += ` × ${g.count}`;
+      if (g.rpe) text += ` @${g.rpe}`;
+      return text;
+    })
+    .join(', ');
+}
+
+// formatSets() followed by the unit, which is left off when no set
+// carries any load (timed and distance sets, bodyweight sets without
+// added weight)
+function formatSetsWithUnit(entry, unit) {
+  const loaded = getEntrySets(entry).some((set) => Number(set.weight) > 0);
+  return loaded && unit ? `${formatSets(entry)} ${unit}` : formatSets(entry);
+}
+
+/**
+ * Validate raw set inputs (strings from the form fields) and convert
+ * them into stored sets.  Returns either `{ sets }` or `{ error }`
+ * with a message suitable for the log alert.  Bodyweight sets accept
+ * an empty or zero weight (no added load); timed sets only need the
+ * seconds held; distance sets need the metres covered, the time taken
+ * being optional.
+ *
+ * @param {Array<{weight: string, reps: string, seconds: string, distance: string, rpe: string}>} rawSets
+ * @param {string} [label] Optional exercise name used in messages.
+ * @param {string} [type] One of SET_TYPES; defaults to 'weight'.
+ * @returns {{sets?: Array<object>, error?: string}}
+ */
+function parseSetInputs(rawSets, label, type) {
+  const suffix = label ? ` for ${label}` : '';
+  if (!rawSets || rawSets.length === 0) {
+    return { error: `Please add at least one set${suffix}.` };
   }
-  // Event handlers for plan page
-  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  function togglePlanDay(idx) {
-    const current = !!planSelectedDays[idx];
-    const newState = { ...planSelectedDays, [idx]: !current };
-    setPlanSelectedDays(newState);
-    if (current) {
-      // Deselecting the day: remove its exercises from the plan
-      const copy = { ...planExercises };
-      delete copy[idx];
-      setPlanExercises(copy);
+  const sets = [];
+  for (let i = 0; i < rawSets.length; i++) {
+    const raw = rawSets[i] || {};
+    const setLabel = rawSets.length > 1 ? ` in set ${i + 1}` : '';
+    let set;
+    if (type === 'time') {
+      const seconds = parseInt(raw.seconds, 10);
+      if (isNaN(seconds) || seconds <= 0) {
+        return { error: `Please enter a valid time in seconds${setLabel}${suffix}.` };
+      }
+      set = { seconds };
+    } else if (type === 'distance') {
+      const distance = parseFloat(raw.distance);
+      const timed = String(raw.seconds || '').trim() !== '';
+      const seconds = timed ? parseInt(raw.seconds, 10) : 0;
+      if (isNaN(distance) || distance <= 0) {
+        return { error: `Please enter a valid distance in metres${setLabel}${suffix}.` };
+      }
+      if (isNaN(seconds) || seconds < 0) {
+        return { error: `Please enter a valid time in seconds${setLabel}${suffix}.` };
+      }
+      set = seconds ? { distance, seconds } : { distance };
     } else {
-      // Selecting the day: initialise with a single empty exercise row
-      if (!planExercises[idx]) {
-        setPlanExercises({ ...planExercises, [idx]: [''] });
+      const bodyweight = type === 'bodyweight';
+      const w = bodyweight && String(raw.weight || '').trim() === '' ? 0 : parseFloat(raw.weight);
+      const r = parseInt(raw.reps, 10);
+      if (isNaN(w) || w < 0 || (w === 0 && !bodyweight)) {
+        return { error: `Please enter a valid ${bodyweight ? 'added weight' : 'weight'}${setLabel}${suffix}.` };
       }
+      if (isNaN(r) || r <= 0) {
+        return { error: `Please enter a valid reps count${setLabel}${suffix}.` };
+      }
+      set = { weight: w, reps: r };
     }
+    if (raw.rpe !== undefined && String(raw.rpe).trim() !== '') {
+      const rpe = parseFloat(raw.rpe);
+      if (isNaN(rpe) || rpe < 1 || rpe > 10) {
+        return { error: `RPE must be between 1 and 10${setLabel}${suffix}.` };
+      }
+      set.rpe = rpe;
+    }
+    sets.push(set);
   }
-  // Add a new exercise row for the specified day.  The new row
-  // initially contains an empty string, which will trigger the
-  // "Other" input field in the UI.
-  function addPlanExerciseRow(dayIdx) {
-    const list = planExercises[dayIdx] ? planExercises[dayIdx].slice() : [];
-    list.push('');
-    setPlanExercises({ ...planExercises, [dayIdx]: list });
-  }
+  return { sets };
+}
 
-  // Remove the exercise row at the given index for the specified day.
-  function removePlanExerciseRow(dayIdx, rowIndex) {
-    const list = planExercises[dayIdx] ? planExercises[dayIdx].slice() : [];
-    list.splice(rowIndex, 1);
-    setPlanExercises({ ...planExercises, [dayIdx]: list });
+// Convert stored sets back into the string form used by set inputs.
+// Missing values (and a bodyweight set's zero added load) stay empty.
+function setsToInputs(sets) {
+  return (sets || []).map((set) => ({
+    weight: set.weight ? String(set.weight) : '',
+    reps: set.reps ? String(set.reps) : '',
+    seconds: set.seconds ? String(set.seconds) : '',
+    distance: set.distance ? String(set.distance) : '',
+    rpe: set.rpe ? String(set.rpe) : '',
+  }));
+}
+
+// --- Estimated one-rep max ---
+// Each formula estimates the weight that could be lifted for a single
+// rep from a set of `reps` at `weight`.  A single rep is its own 1RM.
+
+const E1RM_FORMULAS = {
+  epley: { label: 'Epley', estimate: (w, r) => w * (1 + r / 30) },
+  brzycki: { label: 'Brzycki', estimate: (w, r) => (r >= 37 ? w : (w * 36) / (37 - r)) },
+  lombardi: { label: 'Lombardi', estimate: (w, r) => w * Math.pow(r, 0.1) },
+};
+
+function estimateOneRepMax(weight, reps, formula) {
+  const w = Number(weight) || 0;
+  const r = Number(reps) || 0;
+  if (w <= 0 || r <= 0) return 0;
+  if (r === 1) return w;
+  const f = E1RM_FORMULAS[formula] || E1RM_FORMULAS.epley;
+  return Math.round(f.estimate(w, r) * 10) / 10;
+}
+
+// Best estimated 1RM across all sets of an entry.  Only weighted
+// entries have one: an added load on top of bodyweight says little
+// about a one-rep max.
+function getEntryE1RM(entry, formula) {
+  if (getEntryType(entry) !== 'weight') return 0;
+  return getEntrySets(entry).reduce((best, set) => Math.max(best, estimateOneRepMax(set.weight, set.reps, formula)), 0);
+}
+
+/**
+ * Build the points of an exercise's progress chart: one point per
+ * training day.  Entries logged for the exercise on the same date are
+ * combined, so the day's top set and best e1RM are taken across all
+ * of them.  The best and total reps, seconds and distance of the day
+ * are kept for the charts of bodyweight, timed and distance exercises.
+ *
+ * @param {Array<object>} entries Entries of one exercise in a common unit.
+ * @param {string} formula Key into E1RM_FORMULAS.
+ * @returns {Array<object>} `{date, day, weight, reps, e1rm, maxReps,
+ *   totalReps, seconds, totalSeconds, distance, totalDistance, entries}`
+ *   sorted by date, where
+ *   `day` is the date as a day number.
+ */
+function buildProgressSeries(entries, formula) {
+  const byDate = {};
+  (entries || []).forEach((e) => {
+    if (!byDate[e.date]) byDate[e.date] = [];
+    byDate[e.date].push(e);
+  });
+  return Object.keys(byDate)
+    .sort()
+    .map((date) => {
+      const dayEntries = byDate[date];
+      const sets = [].concat(...dayEntries.map(getEntrySets));
+      const top = getTopSet({ sets });
+      const most = (key) => sets.reduce((best, set) => Math.max(best, Number(set[key]) || 0), 0);
+      const total = (key) => sets.reduce((sum, set) => sum + (Number(set[key]) || 0), 0);
+      return {
+        date,
+        day: dateToDayNumber(date),
+        weight: top.weight,
+        reps: top.reps,
+        e1rm: dayEntries.reduce((best, e) => Math.max(best, getEntryE1RM(e, formula)), 0),
+        maxReps: most('reps'),
+        totalReps: total('reps'),
+        seconds: most('seconds'),
+        totalSeconds: total('seconds'),
+        distance: most('distance'),
+        totalDistance: total('distance'),
+        entries: dayEntries,
+      };
+    });
+}
+
+/**
+ * The entries of one exercise that are charted: those logged the same
+ * way as its most recent entry.  An exercise switched to another set
+ * type in the bank starts a fresh chart instead of mixing kilograms,
+ * reps and seconds on one line.
+ *
+ * @param {Array<object>} entries Entries of one exercise.
+ * @returns {{type: string, entries: Array<object>}}
+ */
+function getChartedEntries(entries) {
+  const latest = entries.reduce((last, e) => (!last || e.date >= last.date ? e : last), null);
+  const type = getEntryType(latest);
+  return { type, entries: entries.filter((e) => getEntryType(e) === type) };
+}
+
+function calculateGlobalAverages(entries) {
+  if (!entries || entries.length === 0) {
+    return { averageWeight: 0, averageReps: 0 };
   }
+  // Averages are taken per set so that a five-set entry weighs five
+  // times as much as a single-set one.  Only weighted sets count:
+  // bodyweight, timed and distance sets would drag the average weight
+  // down.
+  let weightSum = 0;
+  let repsSum = 0;
+  let setCount = 0;
+  entries.forEach((e) => {
+    if (getEntryType(e) !== 'weight') return;
+    getEntrySets(e).forEach((set) => {
+      weightSum += Number(set.weight) || 0;
+      repsSum += Number(set.reps) || 0;
+      setCount++;
+    });
+  });
+  if (setCount === 0) {
+    return { averageWeight: 0, averageReps: 0 };
+  }
+  const avgW = weightSum / setCount;
+  const avgR = repsSum / setCount;
+  return {
+    averageWeight: Math.round(avgW * 100) / 100,
+    averageReps: Math.round(avgR * 100) / 100,
+  };
+}
 
-  // Handle a change in the exercise selection dropdown for a given
-  // day/index.  Selecting the special value '__other__' will replace
-  // the current value with an empty string to trigger the custom
-  // input field in the UI.  Otherwise, store the selected exercise.
-  function handlePlanExerciseSelectChange(dayIdx, rowIndex, value) {
-    const list = planExercises[dayIdx] ? planExercises[dayIdx].slice() : [];
-    if (value === '__other__') {
-      list[rowIndex] = '';
-    } else {
-      list[rowIndex] = value;
-    }
-    setPlanExercises({ ...planExercises, [dayIdx]: list });
+/**
+ * Personal records per exercise.  `type` is how the exercise was last
+ * logged and decides which records matter: max weight and e1RM for
+ * weighted exercises, max reps (and added weight) for bodyweight ones
+ * the longest hold for timed ones and the longest distance for distance
+ * ones.  As for the charts, only the entries logged that way count (see
+ * getChartedEntries()).  The volume records use getEntryWork(), so they
+ * are in reps, seconds or metres for the latter three.
+ *
+ * @param {Array<object>} entries Entries in a common unit.
+ * @param {string} formula e1RM formula key.
+ * @returns {Array<object>} `{exercise, type, maxWeight, maxReps,
+ *   maxSeconds, maxDistance, bestE1RM, maxVolume, maxSessionVolume}` by
+ *   exercise name.
+ */
+function calculatePRs(entries, formula) {
+  const byExercise = {};
+  entries.forEach((e) => {
+    if (!byExercise[e.exercise]) byExercise[e.exercise] = [];
+    byExercise[e.exercise].push(e);
+  });
+  return Object.keys(byExercise)
+    .sort((a, b) => a.localeCompare(b))
+    .map((exercise) => {
+      const { type, entries: typed } = getChartedEntries(byExercise[exercise]);
+      const record = {
+        exercise,
+        type,
+        maxWeight: 0,
+        maxReps: 0,
+        maxSeconds: 0,
+        maxDistance: 0,
+        bestE1RM: 0,
+        maxVolume: 0,
+        maxSessionVolume: 0,
+      };
+      const sessionVolumes = {};
+      typed.forEach((e) => {
+        getEntrySets(e).forEach((set) => {
+          if (Number(set.weight) > record.maxWeight) record.maxWeight = Number(set.weight);
+          if (Number(set.reps) > record.maxReps) record.maxReps = Number(set.reps);
+          if (Number(set.seconds) > record.maxSeconds) record.maxSeconds = Number(set.seconds);
+          if (Number(set.distance) > record.maxDistance) record.maxDistance = Number(set.distance);
+        });
+        const e1rm = getEntryE1RM(e, formula);
+        if (e1rm > record.bestE1RM) record.bestE1RM = e1rm;
+        // Volume of a single entry, and of all entries of the exercise
+        // logged on the same day (one training session)
+        const volume = getEntryWork(e);
+        if (volume > record.maxVolume) record.maxVolume = volume;
+        sessionVolumes[e.date] = (sessionVolumes[e.date] || 0) + volume;
+        if (sessionVolumes[e.date] > record.maxSessionVolume) record.maxSessionVolume = sessionVolumes[e.date];
+      });
+      return record;
+    });
+}
+
+/**
+ * Build the rep-max table: for every exercise, the heaviest weight
+ * lifted for at least N reps, for each N in `buckets`.  A set of 100 × 6
+ * therefore counts towards the 1, 3 and 5 rep maxes.  Only weighted
+ * entries have rep maxes.
+ *
+ * @param {Array<object>} entries Entries in a common unit.
+ * @param {Array<number>} buckets Rep counts to report.
+ * @returns {Object<string, Object<number, number>>}
+ */
+function calculateRepMaxes(entries, buckets) {
+  const table = {};
+  entries.forEach((e) => {
+    if (getEntryType(e) !== 'weight') return;
+    if (!table[e.exercise]) table[e.exercise] = {};
+    const row = table[e.exercise];
+    getEntrySets(e).forEach((set) => {
+      const w = Number(set.weight) || 0;
+      const r = Number(set.reps) || 0;
+      buckets.forEach((b) => {
+        if (r >= b && w > (row[b] || 0)) row[b] = w;
+      });
+    });
+  });
+  return table;
+}
+
+// Parse a comma separated list of rep counts typed by the user.
+// Invalid values are dropped; an empty result falls back to the defaults.
+function parseRepBuckets(text) {
+  const values = String(text)
+    .split(/[\s,]+/)
+    .map((v) => parseInt(v, 10))
+    .filter((v) => !isNaN(v) && v > 0 && v <= 50);
+  const unique = Array.from(new Set(values)).sort((a, b) => a - b);
+  return unique.length > 0 ? unique : DEFAULT_SETTINGS.repBuckets.slice();
+}
+
+/**
+ * Work out which records a newly logged entry breaks compared with the
+ * earlier history of the same exercise logged the same way.  Both are
+ * compared in kg so mixed-unit histories are handled.  The first entry
+ * of an exercise sets no records since there is nothing to beat.
+ *
+ * @param {Array<object>} previous Entries logged before the new one.
+ * @param {object} entry The new entry.
+ * @param {string} formula e1RM formula key.
+ * @param {Array<number>} buckets Rep-max buckets.
+ * @returns {Array<string>} Labels such as "Max weight", "e1RM", "5RM",
+ *   "Max reps", "Longest hold" or "Longest distance".
+ */
+function findNewRecords(previous, entry, formula, buckets) {
+  const type = getEntryType(entry);
+  const name = entry.exercise.toLowerCase();
+  // Names match regardless of case; the history is filed under the new
+  // entry's spelling so the records below are taken across all of it
+  const history = previous
+    .filter((e) => e.exercise.toLowerCase() === name && getEntryType(e) === type)
+    .map((e) => ({ ...convertEntryUnit(e, 'kg'), exercise: entry.exercise }));
+  if (history.length === 0) return [];
+  const current = convertEntryUnit(entry, 'kg');
+  const before = calculatePRs(history, formula)[0];
+  const after = calculatePRs([current], formula)[0];
+  const records = [];
+  if (type === 'time') {
+    if (after.maxSeconds > before.maxSeconds) records.push('Longest hold');
+    return records;
   }
+  if (type === 'distance') {
+    if (after.maxDistance > before.maxDistance) records.push('Longest distance');
+    return records;
+  }
+  if (type === 'bodyweight') {
+    if (after.maxReps > before.maxReps) records.push('Max reps');
+    if (after.maxWeight > before.maxWeight) records.push('Max added weight');
+    return records;
+  }
+  if (after.maxWeight > before.maxWeight) records.push('Max weight');
+  if (after.bestE1RM > before.bestE1RM) records.push('e1RM');
+  const oldMaxes = calculateRepMaxes(history, buckets)[entry.exercise] || {};
+  const newMaxes = calculateRepMaxes([current], buckets)[entry.exercise] || {};
+  buckets.forEach((b) => {
+    // A 1RM record is the same thing as a max weight record
+    if (b === 1 && records.includes('Max weight')) return;
+    if (newMaxes[b] && newMaxes[b] > (oldMaxes[b] || 0)) records.push(`${b}RM`);
+  });
+  return records;
+}
 
-  // Handle updates to the custom exercise input field for a given
-  // day/index.  Simply store the typed value in the corresponding
-  // position of the planExercises list.
-  function handlePlanExerciseInputChange(dayIdx, rowIndex, value) {
-    const list = planExercises[dayIdx] ? planExercises[dayIdx].slice() : [];
-    list[rowIndex] = value;
-    setPlanExercises({ ...planExercises, [dayIdx]: list });
+// Highest total volume lifted on a single day across all exercises
+function calculateBestSessionVolume(entries) {
+  const byDate = {};
+  entries.forEach((e) => {
+    byDate[e.date] = (byDate[e.date] || 0) + calculateEntryVolume(e);
+  });
+  let best = { date: null, volume: 0 };
+  Object.keys(byDate).forEach((date) => {
+    if (byDate[date] > best.volume) best = { date, volume: byDate[date] };
+  });
+  return best;
+}
+
+// --- Workout sessions ---
+
+// Most recent entry of an exercise logged before a date, or null
+function getPreviousEntry(entries, exercise, beforeDate) {
+  const name = exercise.toLowerCase();
+  return (entries || []).reduce((latest, e) => {
+    if (e.exercise.toLowerCase() !== name || e.date >= beforeDate) return latest;
+    return !latest || e.date >= latest.date ? e : latest;
+  }, null);
+}
+
+/**
+ * Duration and density of finished sessions.  Density is the volume
+ * lifted per minute of the session.
+ *
+ * @param {Array<object>} sessions Finished sessions.
+ * @param {Array<object>} entries Entries converted to one unit.
+ * @returns {Array<{session: object, minutes: number, exercises: number,
+ *   sets: number, volume: number, density: number}>} Newest first;
+ *   sessions whose entries were all deleted are left out.
+ */
+function calculateSessionStats(sessions, entries) {
+  return sessions
+    .map((session) => {
+      const logged = entries.filter((e) => e.sessionId === session.id);
+      const minutes = Math.max(1, Math.round((new Date(session.endedAt) - new Date(session.startedAt)) / 60000));
+      const volume = logged.reduce((sum, e) => sum + calculateEntryVolume(e), 0);
+      return {
+        session,
+        minutes,
+        exercises: logged.length,
+        sets: logged.reduce((sum, e) => sum + getEntrySets(e).length, 0),
+        volume,
+        density: volume / minutes,
+      };
+    })
+    .filter((stat) => stat.exercises > 0)
+    .sort((a, b) => b.session.startedAt.localeCompare(a.session.startedAt));
+}
+
+// Most recent sessions listed on the progress page
+const SESSION_TABLE_ROWS = 10;
+
+// Minutes as e.g. "1 h 05 min" or "48 min"
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
+
+// The Monday starting the week that contains the given date
+function getWeekStart(dateStr) {
+  const date = parseDate(dateStr);
+  const offset = (date.getDay() + 6) % 7;
+  date.setDate(date.getDate() - offset);
+  return formatDate(date);
+}
+
+/**
+ * Sum volume per exercise per calendar week (Monday to Sunday).  Weeks
+ * without training are included with zero volume so gaps are visible
+ * in the chart.  The range runs from the first to the last week with
+ * data unless explicit bounds are given.
+ *
+ * @param {Array<object>} entries Entries in a common unit.
+ * @param {string} [fromDate] Optional first day (YYYY-MM-DD) to include.
+ * @param {string} [toDate] Optional last day (YYYY-MM-DD) to include.
+ * @returns {{weeks: Array<string>, series: Array<{label: string, data: Array<number>}>}}
+ */
+function calculateWeeklyVolume(entries, fromDate, toDate) {
+  const inRange = (entries || []).filter((e) => (!fromDate || e.date >= fromDate) && (!toDate || e.date <= toDate));
+  if (inRange.length === 0) return { weeks: [], series: [] };
+  const volumes = {};
+  let first = fromDate ? getWeekStart(fromDate) : null;
+  let last = toDate ? getWeekStart(toDate) : null;
+  inRange.forEach((e) => {
+    const week = getWeekStart(e.date);
+    if (!fromDate && (!first || week < first)) first = week;
+    if (!toDate && (!last || week > last)) last = week;
+    // Timed, distance and unloaded bodyweight sets move no weight
+    const volume = calculateEntryVolume(e);
+    if (volume === 0) return;
+    if (!volumes[e.exercise]) volumes[e.exercise] = {};
+    volumes[e.exercise][week] = (volumes[e.exercise][week] || 0) + volume;
+  });
+  const weeks = listWeeks(first, last);
+  const series = Object.keys(volumes)
+    .sort((a, b) => a.localeCompare(b))
+    .map((ex) => ({ label: ex, data: weeks.map((w) => volumes[ex][w] || 0) }));
+  return { weeks, series };
+}
+
+// The Mondays from one week start to another, inclusive
+function listWeeks(first, last) {
+  const weeks = [];
+  const cursor = parseDate(first);
+  while (formatDate(cursor) <= last) {
+    weeks.push(formatDate(cursor));
+    cursor.setDate(cursor.getDate() + 7);
   }
-  function handleSavePlan(e) {
-    e.preventDefault();
-    // Build selected indices
-    const dayIndices = Object.entries(planSelectedDays)
-      .filter(([k, v]) => v && !isNaN(Number(k)) && dayNames[Number(k)] !== undefined)
-      .map(([k]) => Number(k));
-    if (dayIndices.length === 0) {
-      setPlanMessage('Please select at least one day.');
-      setPlanMessageType('error');
-      return;
-    }
-    for (const di of dayIndices) {
-      // Filter out empty or whitespace-only entries to handle rows where
-      // the user hasn’t selected an exercise or left the custom field blank
-      const exs = (planExercises[di] || []).map((s) => s.trim()).filter((s) => s.length > 0);
-      if (!exs || exs.length === 0) {
-        setPlanMessage(`Please enter at least one exercise for ${dayNames[di]}.`);
-        setPlanMessageType('error');
-        return;
-      }
-    }
-    if (!planEndDate) {
-      setPlanMessage('Please select an end date.');
-      setPlanMessageType('error');
-      return;
+  return weeks;
+}
+
+// Weekly set targets per muscle group: the range used for muscles
+// without one in settings.muscleTargets, and the share of a set that
+// counts towards the muscles an exercise works secondarily.
+const DEFAULT_MUSCLE_TARGET = { min: 10, max: 20 };
+const SECONDARY_SET_SHARE = 0.5;
+// Most recent weeks shown in the muscle group table
+const MUSCLE_TABLE_WEEKS = 4;
+
+// The weekly set range for a muscle group
+function getMuscleTarget(targets, muscle) {
+  return (targets && targets[muscle]) || DEFAULT_MUSCLE_TARGET;
+}
+
+// 'under', 'within' or 'over' a weekly set range
+function getTargetStatus(sets, target) {
+  if (sets < target.min) return 'under';
+  if (sets > target.max) return 'over';
+  return 'within';
+}
+
+/**
+ * Count sets and volume per muscle group per calendar week, using the
+ * muscles recorded for each exercise in the bank.  Every logged set
+ * counts in full towards the exercise's primary muscles and by
+ * SECONDARY_SET_SHARE towards its secondary ones; volume is shared out
+ * the same way.  Exercises with no muscles in the bank are listed in
+ * `unassigned` instead of being counted.  Weeks are bounded as in
+ * calculateWeeklyVolume().
+ *
+ * @param {Array<object>} entries Entries in a common unit.
+ * @param {Array<object>} bank The exercise bank.
+ * @param {string} [fromDate] Optional first day (YYYY-MM-DD) to include.
+ * @param {string} [toDate] Optional last day (YYYY-MM-DD) to include.
+ * @returns {{weeks: Array<string>, muscles: Object<string, {sets: Array<number>, volume: Array<number>}>,
+ *   unassigned: Array<string>}} Per muscle group, one figure per week.
+ */
+function calculateMuscleVolume(entries, bank, fromDate, toDate) {
+  const inRange = (entries || []).filter((e) => (!fromDate || e.date >= fromDate) && (!toDate || e.date <= toDate));
+  if (inRange.length === 0) return { weeks: [], muscles: {}, unassigned: [] };
+  const weekStarts = inRange.map((e) => getWeekStart(e.date)).sort();
+  const weeks = listWeeks(
+    fromDate ? getWeekStart(fromDate) : weekStarts[0],
+    toDate ? getWeekStart(toDate) : weekStarts[weekStarts.length - 1]
+  );
+  const muscles = {};
+  MUSCLE_GROUPS.forEach((muscle) => {
+    muscles[muscle] = { sets: weeks.map(() => 0), volume: weeks.map(() => 0) };
+  });
+  const unassigned = new Set();
+  inRange.forEach((e) => {
+    const exercise = findExercise(bank, e.exercise);
+    const shares = [];
+    if (exercise) {
+      exercise.primaryMuscles.forEach((muscle) => shares.push([muscle, 1]));
+      exercise.secondaryMuscles.forEach((muscle) => shares.push([muscle, SECONDARY_SET_SHARE]));
     }
-    const now = new Date();
-    now.setHours(0, 0, 0, 0);
-    const end = parseDate(planEndDate);
-    if (end < now) {
-      setPlanMessage('End date must not be in the past.');
-      setPlanMessageType('error');
+    if (shares.length === 0) {
+      unassigned.add(e.exercise);
       return;
     }
-    const planObj = { days: {}, startDate: formatDate(now), endDate: planEndDate, schedule: {} };
-    dayIndices.forEach((di) => {
-      const exs = (planExercises[di] || []).map((s) => s.trim()).filter((s) => s.length > 0);
-      planObj.days[di] = exs;
+    const index = weeks.indexOf(getWeekStart(e.date));
+    const sets = getEntrySets(e).length;
+    const volume = calculateEntryVolume(e);
+    shares.forEach(([muscle, share]) => {
+      if (!muscles[muscle]) return;
+      muscles[muscle].sets[index] += sets * share;
+      muscles[muscle].volume[index] += volume * share;
     });
-    const totalDays = Math.floor((end - now) / (1000 * 60 * 60 * 24));
-    for (let i = 0; i <= totalDays; i++) {
-      const date = new Date(now);
-      date.setDate(now.getDate() + i);
-      const dow = date.getDay();
-      const exs = planObj.days[dow];
-      if (exs && exs.length > 0) {
-        planObj.schedule[formatDate(date)] = exs.slice();
-      }
-    }
-    savePlan(planObj);
-    setPlan(planObj);
-    setPlanSelectedDays({});
-    setPlanExercises({});
-    setPlanEndDate('');
-    setPlanMessage('Plan saved successfully!');
-    setPlanMessageType('success');
-  }
-  function handleClearPlan() {
-    savePlan(null);
-    setPlan(null);
-    setPlanMessage('Plan cleared.');
-    setPlanMessageType('success');
+  });
+  return { weeks, muscles, unassigned: Array.from(unassigned).sort((a, b) => a.localeCompare(b)) };
+}
+
+// The figures that show progress for each set type, as keys of the
+// points from buildProgressSeries().  The first is the headline metric
+// behind the trend overlay and the percentage change; the rate per
+// week and plateaus are worked out for both.  `name` is used inside
+// sentences, `label` as a heading; `weighted` figures are in the
+// display unit and `suffix` follows the others.
+const PROGRESS_METRICS = {
+  weight: [
+    { key: 'e1rm', name: 'e1RM', label: 'e1RM', weighted: true },
+    { key: 'weight', name: 'top weight', label: 'Top weight', weighted: true },
+  ],
+  bodyweight: [
+    { key: 'maxReps', name: 'max reps', label: 'Max reps', suffix: 'reps' },
+    { key: 'totalReps', name: 'total reps', label: 'Total reps', suffix: 'reps' },
+  ],
+  time: [
+    { key: 'seconds', name: 'longest hold', label: 'Longest hold', suffix: 's' },
+    { key: 'totalSeconds', name: 'total time', label: 'Total time', suffix: 's' },
+  ],
+  distance: [
+    { key: 'distance', name: 'longest distance', label: 'Longest distance', suffix: 'm' },
+    { key: 'totalDistance', name: 'total distance', label: 'Total distance', suffix: 'm' },
+  ],
+};
+
+// A progress metric's value with its unit
+function formatMetric(value, metric, unit) {
+  return `${value} ${metric.weighted ? unit : metric.suffix}`;
+}
+
+// --- Trends ---
+// Overlays that can be drawn over the headline metric (the e1RM for
+// weighted exercises) of the progress charts.
+const TREND_TYPES = {
+  regression: 'Linear trend',
+  average: 'Moving average',
+  none: 'None',
+};
+
+// Number of sessions averaged by the moving-average overlay
+const MOVING_AVERAGE_SESSIONS = 5;
+
+/**
+ * Least-squares line through `values` plotted against `days`.
+ *
+ * @returns {{slope: number, intercept: number}|null} Slope per day, or
+ *   null when there are fewer than two distinct days.
+ */
+function linearRegression(days, values) {
+  const n = days.length;
+  if (n < 2) return null;
+  const meanX = days.reduce((a, b) => a + b, 0) / n;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+  let num = 0;
+  let den = 0;
+  days.forEach((x, i) => {
+    num += (x - meanX) * (values[i] - meanY);
+    den += (x - meanX) * (x - meanX);
+  });
+  if (den === 0) return null;
+  const slope = num / den;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+/**
+ * Values of the chosen trend overlay at each point of a progress
+ * series (from buildProgressSeries()), based on the metric under `key`
+ * (the e1RM for weighted exercises).  The moving average covers the
+ * last MOVING_AVERAGE_SESSIONS sessions.
+ *
+ * @returns {Array<number>|null} One value per point, or null when no
+ *   overlay should be drawn.
+ */
+function calculateTrendLine(series, trendType, key) {
+  if (!series || series.length < 2) return null;
+  const values = series.map((p) => p[key]);
+  if (trendType === 'regression') {
+    const fit = linearRegression(
+      series.map((p) => p.day),
+      values
+    );
+    return fit ? series.map((p) => Math.round((fit.intercept + fit.slope * p.day) * 10) / 10) : null;
   }
-  function getUpcomingSchedule() {
-    if (!plan || !plan.schedule) return [];
-    const list = [];
-    const today = new Date();
-    for (let i = 0; i < 7; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() + i);
-      const dateStr = formatDate(date);
-      if (plan.schedule[dateStr]) {
-        list.push({ date: dateStr, exercises: plan.schedule[dateStr] });
+  if (trendType === 'average') {
+    return values.map((_, i) => {
+      const window = values.slice(Math.max(0, i - MOVING_AVERAGE_SESSIONS + 1), i + 1);
+      return Math.round((window.reduce((a, b) => a + b, 0) / window.length) * 10) / 10;
+    });
+  }
+  return null;
+}
+
+/**
+ * Summarise how fast an exercise is progressing over a progress
+ * series: the regression slope of each metric (e1RM and top weight for
+ * weighted exercises) in units per week, the percentage change of the
+ * headline metric from the first to the last session, and how long
+ * each has gone without a new best.  A metric counts as plateaued when
+ * the exercise has been trained for at least `plateauWeeks` weeks since
+ * it last improved.
+ *
+ * @param {Array<object>} series Points from buildProgressSeries().
+ * @param {number} plateauWeeks Weeks without improvement to flag.
+ * @param {Array<object>} metrics An entry of PROGRESS_METRICS.
+ * @returns {object} `{sessions, perWeek: {key: rate}, percentChange,
+ *   stalled: [{metric, weeks}]}`; rates are null with fewer than two
+ *   sessions.
+ */
+function calculateProgressRate(series, plateauWeeks, metrics) {
+  const result = { sessions: series.length, perWeek: {}, percentChange: null, stalled: [] };
+  metrics.forEach(({ key }) => {
+    result.perWeek[key] = null;
+  });
+  if (series.length < 2) return result;
+  const days = series.map((p) => p.day);
+  const perWeek = (values) => {
+    const fit = linearRegression(days, values);
+    return fit ? Math.round(fit.slope * 7 * 100) / 100 : null;
+  };
+  metrics.forEach(({ key }) => {
+    result.perWeek[key] = perWeek(series.map((p) => p[key]));
+  });
+  const headline = metrics[0].key;
+  const first = series[0][headline];
+  const last = series[series.length - 1][headline];
+  if (first > 0) result.percentChange = Math.round(((last - first) / first) * 1000) / 10;
+  const lastDay = days[days.length - 1];
+  metrics.forEach(({ name: metric, key }) => {
+    // The first session sets the baseline; each later best resets the clock
+    let best = series[0][key];
+    let improvedDay = days[0];
+    series.forEach((p) => {
+      if (p[key] > best) {
+        best = p[key];
+        improvedDay = p.day;
       }
+    });
+    const weeks = Math.floor((lastDay - improvedDay) / 7);
+    if (weeks >= plateauWeeks) result.stalled.push({ metric, weeks });
+  });
+  return result;
+}
+
+// --- Progress filters ---
+// Preset date ranges for the progress page.  `days` counts back from
+// today; 'all' and 'custom' are resolved in getRangeBounds().
+const PROGRESS_RANGES = {
+  '4w': { label: 'Last 4 weeks', days: 28 },
+  '3m': { label: 'Last 3 months', days: 91 },
+  '1y': { label: 'Last year', days: 365 },
+  all: { label: 'All time' },
+  custom: { label: 'Custom range' },
+};
+
+/**
+ * Resolve a range selection into inclusive YYYY-MM-DD bounds.  A bound
+ * of null means the range is open on that side.
+ *
+ * @param {string} rangeKey Key of PROGRESS_RANGES.
+ * @param {string} customFrom Start date used by the custom range.
+ * @param {string} customTo End date used by the custom range.
+ * @returns {{fromDate: string|null, toDate: string|null}}
+ */
+function getRangeBounds(rangeKey, customFrom, customTo) {
+  if (rangeKey === 'custom') {
+    return { fromDate: customFrom || null, toDate: customTo || null };
+  }
+  const range = PROGRESS_RANGES[rangeKey];
+  if (!range || !range.days) return { fromDate: null, toDate: null };
+  const start = new Date();
+  start.setDate(start.getDate() - range.days + 1);
+  return { fromDate: formatDate(start), toDate: formatDate(new Date()) };
+}
+
+// Keep the entries inside the date bounds and, when any exercises are
+// selected, only those exercises.
+function filterEntries(entries, fromDate, toDate, exercises) {
+  return entries.filter(
+    (e) =>
+      (!fromDate || e.date >= fromDate) &&
+      (!toDate || e.date <= toDate) &&
+      (!exercises || exercises.length === 0 || exercises.includes(e.exercise))
+  );
+}
+
+function calculateVolumePerExercise(entries) {
+  const volumeMap = {};
+  entries.forEach((e) => {
+    const vol = calculateEntryVolume(e);
+    volumeMap[e.exercise] = (volumeMap[e.exercise] || 0) + vol;
+  });
+  return volumeMap;
+}
+
+// Columns written by exportCSV and understood by parseImportedCSV.
+const CSV_COLUMNS = [
+  'date',
+  'exercise',
+  'type',
+  'set',
+  'weight',
+  'unit',
+  'reps',
+  'seconds',
+  'distance',
+  'rpe',
+  'notes',
+];
+
+// Quote a CSV field when it contains a delimiter, quote or line break.
+function csvEscape(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Split CSV text into records following RFC 4180: fields may be
+ * quoted, quoted fields may contain commas, doubled quotes and line
+ * breaks.  Each record carries the (1-based) line it starts on so
+ * problems can be reported against the original file.
+ *
+ * @param {string} text Raw file contents.
+ * @returns {Array<{line: number, cells: Array<string>}>}
+ */
+function parseCSV(text) {
+  const records = [];
+  let cells = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  const src = text.replace(/^\uFEFF/, '');
+  const endRecord = () => {
+    cells.push(field);
+    // Skip blank lines entirely
+    if (cells.length > 1 || cells[0].trim() !== '') {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    field = '';
+  };
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      cells.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
     }
-    return list;
   }
-  // Draw charts when on progress page
-  if (view === 'progress') {
-    setTimeout(() => {
-      const volCanvas = document.getElementById('volume-bar-chart');
-      if (volCanvas) {
-        const volumeMap = calculateVolumePerExercise(entries);
-        const exs = Object.keys(volumeMap).sort();
-        const volumes = exs.map((ex) => volumeMap[ex]);
-        // Set CSS size so drawBarChart() can calculate the internal
-        // resolution based on device pixel ratio.  We avoid setting
-        // canvas.width directly to preserve crisp rendering.
-        volCanvas.style.width = `${Math.max(400, exs.length * 80)}px`;
-        volCanvas.style.height = '300px';
-        drawBarChart(volCanvas, exs, volumes);
+  if (field !== '' || cells.length > 0) endRecord();
+  return records;
+}
+
+/**
+ * Turn the contents of a CSV file into entries.  Columns are matched
+ * by header name so both the current export format and the older
+ * date,exercise,weight,reps,notes layout can be read.  Rows are
+ * grouped into entries the same way exportCSV splits them: a row with
+ * set number 1 starts a new entry, later set numbers (or rows without
+ * a set column) join the previous entry for the same date, exercise
+ * and set type, adding its notes as migrateFlatEntries() does.  Files
+ * without a type column hold weight × reps sets.
+ *
+ * @param {string} text Raw file contents.
+ * @param {string} defaultUnit Unit assumed for rows without one.
+ * @returns {{entries: Array<object>, errors: Array<{line: number, message: string}>}}
+ */
+function parseImportedCSV(text, defaultUnit) {
+  const records = parseCSV(text);
+  const errors = [];
+  if (records.length === 0) {
+    return { entries: [], errors: [{ line: 1, message: 'The file is empty.' }] };
+  }
+  const header = records[0].cells.map((h) => h.trim().toLowerCase());
+  const col = {};
+  header.forEach((name, idx) => {
+    col[name] = idx;
+  });
+  const missing = ['date', 'exercise', 'weight', 'reps'].filter((name) => col[name] === undefined);
+  if (missing.length > 0) {
+    return { entries: [], errors: [{ line: records[0].line, message: `Missing column(s): ${missing.join(', ')}.` }] };
+  }
+  const cell = (cells, name) => (col[name] === undefined ? '' : (cells[col[name]] || '').trim());
+  const entries = [];
+  const lastByKey = {};
+  records.slice(1).forEach(({ line, cells }) => {
+    const date = cell(cells, 'date');
+    const exercise = cell(cells, 'exercise');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || formatDate(parseDate(date)) !== date) {
+      errors.push({ line, message: `Invalid date "${date}".` });
+      return;
+    }
+    if (!exercise) {
+      errors.push({ line, message: 'Missing exercise name.' });
+      return;
+    }
+    const type = cell(cells, 'type').toLowerCase() || 'weight';
+    if (!SET_TYPES.includes(type)) {
+      errors.push({ line, message: `Unknown set type "${type}".` });
+      return;
+    }
+    const raw = {
+      weight: cell(cells, 'weight'),
+      reps: cell(cells, 'reps'),
+      seconds: cell(cells, 'seconds'),
+      distance: cell(cells, 'distance'),
+      rpe: cell(cells, 'rpe'),
+    };
+    const parsed = parseSetInputs([raw], '', type);
+    if (parsed.error) {
+      errors.push({ line, message: parsed.error });
+      return;
+    }
+    const unitCell = cell(cells, 'unit').toLowerCase();
+    if (unitCell && !WEIGHT_UNITS.includes(unitCell)) {
+      errors.push({ line, message: `Unknown unit "${unitCell}".` });
+      return;
+    }
+    const unit = unitCell || defaultUnit;
+    const setNumber = parseInt(cell(cells, 'set'), 10);
+    const key = `${date}|${exercise}|${unit}|${type}`;
+    const previous = lastByKey[key];
+    if (previous && setNumber !== 1) {
+      previous.sets.push(parsed.sets[0]);
+      // exportCSV repeats an entry's notes on each of its rows
+      const note = cell(cells, 'notes');
+      if (note && previous.notes !== note && !previous.notes.split('; ').includes(note)) {
+        previous.notes = previous.notes ? `${previous.notes}; ${note}` : note;
       }
-      const entriesByExercise = {};
-      entries.forEach((e) => {
-        if (!entriesByExercise[e.exercise]) entriesByExercise[e.exercise] = [];
-        entriesByExercise[e.exercise].push(e);
-      });
-      Object.keys(entriesByExercise).forEach((ex) => {
-        const canvas = document.getElementById(`line-chart-${ex}`);
-        if (canvas) {
-          const data = entriesByExercise[ex].slice().sort((a, b) => new Date(a.date) - new Date(b.date));
-          const labels = data.map((d) => d.date);
-          const weights = data.map((d) => Number(d.weight));
-          const reps = data.map((d) => Number(d.reps));
-          canvas.style.width = `${Math.max(400, labels.length * 60)}px`;
-          canvas.style.height = '300px';
-          drawLineChart(canvas, labels, weights, reps, ex);
-        }
+      return;
+    }
+    const entry = { date, exercise, type, sets: parsed.sets, unit, notes: cell(cells, 'notes') };
+    lastByKey[key] = entry;
+    entries.push(entry);
+  });
+  return { entries, errors };
+}
+
+// A key identifying an entry's content regardless of its id or unit,
+// used to spot imported rows that are already in the history.
+function entrySignature(entry) {
+  const inKg = convertEntryUnit(entry, 'kg');
+  const describeSet = (set) => {
+    if (set.distance) return set.seconds ? `${set.distance}m/${set.seconds}s` : `${set.distance}m`;
+    if (set.seconds) return `${set.seconds}s`;
+    return `${Math.round(Number(set.weight) * 10) / 10}x${set.reps}`;
+  };
+  const sets = getEntrySets(inKg).map(describeSet).join(',');
+  return `${entry.date}|${entry.exercise.toLowerCase()}|${sets}`;
+}
+
+function exportCSV(entries) {
+  if (!entries || entries.length === 0) return;
+  // One row per set.  The set column numbers the sets of an entry so
+  // that rows belonging to the same session can be told apart.
+  // Callers pass entries already converted to the display unit; the
+  // unit column records it so the file is self-describing.
+  const header = CSV_COLUMNS.join(',');
+  const lines = [];
+  entries.forEach((e) => {
+    getEntrySets(e).forEach((set, idx) => {
+      const row = [
+        e.date,
+        e.exercise,
+        getEntryType(e),
+        idx + 1,
+        set.weight === undefined ? '' : set.weight,
+        e.unit || '',
+        set.reps === undefined ? '' : set.reps,
+        set.seconds || '',
+        set.distance || '',
+        set.rpe || '',
+        e.notes || '',
+      ];
+      lines.push(row.map(csvEscape).join(','));
+    });
+  });
+  const csv = [header].concat(lines).join('\n');
+  downloadFile(csv, 'workouts.csv', 'text/csv;charset=utf-8;');
+}
+
+// Offer a string to the user as a file download.
+function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', fileName);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// --- JSON backup ---
+// A backup holds everything the app persists, wrapped with a format
+// marker and a schema version.  Bump BACKUP_VERSION whenever the
+// shape of the stored data changes and teach validateBackup() to read
+// the older versions.
+
+const BACKUP_FORMAT = 'strength-tracker-backup';
+const BACKUP_VERSION = 6;
+
+/**
+ * Build a backup object from the app's persisted data.
+ *
+ * @param {{entries: Array, plans: Array, sessions: Array, exerciseBank: Array, settings: object}} data
+ * @returns {object}
+ */
+function createBackup(data) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+      entries: data.entries,
+      plans: data.plans,
+      sessions: data.sessions,
+      exerciseBank: data.exerciseBank,
+      settings: data.settings,
+    },
+  };
+}
+
+function exportBackup(data) {
+  const json = JSON.stringify(createBackup(data), null, 2);
+  downloadFile(json, `strength-tracker-backup-${formatDate(new Date())}.json`, 'application/json');
+}
+
+/**
+ * Check that a parsed backup file has the expected shape before any
+ * of it is written to storage.  Returns either `{ data }` with the
+ * normalised contents or `{ error }` describing the first problem.
+ *
+ * @param {*} backup Parsed JSON from the chosen file.
+ * @returns {{data?: object, error?: string}}
+ */
+function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    return { error: 'This file is not a Strength Tracker backup.' };
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return { error: 'The backup has no valid version number.' };
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return { error: 'This backup was made by a newer version of the app. Please update first.' };
+  }
+  const data = backup.data;
+  if (!data || typeof data !== 'object') {
+    return { error: 'The backup contains no data.' };
+  }
+  if (!Array.isArray(data.entries)) {
+    return { error: 'The backup has no list of entries.' };
+  }
+  const isDate = (str) => typeof str === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(str);
+  for (let i = 0; i < data.entries.length; i++) {
+    const e = data.entries[i];
+    const where = `Entry ${i + 1}`;
+    if (!e || typeof e !== 'object' || !isDate(e.date) || typeof e.exercise !== 'string' || !e.exercise) {
+      return { error: `${where} is missing a valid date or exercise.` };
+    }
+    if (e.unit !== undefined && !WEIGHT_UNITS.includes(e.unit)) {
+      return { error: `${where} has an unknown unit.` };
+    }
+    if (e.type !== undefined && !SET_TYPES.includes(e.type)) {
+      return { error: `${where} has an unknown set type.` };
+    }
+    if (Array.isArray(e.sets)) {
+      // Version 5 added timed sets, which hold seconds instead of weight
+      // and reps, and version 6 distance sets, which hold a distance
+      let invalidSet = (set) => !set || isNaN(Number(set.weight)) || isNaN(Number(set.reps));
+      let expected = 'numeric weight and reps';
+      if (e.type === 'time') {
+        invalidSet = (set) => !set || isNaN(Number(set.seconds));
+        expected = 'numeric seconds';
+      } else if (e.type === 'distance') {
+        invalidSet = (set) => !set || isNaN(Number(set.distance)) || isNaN(Number(set.seconds || 0));
+        expected = 'a numeric distance';
+      }
+      if (e.sets.some(invalidSet)) {
+        return { error: `${where} has a set without ${expected}.` };
+      }
+    } else if (isNaN(Number(e.weight)) || isNaN(Number(e.reps))) {
+      return { error: `${where} has no numeric weight and reps.` };
+    }
+  }
+  // Version 1 backups hold a single plan instead of the plan library
+  let plans;
+  if (backup.version < 2) {
+    const plan = data.plan === undefined ? null : data.plan;
+    if (plan !== null) {
+      if (typeof plan !== 'object' || !plan.schedule || typeof plan.schedule !== 'object' || !plan.days || typeof plan.days !== 'object') {
+        return { error: 'The saved plan in the backup is malformed.' };
+      }
+    }
+    plans = plan ? [toLibraryPlan(migratePlanRows(plan), 'My plan')] : [];
+  } else {
+    plans = data.plans === undefined ? [] : data.plans;
+    if (
+      !Array.isArray(plans) ||
+      plans.some((p) => !p || typeof p !== 'object' || p.id === undefined || typeof p.name !== 'string' || !p.status)
+    ) {
+      return { error: 'The saved plans in the backup are malformed.' };
+    }
+    plans = plans.map(migratePlanRows);
+  }
+  // Sessions were added in version 3
+  const sessions = data.sessions === undefined ? [] : data.sessions;
+  if (
+    !Array.isArray(sessions) ||
+    sessions.some((x) => !x || x.id === undefined || !isDate(x.date) || !x.startedAt || !x.endedAt)
+  ) {
+    return { error: 'The workout sessions in the backup are malformed.' };
+  }
+  // Version 4 stores exercise records; older backups list names only
+  const bank = data.exerciseBank === undefined ? [] : data.exerciseBank;
+  const isBankItem =
+    backup.version < 4
+      ? (item) => typeof item === 'string'
+      : (item) => item && typeof item === 'object' && typeof item.name === 'string' && item.name;
+  if (!Array.isArray(bank) || !bank.every(isBankItem)) {
+    return { error: 'The exercise bank in the backup is malformed.' };
+  }
+  const settings = data.settings === undefined ? {} : data.settings;
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { error: 'The settings in the backup are malformed.' };
+  }
+  // Entries may predate multi-set logging; bring them up to date and
+  // make sure every entry has an id.
+  const migrated = migrateFlatEntries(data.entries);
+  const newIds = createEntryIds(migrated, migrated.filter((e) => e.id === undefined).length);
+  const entries = migrated.map((e) => (e.id === undefined ? { ...e, id: newIds.shift() } : e));
+  return {
+    data: {
+      entries,
+      plans,
+      sessions,
+      exerciseBank: bank.map(toExerciseRecord),
+      settings: { ...DEFAULT_SETTINGS, ...settings },
+    },
+  };
+}
+
+// --- Exercise bank ---
+// Every exercise in the bank is a record `{name, type, equipment,
+// primaryMuscles, secondaryMuscles}`.  `type` says how a set is
+// measured (see EXERCISE_TYPES).  Banks saved by older versions are
+// plain lists of names and are converted when loaded.
+
+const EXERCISE_TYPES = {
+  weight: 'Weight × reps',
+  bodyweight: 'Bodyweight × reps',
+  time: 'Time held',
+  distance: 'Distance / time',
+};
+
+const MUSCLE_GROUPS = [
+  'Chest',
+  'Back',
+  'Shoulders',
+  'Biceps',
+  'Triceps',
+  'Forearms',
+  'Core',
+  'Glutes',
+  'Quadriceps',
+  'Hamstrings',
+  'Adductors',
+  'Abductors',
+  'Calves',
+];
+
+const EQUIPMENT = ['Barbell', 'Dumbbell', 'Kettlebell', 'Machine', 'Cable', 'Band', 'Bodyweight', 'Other'];
+
+// Predefined exercises suggested by the user.  They are always part of
+// the bank; users can add further exercises via the UI.
+const bankExercise = (name, type, equipment, primaryMuscles, secondaryMuscles) => ({
+  name,
+  type,
+  equipment,
+  primaryMuscles,
+  secondaryMuscles,
+});
+const DEFAULT_EXERCISES = [
+  bankExercise('Leg press', 'weight', 'Machine', ['Quadriceps', 'Glutes'], ['Hamstrings']),
+  bankExercise('Lying leg curl', 'weight', 'Machine', ['Hamstrings'], ['Calves']),
+  bankExercise('Hip abduction machine', 'weight', 'Machine', ['Abductors'], ['Glutes']),
+  bankExercise('Hip adduction machine', 'weight', 'Machine', ['Adductors'], []),
+  bankExercise('Lunges with weights', 'weight', 'Dumbbell', ['Quadriceps', 'Glutes'], ['Hamstrings']),
+  bankExercise('Planking', 'time', 'Bodyweight', ['Core'], ['Shoulders']),
+  bankExercise('Side planking', 'time', 'Bodyweight', ['Core'], ['Abductors']),
+  bankExercise('Triceps push down', 'weight', 'Cable', ['Triceps'], []),
+  bankExercise('Chest press machine', 'weight', 'Machine', ['Chest'], ['Triceps', 'Shoulders']),
+  bankExercise('Seated cable row', 'weight', 'Cable', ['Back'], ['Biceps']),
+  bankExercise('Lat pull-down', 'weight', 'Cable', ['Back'], ['Biceps']),
+  bankExercise('Biceps curl (Barbell)', 'weight', 'Barbell', ['Biceps'], ['Forearms']),
+  bankExercise('Shoulder press machine', 'weight', 'Machine', ['Shoulders'], ['Triceps']),
+  bankExercise('Leg extension', 'weight', 'Machine', ['Quadriceps'], []),
+  bankExercise('Hip thrusts', 'weight', 'Barbell', ['Glutes'], ['Hamstrings']),
+  bankExercise('Bulgarian split squat', 'weight', 'Dumbbell', ['Quadriceps', 'Glutes'], ['Hamstrings']),
+  bankExercise('Single deadlift with weight', 'weight', 'Dumbbell', ['Hamstrings', 'Glutes'], ['Back']),
+  // Main lifts of the plan templates
+  bankExercise('Squat', 'weight', 'Barbell', ['Quadriceps', 'Glutes'], ['Hamstrings', 'Adductors', 'Core']),
+  bankExercise('Bench press', 'weight', 'Barbell', ['Chest'], ['Triceps', 'Shoulders']),
+  bankExercise('Deadlift', 'weight', 'Barbell', ['Hamstrings', 'Glutes', 'Back'], ['Quadriceps', 'Forearms', 'Core']),
+  bankExercise('Overhead press', 'weight', 'Barbell', ['Shoulders'], ['Triceps', 'Core']),
+  bankExercise('Clamshells', 'bodyweight', 'Band', ['Abductors'], ['Glutes']),
+  bankExercise('Alternating leg lower', 'bodyweight', 'Bodyweight', ['Core'], []),
+  bankExercise('Deadbug', 'bodyweight', 'Bodyweight', ['Core'], []),
+  bankExercise('Heel touch', 'bodyweight', 'Bodyweight', ['Core'], []),
+  bankExercise('Crunches', 'bodyweight', 'Bodyweight', ['Core'], []),
+  bankExercise('Side crunches', 'bodyweight', 'Bodyweight', ['Core'], []),
+];
+
+/**
+ * Bank record for a stored bank item.  A bare name (from a bank saved
+ * before exercises had details) becomes a weight × reps exercise, or
+ * takes the details of the default exercise of that name.
+ *
+ * @param {string|object} item Name or (possibly partial) record.
+ * @returns {{name: string, type: string, equipment: string,
+ *   primaryMuscles: Array<string>, secondaryMuscles: Array<string>}}
+ */
+function toExerciseRecord(item) {
+  const name = typeof item === 'string' ? item : String(item.name);
+  const details = typeof item === 'string' ? findExercise(DEFAULT_EXERCISES, name) || {} : item;
+  return {
+    name,
+    type: EXERCISE_TYPES[details.type] ? details.type : 'weight',
+    equipment: details.equipment || '',
+    primaryMuscles: Array.isArray(details.primaryMuscles) ? details.primaryMuscles.slice() : [],
+    secondaryMuscles: Array.isArray(details.secondaryMuscles) ? details.secondaryMuscles.slice() : [],
+  };
+}
+
+// Bank record of an exercise (names match regardless of case), or null
+function findExercise(bank, name) {
+  const lower = String(name || '').toLowerCase();
+  return bank.find((x) => x.name.toLowerCase() === lower) || null;
+}
+
+// How new sets of an exercise are logged: one of SET_TYPES.  Exercises
+// missing from the bank are logged as weight × reps.
+function getExerciseType(bank, name) {
+  const record = findExercise(bank, name);
+  return record && SET_TYPES.includes(record.type) ? record.type : 'weight';
+}
+
+/**
+ * Combine two banks: every record of `bank` plus the records of
+ * `additions` whose names are not in it yet, sorted by name.
+ */
+function mergeExerciseBanks(bank, additions) {
+  const merged = bank.slice();
+  additions.forEach((record) => {
+    if (!findExercise(merged, record.name)) merged.push(record);
+  });
+  return merged.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Add exercises by name; names already in the bank are skipped.
+function addExercisesToBank(bank, names) {
+  return mergeExerciseBanks(bank, names.map(toExerciseRecord));
+}
+
+// The default exercises as records, without those the user renamed or
+// removed (lower-case names from settings.removedExercises)
+function getDefaultExercises(removed) {
+  const skip = new Set(removed || []);
+  return DEFAULT_EXERCISES.filter((x) => !skip.has(x.name.toLowerCase())).map(toExerciseRecord);
+}
+
+/**
+ * Load the exercise bank from storage.  Names stored by older
+ * versions are converted to records, and any defaults missing from the
+ * bank are added so they are always available, unless the user removed
+ * them.  The result is sorted alphabetically and persisted back so
+ * subsequent loads find the full set.  If no bank is found, the
+ * defaults are used.
+ *
+ * @param {Array<string>} [removed] settings.removedExercises
+ */
+function loadExerciseBank(removed) {
+  const data = AppStorage.get('exerciseBank');
+  const stored = Array.isArray(data) ? data : [];
+  let bank = [];
+  try {
+    bank = stored.map(toExerciseRecord);
+  } catch (err) {
+    console.error('Failed to load exercise bank:', err);
+  }
+  const merged = mergeExerciseBanks(bank, getDefaultExercises(removed));
+  // App() loads the bank on every render, so it is only written back
+  // when it was converted or gained defaults
+  if (merged.length !== stored.length || stored.some((x) => typeof x === 'string')) saveExerciseBank(merged);
+  return merged;
+}
+function saveExerciseBank(bank) {
+  AppStorage.set('exerciseBank', bank);
+}
+
+// --- Renaming, merging and removing exercises ---
+// An exercise is stored by name wherever it is used: in entries, in
+// the rows of every plan (weekday lists, workouts and schedules), in a
+// workout in progress, in the bank and as the key of its rest time.
+// Names match regardless of case, as elsewhere in the app.
+
+// Every exercise name in use, sorted; spellings that differ only in
+// case are listed separately so they can be merged.
+function getAllExerciseNames(entries, plans, bank) {
+  const names = new Set(bank.map((x) => x.name));
+  entries.forEach((e) => names.add(e.exercise));
+  plans.forEach((plan) => {
+    getPlanExerciseNames(plan).forEach((name) => names.add(name));
+    Object.values(plan.schedule || {}).forEach((rows) => rows.forEach((row) => names.add(row.exercise)));
+  });
+  return Array.from(names).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Apply `update` to every list of rows in a plan: the weekday lists,
+ * the workouts' exercises and the schedule of past and coming sessions.
+ * `update` receives the rows and the date of a scheduled session (null
+ * for the plan definition) and returns the new rows.
+ */
+function mapPlanRows(plan, update) {
+  const mapped = { ...plan };
+  ['days', 'schedule', 'pastSchedule'].forEach((key) => {
+    if (!plan[key]) return;
+    mapped[key] = {};
+    Object.keys(plan[key]).forEach((k) => {
+      mapped[key][k] = update(plan[key][k], key === 'days' ? null : k);
+    });
+  });
+  if (Array.isArray(plan.workouts)) {
+    mapped.workouts = plan.workouts.map((w) => ({ ...w, exercises: update(w.exercises || [], null) }));
+  }
+  return mapped;
+}
+
+/**
+ * Rewrite every use of some exercises under one name.  Renaming passes
+ * a single old name; merging duplicates passes all of them with the
+ * name to keep.  The bank keeps one record under the new name (that of
+ * an exercise already called so, else the first old one), and a rest
+ * time set for an old name moves over unless the new name has one.
+ *
+ * @param {{entries: Array, plans: Array, liveSession: object|null,
+ *   exerciseBank: Array, settings: object}} data Current app data.
+ * @param {Array<string>} fromNames Names to replace.
+ * @param {string} toName The name they become.
+ * @returns {{data: object, counts: {entries: number, plans: number,
+ *   planRows: number, bank: number}}} The rewritten data and how many
+ *   entries, plans (and rows within them) and bank records change.
+ */
+function renameExercises(data, fromNames, toName) {
+  const from = new Set(fromNames.map((name) => name.toLowerCase()));
+  const matches = (name) => from.has(String(name).toLowerCase()) && name !== toName;
+  const counts = { entries: 0, plans: 0, planRows: 0, bank: 0 };
+  const entries = data.entries.map((e) => {
+    if (!matches(e.exercise)) return e;
+    counts.entries++;
+    return { ...e, exercise: toName };
+  });
+  const plans = data.plans.map((plan) => {
+    let rows = 0;
+    const renamed = mapPlanRows(plan, (list) =>
+      list.map((row) => {
+        if (!matches(row.exercise)) return row;
+        rows++;
+        return { ...row, exercise: toName };
+      })
+    );
+    if (rows === 0) return plan;
+    counts.plans++;
+    counts.planRows += rows;
+    return renamed;
+  });
+  const liveSession = data.liveSession && {
+    ...data.liveSession,
+    exercises: data.liveSession.exercises.map((ex) => (matches(ex.exercise) ? { ...ex, exercise: toName } : ex)),
+  };
+  const source = data.exerciseBank.find((x) => matches(x.name));
+  let exerciseBank = data.exerciseBank.filter((x) => !matches(x.name));
+  counts.bank = data.exerciseBank.length - exerciseBank.length;
+  if (source && !findExercise(exerciseBank, toName)) {
+    exerciseBank = mergeExerciseBanks(exerciseBank, [{ ...source, name: toName }]);
+  }
+  const rest = data.settings.restByExercise;
+  const restByExercise = {};
+  Object.keys(rest).forEach((key) => {
+    if (!from.has(key)) restByExercise[key] = rest[key];
+  });
+  const movedRest = Object.keys(rest).find((key) => from.has(key));
+  if (movedRest !== undefined && restByExercise[toName.toLowerCase()] === undefined) {
+    restByExercise[toName.toLowerCase()] = rest[movedRest];
+  }
+  const settings = {
+    ...data.settings,
+    restByExercise,
+    removedExercises: removedDefaults(data.settings.removedExercises, fromNames, toName),
+  };
+  return { data: { entries, plans, liveSession, exerciseBank, settings }, counts };
+}
+
+/**
+ * Remove an exercise from the bank and from every plan: its rows go
+ * from the plan definitions and from sessions scheduled from `today`
+ * on, while past sessions keep what was planned.  Logged entries are
+ * kept (merge the exercise into another to move them); `counts.entries`
+ * says how many there are.
+ *
+ * @param {object} data Current app data, as for renameExercises().
+ * @param {string} name Exercise to remove.
+ * @param {string} today Today's date (YYYY-MM-DD).
+ * @returns {{data: object, counts: {entries: number, plans: number,
+ *   planRows: number, bank: number}}}
+ */
+function removeExercise(data, name, today) {
+  const lower = name.toLowerCase();
+  const matches = (exercise) => String(exercise).toLowerCase() === lower;
+  const counts = { entries: data.entries.filter((e) => matches(e.exercise)).length, plans: 0, planRows: 0, bank: 0 };
+  const plans = data.plans.map((plan) => {
+    let rows = 0;
+    const updated = mapPlanRows(plan, (list, date) => {
+      if (date !== null && date < today) return list;
+      const kept = list.filter((row) => !matches(row.exercise));
+      rows += list.length - kept.length;
+      return kept;
+    });
+    if (rows === 0) return plan;
+    // A weekly plan's session left without exercises is no session at all
+    Object.keys(updated.schedule || {}).forEach((date) => {
+      if (updated.schedule[date].length === 0) delete updated.schedule[date];
+    });
+    counts.plans++;
+    counts.planRows += rows;
+    return updated;
+  });
+  const exerciseBank = data.exerciseBank.filter((x) => !matches(x.name));
+  counts.bank = data.exerciseBank.length - exerciseBank.length;
+  const restByExercise = { ...data.settings.restByExercise };
+  delete restByExercise[lower];
+  const settings = {
+    ...data.settings,
+    restByExercise,
+    removedExercises: removedDefaults(data.settings.removedExercises, [name], ''),
+  };
+  return { data: { ...data, plans, exerciseBank, settings }, counts };
+}
+
+// settings.removedExercises after default exercises were renamed to
+// `toName` (or removed, with an empty `toName`)
+function removedDefaults(removed, names, toName) {
+  const result = new Set(removed || []);
+  names.forEach((name) => {
+    if (findExercise(DEFAULT_EXERCISES, name) && name.toLowerCase() !== toName.toLowerCase()) {
+      result.add(name.toLowerCase());
+    }
+  });
+  // A default renamed back to its own name returns
+  if (toName) result.delete(toName.toLowerCase());
+  return Array.from(result);
+}
+
+// How long the "entry deleted" toast stays visible before the undo
+// option disappears.  The pending timeout lives outside the component
+// because every state update re-runs App() from scratch.
+const UNDO_TOAST_MS = 6000;
+let undoToastTimer = null;
+
+// --- Rest timer ---
+// The countdown between sets lives outside the component for the same
+// reason as the undo timeout.  Ticking through setState would also
+// rebuild the page every second and take focus away from the set
+// inputs, so each tick writes the remaining time straight into the
+// timer's DOM nodes; a regular render reads the same state.
+const REST_TIMER_STEP = 15;
+const restTimer = { endsAt: null, exercise: '', alerts: null, intervalId: null };
+let restAudioContext = null;
+
+// Rest in seconds after a set of the given exercise
+function getRestSeconds(settings, exercise) {
+  const custom = (settings.restByExercise || {})[String(exercise || '').toLowerCase()];
+  return custom || settings.restSeconds || DEFAULT_SETTINGS.restSeconds;
+}
+
+// Seconds shown as m:ss
+function formatRestTime(seconds) {
+  const s = Math.max(0, seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Whole seconds of rest left, 0 once it is over, or null when no timer runs
+function getRestRemaining() {
+  if (restTimer.endsAt === null) return null;
+  return Math.max(0, Math.ceil((restTimer.endsAt - Date.now()) / 1000));
+}
+
+// Text and state class of the timer for the current moment
+function describeRestTimer() {
+  const remaining = getRestRemaining();
+  if (remaining === null) return { text: formatRestTime(0), label: 'Rest timer', state: 'idle' };
+  const label = restTimer.exercise ? `Rest after ${restTimer.exercise}` : 'Rest';
+  if (remaining === 0) return { text: 'Go!', label, state: 'done' };
+  return { text: formatRestTime(remaining), label, state: 'running' };
+}
+
+function updateRestTimerDisplay() {
+  const container = document.getElementById('rest-timer');
+  if (!container) return;
+  const { text, label, state } = describeRestTimer();
+  document.getElementById('rest-timer-display').textContent = text;
+  document.getElementById('rest-timer-label').textContent = label;
+  container.className = `rest-timer rest-timer--${state}`;
+}
+
+/**
+ * Start (or restart) the rest timer.  Must be called from a user
+ * action so the browser lets the end-of-rest sound play.
+ *
+ * @param {number} seconds Length of the rest.
+ * @param {string} exercise Exercise the rest follows, for the label.
+ * @param {object} settings App settings with the rest alert choices.
+ */
+function startRestTimer(seconds, exercise, settings) {
+  clearInterval(restTimer.intervalId);
+  restTimer.endsAt = Date.now() + seconds * 1000;
+  restTimer.exercise = exercise || '';
+  restTimer.alerts = { sound: settings.restSound, vibrate: settings.restVibrate, notify: settings.restNotify };
+  if (settings.restSound) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (AudioCtx && !restAudioContext) restAudioContext = new AudioCtx();
+    if (restAudioContext && restAudioContext.state === 'suspended') restAudioContext.resume();
+  }
+  restTimer.intervalId = setInterval(tickRestTimer, 250);
+  updateRestTimerDisplay();
+}
+
+function stopRestTimer() {
+  clearInterval(restTimer.intervalId);
+  restTimer.endsAt = null;
+  restTimer.exercise = '';
+  updateRestTimerDisplay();
+}
+
+// Lengthen or shorten a running rest
+function adjustRestTimer(seconds) {
+  const remaining = getRestRemaining();
+  if (!remaining) return;
+  restTimer.endsAt = Date.now() + Math.max(1, remaining + seconds) * 1000;
+  updateRestTimerDisplay();
+}
+
+function tickRestTimer() {
+  updateRestTimerDisplay();
+  if (getRestRemaining() !== 0) return;
+  clearInterval(restTimer.intervalId);
+  const alerts = restTimer.alerts || {};
+  if (alerts.vibrate && navigator.vibrate) navigator.vibrate([300, 150, 300]);
+  if (alerts.sound) playRestSound();
+  if (alerts.notify && document.visibilityState === 'hidden') showRestNotification(restTimer.exercise);
+}
+
+// Three short beeps through the Web Audio API
+function playRestSound() {
+  if (!restAudioContext) return;
+  const start = restAudioContext.currentTime;
+  [0, 0.3, 0.6].forEach((offset) => {
+    const oscillator = restAudioContext.createOscillator();
+    const gain = restAudioContext.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.value = 0.2;
+    oscillator.connect(gain);
+    gain.connect(restAudioContext.destination);
+    oscillator.start(start + offset);
+    oscillator.stop(start + offset + 0.15);
+  });
+}
+
+/**
+ * Tell the user their rest is over while the app is in the background.
+ * Installed apps show notifications through the service worker, which
+ * also works where `new Notification()` is not allowed (Android).
+ */
+function showRestNotification(exercise) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const title = 'Rest over';
+  const options = {
+    body: exercise ? `Time for your next set of ${exercise}.` : 'Time for your next set.',
+    icon: 'icons/icon-192.png',
+    tag: 'rest-timer',
+  };
+  const fallback = () => {
+    try {
+      new Notification(title, options);
+    } catch (err) {
+      console.debug('Rest notification failed', err);
+    }
+  };
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker
+      .getRegistration()
+      .then((reg) => (reg ? reg.showNotification(title, options) : fallback()))
+      .catch(fallback);
+  } else {
+    fallback();
+  }
+}
+
+// Chart drawing functions copied from earlier implementation
+
+// Palette shared by the charts so an exercise keeps its colour
+const CHART_COLOURS = ['#007bff', '#28a745', '#ffc107', '#17a2b8', '#fd7e14', '#6f42c1', '#e83e8c', '#20c997', '#6c757d', '#dc3545'];
+
+// Consecutive sessions further apart than this are joined with a
+// faint dotted line so long breaks are visible on the progress charts.
+const CHART_GAP_DAYS = 21;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Pick tick marks for a date axis spanning the given day numbers.
+ * Short ranges are ticked by day, medium ones by week or fortnight
+ * (Mondays) and long ones by month, quarter or year so that at most `maxTicks`
+ * labels are drawn.
+ *
+ * @param {number} minDay First visible day number.
+ * @param {number} maxDay Last visible day number.
+ * @param {number} maxTicks Upper bound on the number of ticks.
+ * @returns {Array<{day: number, label: string}>}
+ */
+function getTimeTicks(minDay, maxDay, maxTicks) {
+  const span = maxDay - minDay;
+  const ticks = [];
+  const dayLabel = (day) => {
+    const [, m, d] = dayNumberToDate(day).split('-');
+    return `${parseInt(m)}/${parseInt(d)}`;
+  };
+  if (span <= maxTicks * 14) {
+    // Daily, weekly or fortnightly ticks.  Weekly ticks land on
+    // Mondays (day 4 of the epoch was a Monday).
+    const step = span <= maxTicks ? 1 : Math.ceil(span / maxTicks / 7) * 7;
+    let day = Math.ceil(minDay);
+    if (step > 1) day += (((4 - day) % 7) + 7) % 7;
+    for (; day <= maxDay; day += step) ticks.push({ day, label: dayLabel(day) });
+    return ticks;
+  }
+  const months = span / 30.44;
+  const stepMonths = [1, 2, 3, 6, 12, 24, 60].find((n) => months / n <= maxTicks) || 120;
+  const start = dayNumberToDate(Math.ceil(minDay)).split('-').map(Number);
+  let year = start[0];
+  let month = start[1] - 1;
+  // Start on the first whole month aligned to the step
+  if (start[2] > 1) month++;
+  month = Math.ceil(month / stepMonths) * stepMonths;
+  for (;;) {
+    year += Math.floor(month / 12);
+    month %= 12;
+    const day = Math.round(Date.UTC(year, month, 1) / MS_PER_DAY);
+    if (day > maxDay) break;
+    const label = stepMonths >= 12 ? String(year) : month === 0 ? `${MONTH_NAMES[0]} ${year}` : MONTH_NAMES[month];
+    ticks.push({ day, label });
+    month += stepMonths;
+  }
+  return ticks;
+}
+
+/**
+ * Draw the per-exercise progress chart: top-set weight and estimated
+ * 1RM against the left axis and reps against the right axis.  Points
+ * are placed by date, so the spacing reflects how often the exercise
+ * was trained, and breaks longer than CHART_GAP_DAYS are drawn dotted.
+ * `view` optionally restricts the x axis to a window of day numbers
+ * (used for zooming and panning); the y axes fit the visible points.
+ * `trendData`, when given, is drawn as an e1RM trend overlay.
+ * Bodyweight, timed and distance exercises plot their own metrics in
+ * the weight and reps slots (e.g. longest hold and total time) without
+ * an e1RM;
+ * `legend` then names the two series.
+ *
+ * @returns {object|null} Layout of the visible points for hit testing,
+ *   or null when there was nothing to draw.
+ */
+function drawLineChart(canvas, dates, weightData, repsData, e1rmData, exerciseName, unit, view, trendData, legend) {
+  const ctx = canvas.getContext('2d');
+  // Handle high DPI displays by scaling the canvas based on the device
+  // pixel ratio.  The canvas's CSS size is determined by its parent
+  // container; use getBoundingClientRect() to get that size.  Then
+  // multiply by the devicePixelRatio and scale the context so the
+  // rendering remains crisp.  Without this adjustment, charts appear
+  // blurry on mobile and high‑resolution screens.
+  const rect = canvas.getBoundingClientRect();
+  const cssWidth = rect.width;
+  const cssHeight = rect.height;
+  const dpr = window.devicePixelRatio || 1;
+  // Only resize the canvas if its internal size differs from the
+  // desired size.  This avoids clearing the canvas unnecessarily.
+  if (canvas.width !== cssWidth * dpr || canvas.height !== cssHeight * dpr) {
+    canvas.width = cssWidth * dpr;
+    canvas.height = cssHeight * dpr;
+    ctx.scale(dpr, dpr);
+  }
+  const width = cssWidth;
+  const height = cssHeight;
+  ctx.clearRect(0, 0, width, height);
+  if (!dates || dates.length === 0) {
+    ctx.fillStyle = '#666';
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('No data available', width / 2, height / 2);
+    return null;
+  }
+  const margin = { left: 50, right: 50, top: 50, bottom: 60 };
+  const chartWidth = width - margin.left - margin.right;
+  const chartHeight = height - margin.top - margin.bottom;
+  // The visible window in day numbers.  Without a view the whole
+  // history is shown (at least a week, centred on a lone session).
+  const days = dates.map(dateToDayNumber);
+  const domain = view || getLineChartDomain(dates);
+  const domainMin = domain.min;
+  const domainMax = domain.max;
+  const span = domainMax - domainMin;
+  const indexToX = (i) => margin.left + (chartWidth * (days[i] - domainMin)) / span;
+  const visibleIdx = days.map((_, i) => i).filter((i) => days[i] >= domainMin - 1e-9 && days[i] <= domainMax + 1e-9);
+  const pick = (data) => visibleIdx.map((i) => data[i]);
+  const minWeight = 0;
+  // The estimated 1RM shares the weight axis
+  const maxWeight = Math.max(...pick(weightData), ...pick(e1rmData || []), ...pick(trendData || []), 1);
+  const minReps = 0;
+  const maxReps = Math.max(...pick(repsData), 1);
+  const weightToY = (val) => margin.top + chartHeight - ((val - minWeight) / (maxWeight - minWeight)) * chartHeight;
+  const repsToY = (val) => margin.top + chartHeight - ((val - minReps) / (maxReps - minReps)) * chartHeight;
+  ctx.strokeStyle = '#333';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(margin.left, margin.top + chartHeight);
+  ctx.lineTo(margin.left + chartWidth, margin.top + chartHeight);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(margin.left, margin.top);
+  ctx.lineTo(margin.left, margin.top + chartHeight);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(margin.left + chartWidth, margin.top);
+  ctx.lineTo(margin.left + chartWidth, margin.top + chartHeight);
+  ctx.stroke();
+  const yTickCount = 5;
+  ctx.fillStyle = '#666';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'right';
+  for (let i = 0; i <= yTickCount; i++) {
+    const value = minWeight + ((maxWeight - minWeight) * i) / yTickCount;
+    const y = weightToY(value);
+    ctx.strokeStyle = '#eee';
+    ctx.beginPath();
+    ctx.moveTo(margin.left, y);
+    ctx.lineTo(margin.left + chartWidth, y);
+    ctx.stroke();
+    ctx.fillStyle = '#666';
+    ctx.fillText(value.toFixed(0), margin.left - 5, y + 3);
+  }
+  ctx.textAlign = 'left';
+  for (let i = 0; i <= yTickCount; i++) {
+    const value = minReps + ((maxReps - minReps) * i) / yTickCount;
+    const y = repsToY(value);
+    ctx.fillStyle = '#666';
+    ctx.fillText(value.toFixed(0), margin.left + chartWidth + 5, y + 3);
+  }
+  ctx.textAlign = 'center';
+  ctx.fillStyle = '#666';
+  const maxTicks = Math.max(2, Math.floor(chartWidth / 60));
+  getTimeTicks(domainMin, domainMax, maxTicks).forEach((tick) => {
+    const x = margin.left + (chartWidth * (tick.day - domainMin)) / span;
+    ctx.strokeStyle = '#333';
+    ctx.beginPath();
+    ctx.moveTo(x, margin.top + chartHeight);
+    ctx.lineTo(x, margin.top + chartHeight + 4);
+    ctx.stroke();
+    ctx.save();
+    ctx.translate(x, margin.top + chartHeight + 15);
+    ctx.rotate(-Math.PI / 6);
+    ctx.fillText(tick.label, 0, 0);
+    ctx.restore();
+  });
+  // Clip the series to the plot area so zoomed-out segments do not
+  // spill over the axes.
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(margin.left - 4, margin.top - 4, chartWidth + 8, chartHeight + 8);
+  ctx.clip();
+  // Draw a series segment by segment: regular gaps solid (or with the
+  // series' own dash), breaks longer than CHART_GAP_DAYS faint and dotted.
+  const drawSeries = (data, colour, toY, dash) => {
+    ctx.strokeStyle = colour;
+    ctx.lineWidth = 2;
+    for (let i = 1; i < data.length; i++) {
+      const isGap = days[i] - days[i - 1] > CHART_GAP_DAYS;
+      ctx.globalAlpha = isGap ? 0.4 : 1;
+      ctx.setLineDash(isGap ? [2, 4] : dash);
+      ctx.beginPath();
+      ctx.moveTo(indexToX(i - 1), toY(data[i - 1]));
+      ctx.lineTo(indexToX(i), toY(data[i]));
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([]);
+  };
+  drawSeries(weightData, '#007bff', weightToY, []);
+  if (e1rmData && e1rmData.length > 0) drawSeries(e1rmData, '#28a745', weightToY, [5, 3]);
+  drawSeries(repsData, '#dc3545', repsToY, []);
+  if (trendData) {
+    ctx.strokeStyle = '#fd7e14';
+    ctx.lineWidth = 2;
+    ctx.globalAlpha = 0.8;
+    ctx.beginPath();
+    trendData.forEach((val, i) => {
+      if (i === 0) ctx.moveTo(indexToX(i), weightToY(val));
+      else ctx.lineTo(indexToX(i), weightToY(val));
+    });
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+  }
+  visibleIdx.forEach((i) => {
+    const x = indexToX(i);
+    const yW = weightToY(weightData[i]);
+    ctx.fillStyle = '#007bff';
+    ctx.beginPath();
+    ctx.arc(x, yW, 3, 0, Math.PI * 2);
+    ctx.fill();
+    const yR = repsToY(repsData[i]);
+    ctx.fillStyle = '#dc3545';
+    ctx.beginPath();
+    ctx.arc(x, yR, 3, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  ctx.restore();
+  ctx.fillStyle = '#333';
+  ctx.font = 'bold 12px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText(`${exerciseName} Progress`, margin.left + chartWidth / 2, margin.top - 20);
+  const legendX = margin.left + 5;
+  const legendY = margin.top - 5;
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#007bff';
+  ctx.fillRect(legendX, legendY, 8, 8);
+  ctx.fillStyle = '#333';
+  const [firstLabel, secondLabel] = legend || [unit ? `Weight (${unit})` : 'Weight', 'Reps'];
+  ctx.fillText(firstLabel, legendX + 12, legendY + 7);
+  const secondX = legendX + Math.max(70, ctx.measureText(firstLabel).width + 20);
+  ctx.fillStyle = '#dc3545';
+  ctx.fillRect(secondX, legendY, 8, 8);
+  ctx.fillStyle = '#333';
+  ctx.fillText(secondLabel, secondX + 12, legendY + 7);
+  if (e1rmData && e1rmData.length > 0) {
+    const thirdX = secondX + 50;
+    ctx.fillStyle = '#28a745';
+    ctx.fillRect(thirdX, legendY, 8, 8);
+    ctx.fillStyle = '#333';
+    ctx.fillText('Est. 1RM', thirdX + 12, legendY + 7);
+  }
+  if (trendData) {
+    const fourthX = secondX + 120;
+    ctx.fillStyle = '#fd7e14';
+    ctx.fillRect(fourthX, legendY, 8, 8);
+    ctx.fillStyle = '#333';
+    ctx.fillText('Trend', fourthX + 12, legendY + 7);
+  }
+  return {
+    margin,
+    chartWidth,
+    chartHeight,
+    points: visibleIdx.map((i) => ({ index: i, x: indexToX(i), y: weightToY(weightData[i]) })),
+  };
+}
+
+/**
+ * The full x range of a progress chart in day numbers: the first to
+ * the last session, widened to at least a week so a single session or
+ * a few days of training are not stretched across the whole chart.
+ */
+function getLineChartDomain(dates) {
+  const days = dates.map(dateToDayNumber);
+  let min = Math.min(...days);
+  let max = Math.max(...days);
+  if (max - min < 7) {
+    const mid = (min + max) / 2;
+    min = mid - 3.5;
+    max = mid + 3.5;
+  }
+  return { min, max };
+}
+
+/**
+ * Draw a stacked bar chart.  Each label gets one bar made of one
+ * segment per series; series keep the same colour across bars and are
+ * listed in a legend below the axis.
+ *
+ * @param {HTMLCanvasElement} canvas Target canvas.
+ * @param {Array<string>} labels Bar labels (x axis).
+ * @param {Array<{label: string, data: Array<number>}>} series Stacked values.
+ * @param {string} title Chart title.
+ * @param {{min: number, max: number}} [view] Visible window in bar
+ *   units, where bar i spans [i, i + 1].  Defaults to all bars.
+ * @returns {object|null} Layout of the visible bars for hit testing.
+ */
+function drawBarChart(canvas, labels, series, title, view) {
+  const ctx = canvas.getContext('2d');
+  // Scale the canvas for high DPI displays using the same technique as
+  // drawLineChart().  This ensures bar charts remain crisp on mobile
+  // devices and high‑resolution screens.
+  const rect = canvas.getBoundingClientRect();
+  const cssWidth = rect.width;
+  const cssHeight = rect.height;
+  const dpr = window.devicePixelRatio || 1;
+  if (canvas.width !== cssWidth * dpr || canvas.height !== cssHeight * dpr) {
+    canvas.width = cssWidth * dpr;
+    canvas.height = cssHeight * dpr;
+    ctx.scale(dpr, dpr);
+  }
+  const width = cssWidth;
+  const height = cssHeight;
+  ctx.clearRect(0, 0, width, height);
+  if (!labels || labels.length === 0 || !series || series.length === 0) {
+    ctx.fillStyle = '#666';
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('No data available', width / 2, height / 2);
+    return null;
+  }
+  // Leave room below the axis for the rotated labels and the legend
+  const legendRows = Math.ceil(series.length / 4);
+  const margin = { left: 50, right: 30, top: 40, bottom: 50 + legendRows * 14 };
+  const chartWidth = width - margin.left - margin.right;
+  const chartHeight = height - margin.top - margin.bottom;
+  const domainMin = view ? view.min : 0;
+  const domainMax = view ? view.max : labels.length;
+  const slot = chartWidth / (domainMax - domainMin);
+  const posToX = (pos) => margin.left + (pos - domainMin) * slot;
+  // Bars that are at least partly inside the window
+  const visibleIdx = labels.map((_, i) => i).filter((i) => i + 1 > domainMin && i < domainMax);
+  const totals = labels.map((_, idx) => series.reduce((sum, s) => sum + (s.data[idx] || 0), 0));
+  const maxVal = Math.max(...visibleIdx.map((i) => totals[i]), 1);
+  const barCount = visibleIdx.length;
+  const spacingRatio = 0.3;
+  const barWidth = slot / (1 + spacingRatio);
+  ctx.strokeStyle = '#333';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(margin.left, margin.top);
+  ctx.lineTo(margin.left, margin.top + chartHeight);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(margin.left, margin.top + chartHeight);
+  ctx.lineTo(margin.left + chartWidth, margin.top + chartHeight);
+  ctx.stroke();
+  const yTicks = 5;
+  ctx.font = '10px sans-serif';
+  ctx.fillStyle = '#666';
+  ctx.textAlign = 'right';
+  for (let i = 0; i <= yTicks; i++) {
+    const value = (maxVal * i) / yTicks;
+    const y = margin.top + chartHeight - (chartHeight * i) / yTicks;
+    ctx.strokeStyle = '#eee';
+    ctx.beginPath();
+    ctx.moveTo(margin.left, y);
+    ctx.lineTo(margin.left + chartWidth, y);
+    ctx.stroke();
+    ctx.fillStyle = '#666';
+    ctx.fillText(value.toFixed(0), margin.left - 5, y + 3);
+  }
+  const colours = CHART_COLOURS;
+  // Thin out labels when there are many bars
+  const skip = barCount > 12 ? Math.ceil(barCount / 12) : 1;
+  ctx.textAlign = 'center';
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(margin.left, 0, chartWidth, height);
+  ctx.clip();
+  visibleIdx.forEach((idx, n) => {
+    const label = labels[idx];
+    const x = posToX(idx + 0.5) - barWidth / 2;
+    let y = margin.top + chartHeight;
+    series.forEach((s, sIdx) => {
+      const value = s.data[idx] || 0;
+      if (value <= 0) return;
+      const segHeight = (value / maxVal) * chartHeight;
+      y -= segHeight;
+      ctx.fillStyle = colours[sIdx % colours.length];
+      ctx.fillRect(x, y, barWidth, segHeight);
+    });
+    if (n % skip === 0 || n === barCount - 1) {
+      ctx.save();
+      ctx.translate(x + barWidth / 2, margin.top + chartHeight + 12);
+      ctx.rotate(-Math.PI / 6);
+      ctx.fillStyle = '#333';
+      ctx.fillText(label, 0, 0);
+      ctx.restore();
+    }
+  });
+  ctx.restore();
+  // Legend: up to four series per row
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'left';
+  const legendTop = margin.top + chartHeight + 36;
+  const columnWidth = chartWidth / 4;
+  series.forEach((s, sIdx) => {
+    const lx = margin.left + (sIdx % 4) * columnWidth;
+    const ly = legendTop + Math.floor(sIdx / 4) * 14;
+    ctx.fillStyle = colours[sIdx % colours.length];
+    ctx.fillRect(lx, ly, 8, 8);
+    ctx.fillStyle = '#333';
+    ctx.fillText(s.label, lx + 12, ly + 7, columnWidth - 16);
+  });
+  ctx.fillStyle = '#333';
+  ctx.font = 'bold 12px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText(title, margin.left + chartWidth / 2, margin.top - 15);
+  return {
+    margin,
+    chartWidth,
+    chartHeight,
+    points: visibleIdx.map((i) => ({ index: i, x: posToX(i + 0.5), y: margin.top + chartHeight - (totals[i] / maxVal) * chartHeight })),
+  };
+}
+
+// --- Chart interaction ---
+// Zoom/pan window of each chart, keyed by canvas id, with the domain it
+// was chosen in.  Kept outside the component so it survives the full
+// re-render that follows every state update (the canvases themselves
+// are recreated each time).
+const chartViews = {};
+
+/**
+ * Make a chart canvas interactive.  Hovering (or tapping on touch
+ * screens) shows a tooltip for the nearest point, the mouse wheel or a
+ * two-finger pinch zooms the x axis around the pointer, dragging pans
+ * and a double click resets the view.
+ *
+ * The chart is described by:
+ * - domain: the full x range `{min, max}` in the chart's own units,
+ * - minSpan: the narrowest window zooming may reach,
+ * - draw(view): redraws the canvas for a window and returns the
+ *   layout from drawLineChart()/drawBarChart(),
+ * - describe(index): the tooltip lines for a point.
+ *
+ * @param {HTMLCanvasElement} canvas The chart canvas (must have an id).
+ * @param {object} chart Chart description, see above.
+ */
+function attachChartInteractions(canvas, chart) {
+  const full = chart.domain;
+  const fullSpan = full.max - full.min;
+  const clampView = (view) => {
+    if (fullSpan <= 0) return { ...full };
+    const span = Math.min(Math.max(view.max - view.min, Math.min(chart.minSpan, fullSpan)), fullSpan);
+    let min = view.min;
+    if (min < full.min) min = full.min;
+    if (min + span > full.max) min = full.max - span;
+    return { min, max: min + span };
+  };
+  // A window chosen for other data (another exercise or range, or
+  // entries added or removed since) no longer applies
+  const stored = chartViews[canvas.id];
+  if (stored && (stored.domain.min !== full.min || stored.domain.max !== full.max)) {
+    delete chartViews[canvas.id];
+  }
+  const getView = () => (chartViews[canvas.id] ? chartViews[canvas.id].view : full);
+  let layout = chart.draw(getView());
+  if (!layout) return;
+  const setView = (view) => {
+    const clamped = clampView(view);
+    // Forget the window once it covers everything again
+    if (clamped.min <= full.min && clamped.max >= full.max) {
+      delete chartViews[canvas.id];
+    } else {
+      chartViews[canvas.id] = { view: clamped, domain: { min: full.min, max: full.max } };
+    }
+    layout = chart.draw(getView()) || layout;
+  };
+  const localX = (ev) => ev.clientX - canvas.getBoundingClientRect().left;
+  const localY = (ev) => ev.clientY - canvas.getBoundingClientRect().top;
+  const xToDomain = (x, view) => view.min + ((x - layout.margin.left) / layout.chartWidth) * (view.max - view.min);
+  const zoomAround = (anchorX, factor, baseView) => {
+    const view = baseView || getView();
+    const anchor = xToDomain(anchorX, view);
+    setView({ min: anchor - (anchor - view.min) * factor, max: anchor + (view.max - anchor) * factor });
+  };
+
+  // Tooltip element, created lazily inside the chart container
+  let tooltip = null;
+  const hideTooltip = () => {
+    if (tooltip) tooltip.style.display = 'none';
+  };
+  const showTooltip = (x, y) => {
+    let nearest = null;
+    layout.points.forEach((p) => {
+      if (!nearest || Math.abs(p.x - x) < Math.abs(nearest.x - x)) nearest = p;
+    });
+    if (!nearest || Math.abs(nearest.x - x) > 30) {
+      hideTooltip();
+      return;
+    }
+    const container = canvas.parentElement;
+    if (!tooltip) {
+      tooltip = document.createElement('div');
+      tooltip.className = 'chart-tooltip';
+      container.appendChild(tooltip);
+    }
+    tooltip.textContent = '';
+    chart.describe(nearest.index).forEach((line, idx) => {
+      const row = document.createElement('div');
+      if (idx === 0) row.className = 'chart-tooltip-title';
+      row.textContent = line;
+      tooltip.appendChild(row);
+    });
+    tooltip.style.display = 'block';
+    const left = Math.min(nearest.x + 12, canvas.offsetLeft + canvas.clientWidth - tooltip.offsetWidth - 4);
+    tooltip.style.left = `${Math.max(canvas.offsetLeft + 4, left)}px`;
+    tooltip.style.top = `${Math.max(4, Math.min(y, layout.margin.top + layout.chartHeight) - 10)}px`;
+  };
+
+  // Active pointers for drag and pinch gestures
+  const pointers = new Map();
+  let drag = null;
+  let pinch = null;
+  let moved = false;
+  const pinchDistance = () => {
+    const [a, b] = Array.from(pointers.values());
+    return Math.abs(a.x - b.x) || 1;
+  };
+  canvas.addEventListener('pointerdown', (ev) => {
+    if (canvas.setPointerCapture) canvas.setPointerCapture(ev.pointerId);
+    pointers.set(ev.pointerId, { x: localX(ev), y: localY(ev) });
+    moved = false;
+    if (pointers.size === 1) {
+      drag = { x: localX(ev), view: getView() };
+    } else if (pointers.size === 2) {
+      const [a, b] = Array.from(pointers.values());
+      drag = null;
+      pinch = { distance: pinchDistance(), center: (a.x + b.x) / 2, view: getView() };
+      hideTooltip();
+    }
+  });
+  canvas.addEventListener('pointermove', (ev) => {
+    const x = localX(ev);
+    if (pointers.has(ev.pointerId)) {
+      pointers.set(ev.pointerId, { x, y: localY(ev) });
+      if (pinch && pointers.size === 2) {
+        moved = true;
+        zoomAround(pinch.center, pinch.distance / pinchDistance(), pinch.view);
+      } else if (drag) {
+        const dx = x - drag.x;
+        if (Math.abs(dx) > 3) moved = true;
+        if (moved) {
+          const span = drag.view.max - drag.view.min;
+          const shift = (-dx / layout.chartWidth) * span;
+          setView({ min: drag.view.min + shift, max: drag.view.max + shift });
+          hideTooltip();
+        }
+      }
+    } else if (ev.pointerType === 'mouse') {
+      showTooltip(x, localY(ev));
+    }
+  });
+  const endPointer = (ev) => {
+    if (!pointers.has(ev.pointerId)) return;
+    pointers.delete(ev.pointerId);
+    // A touch that did not move is a tap: show the tooltip there
+    if (!moved && ev.type === 'pointerup' && ev.pointerType !== 'mouse') {
+      showTooltip(localX(ev), localY(ev));
+    }
+    if (pointers.size < 2) pinch = null;
+    if (pointers.size === 0) drag = null;
+  };
+  canvas.addEventListener('pointerup', endPointer);
+  canvas.addEventListener('pointercancel', endPointer);
+  canvas.addEventListener('pointerleave', (ev) => {
+    if (ev.pointerType === 'mouse' && pointers.size === 0) hideTooltip();
+  });
+  canvas.addEventListener(
+    'wheel',
+    (ev) => {
+      ev.preventDefault();
+      zoomAround(localX(ev), ev.deltaY > 0 ? 1.25 : 0.8);
+      hideTooltip();
+    },
+    { passive: false }
+  );
+  canvas.addEventListener('dblclick', () => {
+    delete chartViews[canvas.id];
+    layout = chart.draw(full) || layout;
+    hideTooltip();
+  });
+}
+
+// --------------------- Main Application Component ---------------------
+
+function App() {
+  // Navigation state: 'log', 'plan', 'exercises', 'progress'
+  const [view, setView] = React.useState('log');
+  // Persisted data
+  const [entries, setEntries] = React.useState(loadEntries());
+  // Plan library; the active plan (if any) drives the schedule
+  const [plans, setPlans] = React.useState(loadPlans());
+  const [settings, setSettings] = React.useState(loadSettings());
+  const displayUnit = settings.displayUnit;
+  // Log page state
+  const [logDate, setLogDate] = React.useState(formatDate(new Date()));
+  const [logExercise, setLogExercise] = React.useState('');
+  // Sets entered in the log form.  Values are kept as the raw input
+  // strings until the form is submitted.
+  const [logSets, setLogSets] = React.useState([{ weight: '', reps: '', seconds: '', distance: '', rpe: '' }]);
+  const [logUnit, setLogUnit] = React.useState(displayUnit);
+  const [logNotes, setLogNotes] = React.useState('');
+  const [logMessage, setLogMessage] = React.useState(null);
+  const [logMessageType, setLogMessageType] = React.useState('success');
+  // Whether the rest timer's settings are shown (the timer itself is
+  // module state, see startRestTimer())
+  const [restSettingsOpen, setRestSettingsOpen] = React.useState(false);
+  // Finished workout sessions and the one in progress (see
+  // handleStartSession()), the exercise picked to add to it and
+  // whether discarding it is waiting for confirmation.
+  const [sessions, setSessions] = React.useState(loadSessions());
+  const [liveSession, setLiveSession] = React.useState(loadLiveSession());
+  const [sessionExercise, setSessionExercise] = React.useState('');
+  const [confirmDiscardSession, setConfirmDiscardSession] = React.useState(false);
+  // Planned-workout inputs, keyed by exercise.  Each value is an array
+  // with one string per set so every planned exercise can hold
+  // several sets.
+  const [groupWeights, setGroupWeights] = React.useState({});
+  const [groupReps, setGroupReps] = React.useState({});
+  const [groupSeconds, setGroupSeconds] = React.useState({});
+  const [groupDistances, setGroupDistances] = React.useState({});
+  const [groupRpes, setGroupRpes] = React.useState({});
+  const [groupUnit, setGroupUnit] = React.useState(displayUnit);
+  // When logging an exercise, the user can select from the bank via a
+  // dropdown.  Selecting "Other" reveals a custom input field.  This
+  // state tracks whether that custom input should be shown.
+  const [showLogCustomInput, setShowLogCustomInput] = React.useState(false);
+  // Exercise bank state.  This list is persisted in storage and
+  // prepopulated with a set of common exercises.  Users can add to
+  // this bank via the log page.
+  const [exerciseBank, setExerciseBank] = React.useState(loadExerciseBank(settings.removedExercises));
+  // Exercises page: the bank record being edited as a draft (`original`
+  // is the name it was loaded from, null for a new exercise) and the
+  // page's message.
+  const [bankDraft, setBankDraft] = React.useState(null);
+  const [bankMessage, setBankMessage] = React.useState(null);
+  const [bankMessageType, setBankMessageType] = React.useState('success');
+  // Exercise manager: the change being prepared ('rename', 'merge' or
+  // 'remove'), the exercise it applies to, the new name or the exercise
+  // to merge into, and whether its preview is showing.
+  const [manageAction, setManageAction] = React.useState('rename');
+  const [manageSource, setManageSource] = React.useState('');
+  const [manageTarget, setManageTarget] = React.useState('');
+  const [managePreview, setManagePreview] = React.useState(false);
+  // Inline editing of logged entries.  editingEntryId identifies the
+  // row currently shown as inputs and editDraft holds the unsaved
+  // field values for that row.
+  const [editingEntryId, setEditingEntryId] = React.useState(null);
+  const [editDraft, setEditDraft] = React.useState({});
+  // The most recently deleted entry (and its former position) so the
+  // deletion can be undone from the toast.
+  const [undoDelete, setUndoDelete] = React.useState(null);
+  // CSV import preview: the parsed entries (each flagged as duplicate or
+  // new) and any lines that could not be read, shown before merging.
+  const [importPreview, setImportPreview] = React.useState(null);
+  const [importSkipDuplicates, setImportSkipDuplicates] = React.useState(true);
+  // Progress page filters: a PROGRESS_RANGES key, the bounds of the
+  // custom range and the selected exercises (empty means all).
+  const [progressRange, setProgressRange] = React.useState('all');
+  const [progressFrom, setProgressFrom] = React.useState('');
+  const [progressTo, setProgressTo] = React.useState('');
+  const [progressExercises, setProgressExercises] = React.useState([]);
+  // Whether the weekly set targets per muscle group are being edited
+  const [editMuscleTargets, setEditMuscleTargets] = React.useState(false);
+  const [importMessage, setImportMessage] = React.useState(null);
+  const [importMessageType, setImportMessageType] = React.useState('success');
+  // JSON restore: the validated backup waiting for confirmation and
+  // whether it should replace or be merged into the current data.
+  const [restorePreview, setRestorePreview] = React.useState(null);
+  const [restoreMode, setRestoreMode] = React.useState('merge');
+  const [backupMessage, setBackupMessage] = React.useState(null);
+  const [backupMessageType, setBackupMessageType] = React.useState('success');
+
+  // --- Microsoft Clarity integration for single‑page navigation ---
+  /**
+   * Notify Microsoft Clarity when the user navigates to a new tab inside
+   * this single-page application.  Without this call, Clarity may treat
+   * all interactions as occurring on a single page, which can cause
+   * heatmaps and dashboard reports to appear empty or greyed out.
+   *
+   * @param {string} viewName The logical page name (e.g., 'log', 'plan', 'exercises', 'progress').
+   */
+  function trackClarity(viewName) {
+    if (typeof window !== 'undefined' && typeof window.clarity === 'function') {
+      try {
+        // Update the `page` tag for Clarity.  Clarity queues this call
+        // internally if its script has not finished loading.
+        window.clarity('set', 'page', viewName);
+      } catch (err) {
+        // Silently ignore any errors if Clarity is not ready.
+        console.debug('Clarity track failed', err);
+      }
+    }
+  }
+  // Plan page state
+  const [planSelectedDays, setPlanSelectedDays] = React.useState({});
+  const [planExercises, setPlanExercises] = React.useState({});
+  const [planEndDate, setPlanEndDate] = React.useState('');
+  const [planMessage, setPlanMessage] = React.useState(null);
+  const [planMessageType, setPlanMessageType] = React.useState('success');
+  // Rotation and cycle plans: a PLAN_TYPES key, the workouts being
+  // edited (their exercises live in planExercises under `w<index>`)
+  // and whether missed sessions are pushed to the next slot.
+  const [planType, setPlanType] = React.useState('weekly');
+  const [planWorkouts, setPlanWorkouts] = React.useState([]);
+  const [planPushMissed, setPlanPushMissed] = React.useState(true);
+  // Targets of each plan form row, parallel to planExercises: raw
+  // {sets, reps, load, loadType} strings per row.
+  const [planTargets, setPlanTargets] = React.useState({});
+  // Plan library: name of the plan being created, whether it starts
+  // straight away, the chosen template and the plan whose details are
+  // expanded.
+  const [planName, setPlanName] = React.useState('');
+  const [planActivate, setPlanActivate] = React.useState(true);
+  const [planTemplate, setPlanTemplate] = React.useState(Object.keys(PLAN_TEMPLATES)[0]);
+  const [expandedPlanId, setExpandedPlanId] = React.useState(null);
+  // Id of the library plan loaded into the plan form for editing, or
+  // null while the form creates a new plan.
+  const [editingPlanId, setEditingPlanId] = React.useState(null);
+  // Adherence calendar: the month shown ('YYYY-MM') and the past day
+  // whose sessions are shown below it.
+  const [calendarMonth, setCalendarMonth] = React.useState(formatDate(new Date()).slice(0, 7));
+  const [calendarDate, setCalendarDate] = React.useState(null);
+  // The active plan with its schedule brought up to date.  Rotation and
+  // cycle plans depend on which sessions were actually logged, so
+  // their schedule is recomputed from the entries on every render.
+  const plan = schedulePlan(plans.find((p) => p.status === 'active') || null, entries, formatDate(new Date()));
+  // Determine scheduled exercises for logDate if plan exists
+  let scheduledRows = [];
+  if (plan && plan.schedule && plan.schedule[logDate]) {
+    scheduledRows = plan.schedule[logDate];
+  }
+  const scheduledExercises = scheduledRows.map((row) => row.exercise);
+  // Entries with every weight expressed in the display unit.  All
+  // statistics, charts and exports are computed from this list.
+  const displayEntries = entries.map((e) => convertEntryUnit(e, displayUnit));
+  // The subset of displayEntries selected by the progress filters.
+  // Every statistic and chart on the progress page uses this list.
+  const progressBounds = getRangeBounds(progressRange, progressFrom, progressTo);
+  const filteredEntries = filterEntries(
+    displayEntries,
+    progressBounds.fromDate,
+    progressBounds.toDate,
+    progressExercises
+  );
+  // Entries logged before units were recorded.  Until the user says
+  // which unit they used, they are treated as being in the display unit.
+  const unitlessCount = entries.filter((e) => !e.unit).length;
+  // Unique exercises for suggestions
+  const uniqueExercises = getUniqueExercises(entries);
+  // Combine exercises from the bank with those that have been logged
+  // previously.  Using a Set ensures duplicates are removed.  The
+  // resulting list is sorted alphabetically for display in the
+  // datalist of the exercise input.
+  const exerciseNames = exerciseBank.map((x) => x.name);
+  const datalistOptions = Array.from(new Set([...exerciseNames, ...uniqueExercises])).sort();
+
+  // Add the current value of the exercise input to the bank if it
+  // doesn’t already exist.  Provides feedback via the logMessage
+  // state when an exercise is added or when an attempt is made to
+  // add an empty or duplicate entry.
+  function handleAddExerciseToBank() {
+    const trimmed = logExercise.trim();
+    if (!trimmed) {
+      setLogMessage('Please enter an exercise name to add to the bank.');
+      setLogMessageType('error');
+      return;
+    }
+    if (findExercise(exerciseBank, trimmed)) {
+      setLogMessage('Exercise already exists in the bank.');
+      setLogMessageType('error');
+      return;
+    }
+    const updated = addExercisesToBank(exerciseBank, [trimmed]);
+    saveExerciseBank(updated);
+    setExerciseBank(updated);
+    // Set the selected exercise to the newly added value and hide the
+    // custom input field.  This ensures the dropdown reflects the
+    // addition immediately.
+    setShowLogCustomInput(false);
+    setLogExercise(trimmed);
+    setLogMessage('Exercise added to the bank!');
+    setLogMessageType('success');
+  }
+
+  /**
+   * When the user selects an exercise from the dropdown on the log page,
+   * update the current exercise accordingly.  Selecting the special
+   * "Other" option reveals a custom input field.  Selecting any other
+   * option hides the custom input and stores the chosen exercise.
+   *
+   * @param {string} value The selected value from the dropdown.
+   */
+  function handleLogSelectChange(value) {
+    if (value === '__other__') {
+      setShowLogCustomInput(true);
+      // Clear the current exercise so that the user can type a new one
+      setLogExercise('');
+    } else {
+      setShowLogCustomInput(false);
+      setLogExercise(value);
+    }
+  }
+
+  /**
+   * Add all exercises from the plan form to the exercise bank.
+   * Iterate over the comma‑separated exercise lists for each selected
+   * day and add any new exercises to the bank.  Provides feedback to
+   * inform the user how many new exercises were added (if any).  If
+   * there are no new exercises to add, an error message is shown.
+   */
+  function handleAddPlanExercisesToBank() {
+    // Gather all exercises from the current plan form
+    const names = [];
+    Object.values(planExercises).forEach((list) => {
+      list.forEach((ex) => {
+        if (ex.trim()) names.push(ex.trim());
+      });
+    });
+    const bank = addExercisesToBank(exerciseBank, names);
+    const count = bank.length - exerciseBank.length;
+    if (count > 0) {
+      setExerciseBank(bank);
+      saveExerciseBank(bank);
+      setPlanMessage(`${count} exercise${count === 1 ? '' : 's'} added to bank.`);
+      setPlanMessageType('success');
+    } else {
+      setPlanMessage('No new exercises found to add.');
+      setPlanMessageType('error');
+    }
+  }
+  // --- Exercises page ---
+
+  function handleEditBankExercise(name) {
+    setBankDraft({ ...toExerciseRecord(findExercise(exerciseBank, name)), original: name });
+    setBankMessage(null);
+  }
+
+  function handleNewBankExercise() {
+    setBankDraft({ ...toExerciseRecord(''), original: null });
+    setBankMessage(null);
+  }
+
+  // Tick a muscle group as primary or secondary; a muscle is only ever
+  // in one of the two lists.
+  function toggleBankMuscle(field, muscle) {
+    const other = field === 'primaryMuscles' ? 'secondaryMuscles' : 'primaryMuscles';
+    const list = bankDraft[field].includes(muscle)
+      ? bankDraft[field].filter((m) => m !== muscle)
+      : [...bankDraft[field], muscle];
+    setBankDraft({ ...bankDraft, [field]: list, [other]: bankDraft[other].filter((m) => m !== muscle) });
+  }
+
+  function handleSaveBankExercise(e) {
+    e.preventDefault();
+    const name = bankDraft.original || bankDraft.name.trim();
+    if (!name) {
+      setBankMessage('Please enter an exercise name.');
+      setBankMessageType('error');
+      return;
+    }
+    if (!bankDraft.original && findExercise(exerciseBank, name)) {
+      setBankMessage(`“${name}” is already in the bank.`);
+      setBankMessageType('error');
+      return;
+    }
+    const record = toExerciseRecord({ ...bankDraft, name });
+    const updated = bankDraft.original
+      ? exerciseBank.map((x) => (x.name === bankDraft.original ? record : x))
+      : mergeExerciseBanks(exerciseBank, [record]);
+    saveExerciseBank(updated);
+    setExerciseBank(updated);
+    setBankDraft(null);
+    setBankMessage(bankDraft.original ? `“${name}” updated.` : `“${name}” added to the bank.`);
+    setBankMessageType('success');
+  }
+
+  /**
+   * Work out the change chosen in the exercise manager against the
+   * current data.  Returns `{error}` when the inputs do not make a
+   * valid change, otherwise the result of renameExercises() or
+   * removeExercise() with a `summary` for the preview.
+   */
+  function prepareExerciseChange() {
+    const source = manageSource;
+    const target = manageTarget.trim();
+    if (!source) return { error: 'Please choose an exercise.' };
+    const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+    const planned = (counts) =>
+      `${count(counts.planRows, 'planned exercise', 'planned exercises')} in ${count(counts.plans, 'plan', 'plans')}`;
+    const data = { entries, plans, liveSession, exerciseBank, settings };
+    if (manageAction === 'remove') {
+      const change = removeExercise(data, source, formatDate(new Date()));
+      const { counts } = change;
+      let summary = `Removing “${source}” deletes it from the bank`;
+      if (counts.planRows > 0) summary += ` and drops ${planned(counts)}`;
+      summary += '.';
+      if (counts.entries > 0) {
+        const kept = count(counts.entries, 'logged entry is', 'logged entries are');
+        summary += ` Its ${kept} kept; merge it into another exercise to move them.`;
+      }
+      return { ...change, summary };
+    }
+    if (!target) {
+      return {
+        error: manageAction === 'merge' ? 'Please choose the exercise to merge into.' : 'Please enter the new name.',
+      };
+    }
+    if (target === source) return { error: 'The new name is the same as the old one.' };
+    const taken = getAllExerciseNames(entries, plans, exerciseBank).some(
+      (name) => name.toLowerCase() === target.toLowerCase() && name.toLowerCase() !== source.toLowerCase()
+    );
+    if (manageAction === 'rename' && taken) {
+      return { error: `“${target}” already exists. Merge the two exercises instead.` };
+    }
+    const change = renameExercises(data, [source], target);
+    const { counts } = change;
+    const parts = [];
+    if (counts.entries > 0) parts.push(count(counts.entries, 'logged entry', 'logged entries'));
+    if (counts.planRows > 0) parts.push(planned(counts));
+    if (counts.bank > 0) parts.push(count(counts.bank, 'bank exercise', 'bank exercises'));
+    const verb = manageAction === 'merge' ? `Merging “${source}” into` : `Renaming “${source}” to`;
+    const changed = parts.length > 0 ? parts.join(', ') : 'no records';
+    return { ...change, summary: `${verb} “${target}” changes ${changed}.` };
+  }
+
+  function handlePreviewExerciseChange(e) {
+    e.preventDefault();
+    const change = prepareExerciseChange();
+    if (change.error) {
+      setBankMessage(change.error);
+      setBankMessageType('error');
+      return;
+    }
+    setBankMessage(null);
+    setManagePreview(true);
+  }
+
+  // Carry out the previewed change on entries, plans, the workout in
+  // progress, the bank and the settings at once.
+  function handleApplyExerciseChange() {
+    const change = prepareExerciseChange();
+    if (change.error) {
+      setBankMessage(change.error);
+      setBankMessageType('error');
+      setManagePreview(false);
+      return;
+    }
+    const { data } = change;
+    // Settings first: the bank is re-merged with the defaults on every
+    // render, skipping only those listed as removed
+    saveSettings(data.settings);
+    setSettings(data.settings);
+    saveEntries(data.entries);
+    setEntries(data.entries);
+    savePlans(data.plans);
+    setPlans(data.plans);
+    if (liveSession) updateLiveSession(data.liveSession);
+    saveExerciseBank(data.exerciseBank);
+    setExerciseBank(data.exerciseBank);
+    // Names that no longer exist drop out of the progress filter
+    setProgressExercises(progressExercises.filter((ex) => data.entries.some((entry) => entry.exercise === ex)));
+    setBankDraft(null);
+    setManageSource('');
+    setManageTarget('');
+    setManagePreview(false);
+    const target = manageTarget.trim();
+    if (manageAction === 'remove') setBankMessage(`“${manageSource}” removed.`);
+    else if (manageAction === 'merge') setBankMessage(`“${manageSource}” merged into “${target}”.`);
+    else setBankMessage(`“${manageSource}” renamed to “${target}”.`);
+    setBankMessageType('success');
+  }
+
+  // Event handlers for logging individual workouts
+  function handleLogSubmit(e) {
+    e.preventDefault();
+    const trimmedExercise = logExercise.trim();
+    if (!logDate) {
+      setLogMessage('Please select a date.');
+      setLogMessageType('error');
+      return;
+    }
+    if (!trimmedExercise) {
+      setLogMessage('Please enter an exercise name.');
+      setLogMessageType('error');
+      return;
+    }
+    const type = getExerciseType(exerciseBank, trimmedExercise);
+    const parsed = parseSetInputs(logSets, '', type);
+    if (parsed.error) {
+      setLogMessage(parsed.error);
+      setLogMessageType('error');
+      return;
+    }
+    const newEntry = {
+      id: createEntryIds(entries, 1)[0],
+      date: logDate,
+      exercise: trimmedExercise,
+      type,
+      sets: parsed.sets,
+      unit: logUnit,
+      notes: logNotes.trim(),
+    };
+    const records = findNewRecords(entries, newEntry, settings.e1rmFormula, settings.repBuckets);
+    const updated = [...entries, newEntry];
+    saveEntries(updated);
+    setEntries(updated);
+    setLogExercise('');
+    setLogSets([{ weight: '', reps: '', seconds: '', distance: '', rpe: '' }]);
+    setLogNotes('');
+    setLogMessage(withRecordBadge('Workout logged successfully!', records));
+    setLogMessageType('success');
+    startRestTimer(getRestSeconds(settings, trimmedExercise), trimmedExercise, settings);
+  }
+
+  // Rest length for one exercise; an empty value falls back to the default
+  function updateExerciseRest(exercise, value) {
+    const restByExercise = { ...settings.restByExercise };
+    const seconds = parseInt(value, 10);
+    if (seconds > 0) restByExercise[exercise.toLowerCase()] = seconds;
+    else delete restByExercise[exercise.toLowerCase()];
+    updateSettings({ restByExercise });
+  }
+
+  // Background notifications need the browser's permission first
+  function handleRestNotifyChange(enabled) {
+    if (!enabled) {
+      updateSettings({ restNotify: false });
+      return;
+    }
+    if (!('Notification' in window)) {
+      setLogMessage('This browser does not support notifications.');
+      setLogMessageType('error');
+      return;
+    }
+    Notification.requestPermission().then((permission) => {
+      if (permission === 'granted') {
+        updateSettings({ restNotify: true });
+      } else {
+        setLogMessage('Notifications are blocked for this site. Allow them in the browser settings to use them.');
+        setLogMessageType('error');
+      }
+    });
+  }
+
+  // --- Live workout session ---
+  // A session in progress is `{id, date, startedAt, workout, unit,
+  // current, exercises}`; each exercise holds raw set inputs with a
+  // `done` flag for the sets already ticked off.
+
+  function updateLiveSession(session) {
+    saveLiveSession(session);
+    setLiveSession(session);
+  }
+
+  // Session exercise with sets prefilled from the plan row or, without
+  // targets, from the previous session of the exercise.  A timed
+  // exercise's rep target is the time to hold and a distance exercise's
+  // the metres to cover.
+  function createSessionExercise(exercise, row, date, unit) {
+    const type = getExerciseType(exerciseBank, exercise);
+    const unitEntries = entries.map((e) => convertEntryUnit(e, unit));
+    let sets = row && (row.sets || row.repsMin || row.load) ? getPlannedSetInputs(row, unitEntries, unit, settings.e1rmFormula, date) : [];
+    if (type === 'time') sets = sets.map((set) => ({ ...set, seconds: set.reps }));
+    if (type === 'distance') sets = sets.map((set) => ({ ...set, distance: set.reps }));
+    if (sets.length === 0) {
+      const previous = getPreviousEntry(unitEntries, exercise, date);
+      sets = previous
+        ? setsToInputs(getEntrySets(previous))
+        : [{ weight: '', reps: '', seconds: '', distance: '', rpe: '' }];
+    }
+    return {
+      exercise,
+      type,
+      target: row ? formatPrescription(row) : '',
+      sets: sets.map((set) => ({ ...set, done: false })),
+    };
+  }
+
+  /**
+   * Start a workout session now.  Today's planned exercises are loaded
+   * in order; without a plan the session starts empty and exercises
+   * are added as you go.
+   */
+  function handleStartSession() {
+    const today = formatDate(new Date());
+    const rows = plan && plan.schedule && plan.schedule[today] ? plan.schedule[today] : [];
+    updateLiveSession({
+      id: Date.now(),
+      date: today,
+      startedAt: new Date().toISOString(),
+      workout: getPlannedWorkoutName(plan, today, dayNames),
+      unit: displayUnit,
+      current: 0,
+      exercises: rows.map((row) => createSessionExercise(row.exercise, row, today, displayUnit)),
+    });
+    setConfirmDiscardSession(false);
+    setLogMessage(null);
+  }
+
+  function updateSessionExercise(index, update) {
+    updateLiveSession({
+      ...liveSession,
+      exercises: liveSession.exercises.map((ex, i) => (i === index ? update(ex) : ex)),
+    });
+  }
+
+  function updateSessionSet(exIndex, setIndex, field, value) {
+    updateSessionExercise(exIndex, (ex) => ({
+      ...ex,
+      sets: ex.sets.map((set, i) => (i === setIndex ? { ...set, [field]: value } : set)),
+    }));
+  }
+
+  // Switch the session to another unit.  The entries are saved in the
+  // session's unit, so every weight filled in so far (prefilled or
+  // typed, ticked or not) is converted to keep the same load.
+  function changeSessionUnit(unit) {
+    if (unit === liveSession.unit) return;
+    const convert = (value) =>
+      isNaN(parseFloat(value)) ? value : String(convertWeight(value, liveSession.unit, unit));
+    updateLiveSession({
+      ...liveSession,
+      unit,
+      exercises: liveSession.exercises.map((ex) => ({
+        ...ex,
+        sets: ex.sets.map((set) => ({ ...set, weight: convert(set.weight) })),
+      })),
+    });
+  }
+
+  /**
+   * Tick a set off (or undo the tick).  A ticked set must be valid for
+   * the exercise's set type; ticking starts the rest timer, and once every set
+   * of the exercise is done the session moves on to the next exercise
+   * with sets left.
+   */
+  function toggleSessionSet(exIndex, setIndex) {
+    const ex = liveSession.exercises[exIndex];
+    const set = ex.sets[setIndex];
+    if (!set.done) {
+      const parsed = parseSetInputs([set], ex.exercise, ex.type);
+      if (parsed.error) {
+        setLogMessage(parsed.error);
+        setLogMessageType('error');
+        return;
+      }
+    }
+    const sets = ex.sets.map((s, i) => (i === setIndex ? { ...s, done: !s.done } : s));
+    const exercises = liveSession.exercises.map((e, i) => (i === exIndex ? { ...e, sets } : e));
+    let current = liveSession.current;
+    if (!set.done && sets.every((s) => s.done)) {
+      const next = exercises.findIndex((e, i) => i > exIndex && e.sets.some((s) => !s.done));
+      if (next !== -1) current = next;
+    }
+    updateLiveSession({ ...liveSession, exercises, current });
+    setLogMessage(null);
+    if (!set.done) startRestTimer(getRestSeconds(settings, ex.exercise), ex.exercise, settings);
+  }
+
+  // Another set like the last one
+  function addSessionSet(exIndex) {
+    updateSessionExercise(exIndex, (ex) => {
+      const last = ex.sets[ex.sets.length - 1] || { weight: '', reps: '', seconds: '', distance: '', rpe: '' };
+      return { ...ex, sets: [...ex.sets, { ...last, done: false }] };
+    });
+  }
+
+  function removeSessionSet(exIndex, setIndex) {
+    updateSessionExercise(exIndex, (ex) => ({ ...ex, sets: ex.sets.filter((_, i) => i !== setIndex) }));
+  }
+
+  function handleAddSessionExercise() {
+    const name = sessionExercise.trim();
+    if (!name) return;
+    const exercise = createSessionExercise(name, null, liveSession.date, liveSession.unit);
+    updateLiveSession({
+      ...liveSession,
+      exercises: [...liveSession.exercises, exercise],
+      current: liveSession.exercises.length,
+    });
+    setSessionExercise('');
+  }
+
+  /**
+   * Finish the session: every exercise with ticked sets becomes one
+   * entry tagged with the session, and the session's start and end
+   * time are stored for the duration and density statistics.
+   */
+  function handleFinishSession() {
+    const newEntries = [];
+    const ids = createEntryIds(entries, liveSession.exercises.length);
+    liveSession.exercises.forEach((ex) => {
+      const done = ex.sets.filter((set) => set.done);
+      if (done.length === 0) return;
+      newEntries.push({
+        id: ids[newEntries.length],
+        date: liveSession.date,
+        exercise: ex.exercise,
+        type: ex.type || 'weight',
+        sets: parseSetInputs(done, ex.exercise, ex.type).sets,
+        unit: liveSession.unit,
+        notes: '',
+        sessionId: liveSession.id,
+      });
+    });
+    if (newEntries.length === 0) {
+      setLogMessage('Tick off at least one set before finishing, or discard the workout.');
+      setLogMessageType('error');
+      return;
+    }
+    const session = {
+      id: liveSession.id,
+      date: liveSession.date,
+      startedAt: liveSession.startedAt,
+      endedAt: new Date().toISOString(),
+      workout: liveSession.workout,
+    };
+    const records = [];
+    newEntries.forEach((entry) => {
+      findNewRecords(entries, entry, settings.e1rmFormula, settings.repBuckets).forEach((label) =>
+        records.push(`${entry.exercise} ${label}`)
+      );
+    });
+    const updatedEntries = entries.concat(newEntries);
+    saveEntries(updatedEntries);
+    setEntries(updatedEntries);
+    const updatedSessions = sessions.concat(session);
+    saveSessions(updatedSessions);
+    setSessions(updatedSessions);
+    updateLiveSession(null);
+    stopRestTimer();
+    const [stats] = calculateSessionStats([session], newEntries);
+    const exercises = `${stats.exercises} ${stats.exercises === 1 ? 'exercise' : 'exercises'}`;
+    const sets = `${stats.sets} ${stats.sets === 1 ? 'set' : 'sets'}`;
+    setLogMessage(withRecordBadge(`Workout saved: ${exercises}, ${sets} in ${formatDuration(stats.minutes)}.`, records));
+    setLogMessageType('success');
+  }
+
+  function handleDiscardSession() {
+    updateLiveSession(null);
+    setConfirmDiscardSession(false);
+    stopRestTimer();
+    setLogMessage('Workout discarded.');
+    setLogMessageType('success');
+  }
+
+  /**
+   * Append a "New PR!" badge listing the broken records to a log
+   * message.  The message state accepts element arrays as well as
+   * strings, so the badge is rendered inside the usual alert.
+   *
+   * @param {string} text The success message.
+   * @param {Array<string>} records Labels from findNewRecords().
+   */
+  function withRecordBadge(text, records) {
+    if (!records || records.length === 0) return text;
+    return [
+      text,
+      ' ',
+      React.createElement('span', { className: 'pr-badge', key: 'pr-badge' }, 'New PR!'),
+      ` ${records.join(', ')}`,
+    ];
+  }
+
+  function updateLogSet(index, field, value) {
+    setLogSets(logSets.map((set, i) => (i === index ? { ...set, [field]: value } : set)));
+  }
+
+  // Add another set to the log form, copying the previous set's values
+  // since consecutive sets are usually similar.
+  function addLogSet() {
+    const last = logSets[logSets.length - 1] || { weight: '', reps: '', seconds: '', distance: '', rpe: '' };
+    setLogSets([...logSets, { ...last }]);
+  }
+
+  function removeLogSet(index) {
+    if (logSets.length <= 1) return;
+    setLogSets(logSets.filter((_, i) => i !== index));
+  }
+  // Handler for logging group workouts
+  function handleGroupSubmit(e) {
+    e.preventDefault();
+    if (!logDate) {
+      setLogMessage('Please select a date.');
+      setLogMessageType('error');
+      return;
+    }
+    const newEntries = [];
+    const ids = createEntryIds(entries, scheduledExercises.length);
+    for (const ex of scheduledExercises) {
+      const type = getExerciseType(exerciseBank, ex);
+      const parsed = parseSetInputs(getGroupSetInputs(ex), ex, type);
+      if (parsed.error) {
+        setLogMessage(parsed.error);
+        setLogMessageType('error');
+        return;
+      }
+      newEntries.push({
+        id: ids[newEntries.length],
+        date: logDate,
+        exercise: ex,
+        type,
+        sets: parsed.sets,
+        unit: groupUnit,
+        notes: '',
+      });
+    }
+    const records = [];
+    newEntries.forEach((entry) => {
+      findNewRecords(entries, entry, settings.e1rmFormula, settings.repBuckets).forEach((label) =>
+        records.push(`${entry.exercise} ${label}`)
+      );
+    });
+    const updated = entries.concat(newEntries);
+    saveEntries(updated);
+    setEntries(updated);
+    setGroupWeights({});
+    setGroupReps({});
+    setGroupSeconds({});
+    setGroupDistances({});
+    setGroupRpes({});
+    setLogMessage(withRecordBadge('Planned workouts logged successfully!', records));
+    setLogMessageType('success');
+  }
+
+  /**
+   * Inputs suggested by the plan for a planned exercise: one set per
+   * target set, filled with the suggested or target load (in the group
+   * form's unit) and the bottom of the target rep range.
+   *
+   * @param {string} ex Exercise name.
+   * @returns {{weight: Array<string>, reps: Array<string>, seconds: Array<string>, distance: Array<string>,
+   *   rpe: Array<string>}}
+   */
+  function getGroupPrefill(ex) {
+    const row = scheduledRows.find((r) => r.exercise === ex);
+    if (!row) return { weight: [], reps: [], seconds: [], distance: [], rpe: [] };
+    const unitEntries = entries.map((e) => convertEntryUnit(e, groupUnit));
+    const sets = getPlannedSetInputs(row, unitEntries, groupUnit, settings.e1rmFormula, logDate);
+    // A timed exercise's rep target is the time to hold and a distance
+    // exercise's the metres to cover
+    const type = getExerciseType(exerciseBank, ex);
+    const targets = sets.map((set) => set.reps);
+    return {
+      weight: sets.map((set) => set.weight),
+      reps: targets,
+      seconds: type === 'time' ? targets : [],
+      distance: type === 'distance' ? targets : [],
+      rpe: [],
+    };
+  }
+
+  /**
+   * Collect the set inputs entered for a planned exercise.  The
+   * per-exercise arrays in groupWeights/groupReps/groupSeconds/
+   * groupDistances/groupRpes are zipped into one object per set; an
+   * exercise always has at least one set.  Until the user edits a
+   * field it shows the plan's targets.
+   *
+   * @param {string} ex Exercise name.
+   * @returns {Array<{weight: string, reps: string, seconds: string, distance: string, rpe: string}>}
+   */
+  function getGroupSetInputs(ex) {
+    const prefill = getGroupPrefill(ex);
+    const weights = groupWeights[ex] || prefill.weight;
+    const reps = groupReps[ex] || prefill.reps;
+    const seconds = groupSeconds[ex] || prefill.seconds;
+    const distances = groupDistances[ex] || prefill.distance;
+    const rpes = groupRpes[ex] || prefill.rpe;
+    const count = Math.max(weights.length, reps.length, seconds.length, distances.length, rpes.length, 1);
+    const list = [];
+    for (let i = 0; i < count; i++) {
+      list.push({
+        weight: weights[i] || '',
+        reps: reps[i] || '',
+        seconds: seconds[i] || '',
+        distance: distances[i] || '',
+        rpe: rpes[i] || '',
+      });
+    }
+    return list;
+  }
+
+  function updateGroupSet(ex, index, field, value) {
+    const sources = {
+      weight: [groupWeights, setGroupWeights],
+      reps: [groupReps, setGroupReps],
+      seconds: [groupSeconds, setGroupSeconds],
+      distance: [groupDistances, setGroupDistances],
+      rpe: [groupRpes, setGroupRpes],
+    };
+    const [current, setter] = sources[field];
+    const list = (current[ex] || getGroupPrefill(ex)[field]).slice();
+    list[index] = value;
+    setter({ ...current, [ex]: list });
+  }
+
+  function addGroupSet(ex) {
+    const sets = getGroupSetInputs(ex);
+    const last = sets[sets.length - 1];
+    setGroupWeights({ ...groupWeights, [ex]: sets.map((set) => set.weight).concat(last.weight) });
+    setGroupReps({ ...groupReps, [ex]: sets.map((set) => set.reps).concat(last.reps) });
+    setGroupSeconds({ ...groupSeconds, [ex]: sets.map((set) => set.seconds).concat(last.seconds) });
+    setGroupDistances({ ...groupDistances, [ex]: sets.map((set) => set.distance).concat(last.distance) });
+    setGroupRpes({ ...groupRpes, [ex]: sets.map((set) => set.rpe).concat(last.rpe) });
+  }
+
+  function removeGroupSet(ex, index) {
+    const sets = getGroupSetInputs(ex);
+    if (sets.length <= 1) return;
+    const remaining = sets.filter((_, i) => i !== index);
+    setGroupWeights({ ...groupWeights, [ex]: remaining.map((set) => set.weight) });
+    setGroupReps({ ...groupReps, [ex]: remaining.map((set) => set.reps) });
+    setGroupSeconds({ ...groupSeconds, [ex]: remaining.map((set) => set.seconds) });
+    setGroupDistances({ ...groupDistances, [ex]: remaining.map((set) => set.distance) });
+    setGroupRpes({ ...groupRpes, [ex]: remaining.map((set) => set.rpe) });
+  }
+
+  /**
+   * Switch a row of the entries table into edit mode.  The draft is
+   * seeded with the entry's current values as strings so they can be
+   * bound directly to the inputs.
+   *
+   * @param {object} entry The entry to edit.
+   */
+  function handleStartEdit(entry) {
+    setEditDraft({
+      date: entry.date,
+      exercise: entry.exercise,
+      type: getEntryType(entry),
+      sets: setsToInputs(entry.sets),
+      unit: entry.unit || displayUnit,
+      notes: entry.notes || '',
+    });
+    setEditingEntryId(entry.id);
+  }
+
+  // A renamed entry is logged the way its new exercise is, so the set
+  // inputs switch with it; going back to the entry's own exercise
+  // restores its type.
+  function handleEditFieldChange(field, value) {
+    const draft = { ...editDraft, [field]: value };
+    if (field === 'exercise') {
+      const entry = entries.find((e) => e.id === editingEntryId);
+      draft.type = entry && entry.exercise === value ? getEntryType(entry) : getExerciseType(exerciseBank, value);
+    }
+    setEditDraft(draft);
+  }
+
+  function updateEditSet(index, field, value) {
+    const sets = (editDraft.sets || []).map((set, i) => (i === index ? { ...set, [field]: value } : set));
+    setEditDraft({ ...editDraft, sets });
+  }
+
+  function addEditSet() {
+    const sets = editDraft.sets || [];
+    const last = sets[sets.length - 1] || { weight: '', reps: '', seconds: '', distance: '', rpe: '' };
+    setEditDraft({ ...editDraft, sets: [...sets, { ...last }] });
+  }
+
+  function removeEditSet(index) {
+    const sets = editDraft.sets || [];
+    if (sets.length <= 1) return;
+    setEditDraft({ ...editDraft, sets: sets.filter((_, i) => i !== index) });
+  }
+
+  function handleCancelEdit() {
+    setEditingEntryId(null);
+    setEditDraft({});
+  }
+
+  /**
+   * Validate the draft and write it back over the entry being edited.
+   * The entry keeps its original id so anything referring to it stays
+   * valid; all derived statistics update from the new entries state.
+   */
+  function handleSaveEdit() {
+    const trimmedExercise = (editDraft.exercise || '').trim();
+    if (!editDraft.date) {
+      setLogMessage('Please select a date.');
+      setLogMessageType('error');
+      return;
+    }
+    if (!trimmedExercise) {
+      setLogMessage('Please enter an exercise name.');
+      setLogMessageType('error');
+      return;
+    }
+    const parsed = parseSetInputs(editDraft.sets, '', editDraft.type);
+    if (parsed.error) {
+      setLogMessage(parsed.error);
+      setLogMessageType('error');
+      return;
+    }
+    const updated = entries.map((entry) =>
+      entry.id === editingEntryId
+        ? {
+            ...entry,
+            date: editDraft.date,
+            exercise: trimmedExercise,
+            type: editDraft.type,
+            sets: parsed.sets,
+            unit: editDraft.unit,
+            notes: (editDraft.notes || '').trim(),
+          }
+        : entry
+    );
+    saveEntries(updated);
+    setEntries(updated);
+    setEditingEntryId(null);
+    setEditDraft({});
+    setLogMessage('Workout updated.');
+    setLogMessageType('success');
+  }
+
+  function updateSettings(changes) {
+    const updated = { ...settings, ...changes };
+    saveSettings(updated);
+    setSettings(updated);
+  }
+
+  /**
+   * Assign a unit to every entry that was logged before units were
+   * recorded.  Called from the one-off prompt shown while such entries
+   * exist; once answered, no unitless entries remain and the prompt
+   * does not appear again.
+   *
+   * @param {string} unit 'kg' or 'lbs'.
+   */
+  function handleAssignLegacyUnit(unit) {
+    const updated = entries.map((e) => (e.unit ? e : { ...e, unit }));
+    saveEntries(updated);
+    setEntries(updated);
+    setLogUnit(unit);
+    setGroupUnit(unit);
+  }
+
+  /**
+   * Read a CSV file chosen on the progress page and build the import
+   * preview.  Nothing is saved until the user confirms the import.
+   *
+   * @param {Event} ev Change event of the file input.
+   */
+  function handleImportFile(ev) {
+    const file = ev.target.files && ev.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = parseImportedCSV(String(reader.result || ''), displayUnit);
+      const existing = new Set(entries.map(entrySignature));
+      const seen = new Set();
+      const rows = result.entries.map((entry) => {
+        const signature = entrySignature(entry);
+        // Rows repeated within the same file count as duplicates too
+        const duplicate = existing.has(signature) || seen.has(signature);
+        seen.add(signature);
+        return { entry, duplicate };
+      });
+      setImportMessage(null);
+      setImportPreview({ fileName: file.name, rows, errors: result.errors });
+    };
+    reader.onerror = () => {
+      setImportMessage('Could not read the selected file.');
+      setImportMessageType('error');
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * Merge the previewed entries into the history.  Each imported entry
+   * gets a fresh id, and exercises that are not yet in the bank are
+   * added to it.
+   */
+  function handleConfirmImport() {
+    if (!importPreview) return;
+    const rows = importPreview.rows.filter((row) => !(importSkipDuplicates && row.duplicate));
+    if (rows.length === 0) {
+      setImportMessage('Nothing to import.');
+      setImportMessageType('error');
+      return;
+    }
+    const ids = createEntryIds(entries, rows.length);
+    const imported = rows.map((row, idx) => ({ id: ids[idx], ...row.entry }));
+    const updated = sortEntries(entries.concat(imported));
+    saveEntries(updated);
+    setEntries(updated);
+    const newNames = Array.from(new Set(imported.map((e) => e.exercise))).filter((name) => !findExercise(exerciseBank, name));
+    if (newNames.length > 0) {
+      const bank = addExercisesToBank(exerciseBank, newNames);
+      saveExerciseBank(bank);
+      setExerciseBank(bank);
+    }
+    setImportPreview(null);
+    setImportMessage(
+      `Imported ${imported.length} ${imported.length === 1 ? 'entry' : 'entries'}` +
+        (newNames.length > 0 ? ` and added ${newNames.length} exercise${newNames.length === 1 ? '' : 's'} to the bank.` : '.')
+    );
+    setImportMessageType('success');
+  }
+
+  function handleCancelImport() {
+    setImportPreview(null);
+  }
+
+  /**
+   * Read and validate a JSON backup chosen on the progress page.  A
+   * valid backup is held in restorePreview until the user picks a
+   * restore mode and confirms.
+   *
+   * @param {Event} ev Change event of the file input.
+   */
+  function handleRestoreFile(ev) {
+    const file = ev.target.files && ev.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let parsed;
+      try {
+        parsed = JSON.parse(String(reader.result || ''));
+      } catch (err) {
+        setBackupMessage('The file is not valid JSON.');
+        setBackupMessageType('error');
+        return;
+      }
+      const result = validateBackup(parsed);
+      if (result.error) {
+        setBackupMessage(result.error);
+        setBackupMessageType('error');
+        return;
+      }
+      setBackupMessage(null);
+      setRestorePreview({ fileName: file.name, exportedAt: parsed.exportedAt, data: result.data });
+    };
+    reader.onerror = () => {
+      setBackupMessage('Could not read the selected file.');
+      setBackupMessageType('error');
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * Apply the previewed backup.  "replace" swaps every stored value
+   * for the backup's; "merge" adds entries, plans, sessions and
+   * exercises that are not present yet.  Settings are only restored in replace mode.
+   */
+  function handleConfirmRestore() {
+    if (!restorePreview) return;
+    const data = restorePreview.data;
+    let newEntries;
+    let newPlans;
+    let newSessions;
+    let newBank;
+    if (restoreMode === 'replace') {
+      newEntries = sortEntries(data.entries.slice());
+      newPlans = data.plans;
+      newSessions = data.sessions;
+      newBank = data.exerciseBank;
+      saveSettings(data.settings);
+      setSettings(data.settings);
+    } else {
+      const ids = new Set(entries.map((e) => e.id));
+      const signatures = new Set(entries.map(entrySignature));
+      const additions = data.entries.filter((e) => !ids.has(e.id) && !signatures.has(entrySignature(e)));
+      newEntries = sortEntries(entries.concat(additions));
+      // Plans not in the library yet are added; the current active
+      // plan (if any) stays the only active one.
+      const planIds = new Set(plans.map((p) => p.id));
+      const hasActive = plans.some((p) => p.status === 'active');
+      newPlans = plans.concat(
+        data.plans
+          .filter((p) => !planIds.has(p.id))
+          .map((p) => (hasActive && p.status === 'active' ? endPlan(p, newEntries, formatDate(new Date())) : p))
+      );
+      const sessionIds = new Set(sessions.map((x) => x.id));
+      newSessions = sessions.concat(data.sessions.filter((x) => !sessionIds.has(x.id)));
+      newBank = mergeExerciseBanks(exerciseBank, data.exerciseBank);
+    }
+    // Defaults stay available whatever the backup contained, unless
+    // they were removed
+    const removed = restoreMode === 'replace' ? data.settings.removedExercises : settings.removedExercises;
+    newBank = mergeExerciseBanks(newBank, getDefaultExercises(removed));
+    saveEntries(newEntries);
+    setEntries(newEntries);
+    savePlans(newPlans);
+    setPlans(newPlans);
+    saveSessions(newSessions);
+    setSessions(newSessions);
+    saveExerciseBank(newBank);
+    setExerciseBank(newBank);
+    setRestorePreview(null);
+    const added = newEntries.length - entries.length;
+    setBackupMessage(
+      restoreMode === 'replace' ? 'Backup restored.' : `Backup merged: ${added} ${added === 1 ? 'entry' : 'entries'} added.`
+    );
+    setBackupMessageType('success');
+  }
+
+  /**
+   * Remove an entry from the history.  The removed entry is kept in
+   * undoDelete so the toast can put it back in its original position;
+   * the toast dismisses itself after a few seconds.
+   *
+   * @param {object} entry The entry to delete.
+   */
+  function handleDeleteEntry(entry) {
+    const index = entries.findIndex((e) => e.id === entry.id);
+    if (index === -1) return;
+    const updated = entries.filter((e) => e.id !== entry.id);
+    saveEntries(updated);
+    setEntries(updated);
+    if (editingEntryId === entry.id) {
+      setEditingEntryId(null);
+      setEditDraft({});
+    }
+    clearTimeout(undoToastTimer);
+    setUndoDelete({ entry, index });
+    undoToastTimer = setTimeout(() => setUndoDelete(null), UNDO_TOAST_MS);
+  }
+
+  function handleUndoDelete() {
+    if (!undoDelete) return;
+    clearTimeout(undoToastTimer);
+    const updated = entries.slice();
+    updated.splice(Math.min(undoDelete.index, updated.length), 0, undoDelete.entry);
+    saveEntries(updated);
+    setEntries(updated);
+    setUndoDelete(null);
+  }
+  // Event handlers for plan page
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  function togglePlanDay(idx) {
+    const current = !!planSelectedDays[idx];
+    const newState = { ...planSelectedDays, [idx]: !current };
+    setPlanSelectedDays(newState);
+    if (current) {
+      // Deselecting the day: remove its exercises from the plan
+      const copy = { ...planExercises };
+      delete copy[idx];
+      setPlanExercises(copy);
+      const targets = { ...planTargets };
+      delete targets[idx];
+      setPlanTargets(targets);
+    } else {
+      // Selecting the day: initialise with a single empty exercise row
+      if (!planExercises[idx]) {
+        setPlanExercises({ ...planExercises, [idx]: [''] });
+      }
+    }
+  }
+  // Add a new exercise row for the specified day.  The new row
+  // initially contains an empty string, which will trigger the
+  // "Other" input field in the UI.
+  function addPlanExerciseRow(dayIdx) {
+    const list = planExercises[dayIdx] ? planExercises[dayIdx].slice() : [];
+    list.push('');
+    setPlanExercises({ ...planExercises, [dayIdx]: list });
+  }
+
+  // Remove the exercise row at the given index for the specified day.
+  function removePlanExerciseRow(dayIdx, rowIndex) {
+    const list = planExercises[dayIdx] ? planExercises[dayIdx].slice() : [];
+    list.splice(rowIndex, 1);
+    setPlanExercises({ ...planExercises, [dayIdx]: list });
+    const targets = (planTargets[dayIdx] || []).slice();
+    targets.splice(rowIndex, 1);
+    setPlanTargets({ ...planTargets, [dayIdx]: targets });
+  }
+
+  // Target inputs of a plan form row; new rows default to loads in the
+  // display unit.
+  function getPlanTarget(dayIdx, rowIndex) {
+    return (
+      (planTargets[dayIdx] || [])[rowIndex] || {
+        sets: '',
+        reps: '',
+        load: '',
+        loadType: displayUnit,
+        progress: false,
+        increment: String(LOAD_STEPS[displayUnit]),
+        deload: String(DEFAULT_PROGRESSION.deloadPercent),
+        failures: String(DEFAULT_PROGRESSION.failures),
+      }
+    );
+  }
+
+  function updatePlanTarget(dayIdx, rowIndex, field, value) {
+    const targets = (planTargets[dayIdx] || []).slice();
+    targets[rowIndex] = { ...getPlanTarget(dayIdx, rowIndex), [field]: value };
+    setPlanTargets({ ...planTargets, [dayIdx]: targets });
+  }
+
+  /**
+   * Build the plan rows of one day or workout of the plan form, skipping
+   * rows without an exercise.  Returns `{rows}` or `{error}` when a
+   * target could not be read.
+   */
+  function collectPlanRows(key) {
+    const rows = [];
+    const names = planExercises[key] || [];
+    for (let i = 0; i < names.length; i++) {
+      const name = (names[i] || '').trim();
+      if (name) {
+        const parsed = parsePlanTarget(getPlanTarget(key, i), name, displayUnit);
+        if (parsed.error) return { error: parsed.error };
+        rows.push({ exercise: name, ...parsed.target });
+      }
+    }
+    return { rows };
+  }
+
+  // Handle a change in the exercise selection dropdown for a given
+  // day/index.  Selecting the special value '__other__' will replace
+  // the current value with an empty string to trigger the custom
+  // input field in the UI.  Otherwise, store the selected exercise.
+  function handlePlanExerciseSelectChange(dayIdx, rowIndex, value) {
+    const list = planExercises[dayIdx] ? planExercises[dayIdx].slice() : [];
+    if (value === '__other__') {
+      list[rowIndex] = '';
+    } else {
+      list[rowIndex] = value;
+    }
+    setPlanExercises({ ...planExercises, [dayIdx]: list });
+  }
+
+  // Handle updates to the custom exercise input field for a given
+  // day/index.  Simply store the typed value in the corresponding
+  // position of the planExercises list.
+  function handlePlanExerciseInputChange(dayIdx, rowIndex, value) {
+    const list = planExercises[dayIdx] ? planExercises[dayIdx].slice() : [];
+    list[rowIndex] = value;
+    setPlanExercises({ ...planExercises, [dayIdx]: list });
+  }
+  // Default workouts shown when switching to a rotation (A/B) or a
+  // cycle (four days) plan.
+  function getDefaultPlanWorkouts(type) {
+    if (type === 'rotation') return [{ name: 'Workout A' }, { name: 'Workout B' }];
+    if (type === 'cycle') return [1, 2, 3, 4].map((n) => ({ name: `Day ${n}` }));
+    return [];
+  }
+
+  /**
+   * Switch the plan form between weekly, rotation and cycle plans.
+   * Workouts of the previous type are discarded; weekday selections are
+   * kept since rotation plans use them as training days.
+   */
+  function handlePlanTypeChange(type) {
+    const workouts = getDefaultPlanWorkouts(type);
+    const copy = {};
+    Object.keys(planExercises).forEach((k) => {
+      if (!k.startsWith('w')) copy[k] = planExercises[k];
+    });
+    workouts.forEach((_, i) => {
+      copy[`w${i}`] = [''];
+    });
+    const targets = {};
+    Object.keys(planTargets).forEach((k) => {
+      if (!k.startsWith('w')) targets[k] = planTargets[k];
+    });
+    setPlanTargets(targets);
+    setPlanType(type);
+    setPlanWorkouts(workouts);
+    setPlanExercises(copy);
+  }
+
+  function updatePlanWorkout(index, changes) {
+    setPlanWorkouts(planWorkouts.map((w, i) => (i === index ? { ...w, ...changes } : w)));
+  }
+
+  function addPlanWorkout() {
+    const index = planWorkouts.length;
+    const name = planType === 'cycle' ? `Day ${index + 1}` : `Workout ${String.fromCharCode(65 + (index % 26))}`;
+    setPlanWorkouts([...planWorkouts, { name }]);
+    setPlanExercises({ ...planExercises, [`w${index}`]: [''] });
+  }
+
+  // Remove the last workout (or cycle day); at least one is kept.
+  function removePlanWorkout() {
+    if (planWorkouts.length <= 1) return;
+    const copy = { ...planExercises };
+    delete copy[`w${planWorkouts.length - 1}`];
+    const targets = { ...planTargets };
+    delete targets[`w${planWorkouts.length - 1}`];
+    setPlanWorkouts(planWorkouts.slice(0, -1));
+    setPlanExercises(copy);
+    setPlanTargets(targets);
+  }
+
+  /**
+   * Validate the rotation/cycle part of the plan form and build the
+   * workouts list.  Returns `{workouts}` or `{error}`.
+   */
+  function collectPlanWorkouts() {
+    const workouts = [];
+    for (let i = 0; i < planWorkouts.length; i++) {
+      const collected = planWorkouts[i].rest ? { rows: [] } : collectPlanRows(`w${i}`);
+      if (collected.error) return { error: collected.error };
+      workouts.push({ name: (planWorkouts[i].name || '').trim() || `Workout ${i + 1}`, exercises: collected.rows });
+    }
+    for (let i = 0; i < workouts.length; i++) {
+      if (!planWorkouts[i].rest && workouts[i].exercises.length === 0) {
+        return { error: `Please enter at least one exercise for ${workouts[i].name}.` };
+      }
+    }
+    if (!workouts.some((w) => w.exercises.length > 0)) {
+      return { error: 'Please add at least one training day to the cycle.' };
+    }
+    return { workouts };
+  }
+
+  function handleSavePlan(e) {
+    e.preventDefault();
+    // Build selected indices
+    const dayIndices = Object.entries(planSelectedDays)
+      .filter(([k, v]) => v && !isNaN(Number(k)) && dayNames[Number(k)] !== undefined)
+      .map(([k]) => Number(k));
+    if (planType !== 'cycle' && dayIndices.length === 0) {
+      setPlanMessage('Please select at least one day.');
+      setPlanMessageType('error');
+      return;
+    }
+    let workouts = [];
+    const dayRows = {};
+    if (planType === 'weekly') {
+      for (const di of dayIndices) {
+        // Rows where the user hasn’t selected an exercise or left the
+        // custom field blank are skipped
+        const collected = collectPlanRows(di);
+        if (collected.error) {
+          setPlanMessage(collected.error);
+          setPlanMessageType('error');
+          return;
+        }
+        if (collected.rows.length === 0) {
+          setPlanMessage(`Please enter at least one exercise for ${dayNames[di]}.`);
+          setPlanMessageType('error');
+          return;
+        }
+        dayRows[di] = collected.rows;
+      }
+    } else {
+      const collected = collectPlanWorkouts();
+      if (collected.error) {
+        setPlanMessage(collected.error);
+        setPlanMessageType('error');
+        return;
+      }
+      workouts = collected.workouts;
+    }
+    if (!planEndDate) {
+      setPlanMessage('Please select an end date.');
+      setPlanMessageType('error');
+      return;
+    }
+    const now = new Date();
+    now.setHours(0, 0, 0, 0);
+    const end = parseDate(planEndDate);
+    if (end < now) {
+      setPlanMessage('End date must not be in the past.');
+      setPlanMessageType('error');
+      return;
+    }
+    const today = formatDate(now);
+    const editing = plans.find((p) => p.id === editingPlanId);
+    if (editing) {
+      const changes = {
+        name: planName.trim() || editing.name,
+        type: planType,
+        days: planType === 'weekly' ? dayRows : {},
+        endDate: planEndDate,
+        durationDays: dateToDayNumber(planEndDate) - dateToDayNumber(today),
+      };
+      if (planType !== 'weekly') {
+        changes.workouts = workouts;
+        changes.pushMissed = planPushMissed;
+        if (planType === 'rotation') changes.trainingDays = dayIndices.sort((a, b) => a - b);
+      }
+      updateLibraryPlan(editing.id, (p) => editPlan(p, changes, entries, today));
+      resetPlanForm();
+      setPlanMessage(
+        editing.status === 'active' ? 'Plan updated. Sessions before today are unchanged.' : 'Plan updated.'
+      );
+      setPlanMessageType('success');
+      return;
+    }
+    let planObj = {
+      id: Date.now(),
+      name: planName.trim() || `Plan ${plans.length + 1}`,
+      status: 'saved',
+      archived: false,
+      type: planType,
+      days: {},
+      durationDays: dateToDayNumber(planEndDate) - dateToDayNumber(today),
+    };
+    if (planType === 'weekly') {
+      planObj.days = dayRows;
+    } else {
+      planObj.workouts = workouts;
+      planObj.pushMissed = planPushMissed;
+      if (planType === 'rotation') planObj.trainingDays = dayIndices.sort((a, b) => a - b);
+    }
+    let updated = plans;
+    if (planActivate) {
+      // Starting the new plan ends the one that was running
+      updated = plans.map((p) => (p.status === 'active' ? endPlan(p, entries, today) : p));
+      planObj = startPlan(planObj, entries, today);
+    }
+    updated = updated.concat(planObj);
+    savePlans(updated);
+    setPlans(updated);
+    resetPlanForm();
+    setPlanMessage(planActivate ? 'Plan saved and started!' : 'Plan saved to the library.');
+    setPlanMessageType('success');
+  }
+
+  // Empty the plan form and leave edit mode.
+  function resetPlanForm() {
+    setEditingPlanId(null);
+    setPlanName('');
+    setPlanActivate(true);
+    setPlanSelectedDays({});
+    setPlanExercises({});
+    setPlanTargets({});
+    setPlanEndDate('');
+    setPlanType('weekly');
+    setPlanWorkouts([]);
+    setPlanPushMissed(true);
+  }
+
+  /**
+   * Load a library plan into the plan form so its days, workouts,
+   * targets and end date can be changed.  A plan that has not started
+   * shows the end date it would get if started today.
+   */
+  function handleEditPlan(id) {
+    const p = plans.find((x) => x.id === id);
+    if (!p) return;
+    const type = p.type || 'weekly';
+    const selected = {};
+    const exercises = {};
+    const targets = {};
+    if (type === 'weekly') {
+      Object.keys(p.days || {}).forEach((d) => {
+        selected[d] = true;
+        exercises[d] = p.days[d].map((row) => row.exercise);
+        targets[d] = p.days[d].map(planRowToTargetInputs);
+      });
+    } else {
+      (p.trainingDays || []).forEach((d) => {
+        selected[d] = true;
+      });
+      p.workouts.forEach((w, i) => {
+        exercises[`w${i}`] = w.exercises.length > 0 ? w.exercises.map((row) => row.exercise) : [''];
+        targets[`w${i}`] = w.exercises.map(planRowToTargetInputs);
+      });
+    }
+    const today = formatDate(new Date());
+    setEditingPlanId(p.id);
+    setPlanName(p.name);
+    setPlanType(type);
+    setPlanSelectedDays(selected);
+    setPlanExercises(exercises);
+    setPlanTargets(targets);
+    setPlanWorkouts(
+      type === 'weekly'
+        ? []
+        : p.workouts.map((w) => (type === 'cycle' && w.exercises.length === 0 ? { name: w.name, rest: true } : { name: w.name }))
+    );
+    setPlanPushMissed(p.pushMissed !== false);
+    setPlanEndDate(
+      p.status === 'active' && p.endDate >= today
+        ? p.endDate
+        : dayNumberToDate(dateToDayNumber(today) + (p.durationDays || 0))
+    );
+    setPlanMessage(null);
+  }
+
+  // Replace one plan of the library and persist the result.
+  function updateLibraryPlan(id, update) {
+    const updated = plans.map((p) => (p.id === id ? update(p) : p));
+    savePlans(updated);
+    setPlans(updated);
+  }
+
+  /**
+   * Start a saved plan from today.  The plan that was running ends and
+   * stays in the history.
+   */
+  function handleStartPlan(id) {
+    const today = formatDate(new Date());
+    const updated = plans.map((p) => {
+      if (p.id === id) return startPlan(p, entries, today);
+      return p.status === 'active' ? endPlan(p, entries, today) : p;
+    });
+    savePlans(updated);
+    setPlans(updated);
+    setPlanMessage('Plan started.');
+    setPlanMessageType('success');
+  }
+
+  // End the active plan early; its sessions so far stay in the history.
+  function handleEndPlan() {
+    if (!plan) return;
+    updateLibraryPlan(plan.id, (p) => endPlan(p, entries, formatDate(new Date())));
+    setPlanMessage('Plan ended. It stays in your plan history.');
+    setPlanMessageType('success');
+  }
+
+  function handleDuplicatePlan(id) {
+    const source = plans.find((p) => p.id === id);
+    if (!source) return;
+    const updated = plans.concat(duplicatePlan(source, `${source.name} (copy)`));
+    savePlans(updated);
+    setPlans(updated);
+    setPlanMessage(`Copied “${source.name}” to the library.`);
+    setPlanMessageType('success');
+  }
+
+  // Archived plans are hidden from the library list but kept, together
+  // with their history.  The active plan has to be ended first.
+  function handleArchivePlan(id, archived) {
+    updateLibraryPlan(id, (p) => ({ ...p, archived }));
+  }
+
+  /**
+   * Add a built-in template to the library as a saved plan.  Exercises
+   * the template uses are added to the exercise bank.
+   */
+  function handleAddTemplate() {
+    const template = PLAN_TEMPLATES[planTemplate];
+    if (!template) return;
+    const newPlan = { ...JSON.parse(JSON.stringify(template.plan)), id: Date.now(), name: template.name, status: 'saved', archived: false };
+    const updated = plans.concat(newPlan);
+    savePlans(updated);
+    setPlans(updated);
+    const newNames = getPlanExerciseNames(newPlan).filter((name) => !findExercise(exerciseBank, name));
+    if (newNames.length > 0) {
+      const bank = addExercisesToBank(exerciseBank, newNames);
+      saveExerciseBank(bank);
+      setExerciseBank(bank);
+    }
+    setPlanMessage(`“${template.name}” added to the library. Start it when you are ready.`);
+    setPlanMessageType('success');
+  }
+  function getUpcomingSchedule() {
+    if (!plan || !plan.schedule) return [];
+    const list = [];
+    const today = new Date();
+    for (let i = 0; i < 7; i++) {
+      const date = new Date(today);
+      date.setDate(today.getDate() + i);
+      const dateStr = formatDate(date);
+      if (plan.schedule[dateStr]) {
+        list.push({
+          date: dateStr,
+          workout: getPlannedWorkoutName(plan, dateStr, dayNames),
+          exercises: plan.schedule[dateStr],
+        });
+      }
+    }
+    return list;
+  }
+  // Draw charts when on progress page
+  if (view === 'progress') {
+    setTimeout(() => {
+      const volCanvas = document.getElementById('volume-bar-chart');
+      if (volCanvas) {
+        const weekly = calculateWeeklyVolume(
+          filteredEntries,
+          progressBounds.fromDate || undefined,
+          progressBounds.toDate || undefined
+        );
+        const labels = weekly.weeks.map((w) => {
+          const parts = w.split('-');
+          return `${parseInt(parts[1])}/${parseInt(parts[2])}`;
+        });
+        // Set CSS size so drawBarChart() can calculate the internal
+        // resolution based on device pixel ratio.  We avoid setting
+        // canvas.width directly to preserve crisp rendering.  Long
+        // histories are explored by zooming rather than by widening the
+        // canvas.
+        volCanvas.style.height = '300px';
+        attachChartInteractions(volCanvas, {
+          domain: { min: 0, max: labels.length },
+          minSpan: 1,
+          draw: (chartView) =>
+            drawBarChart(volCanvas, labels, weekly.series, `Weekly Volume (${displayUnit})`, chartView),
+          describe: (i) => {
+            const lines = [`Week of ${weekly.weeks[i]}`];
+            let total = 0;
+            weekly.series.forEach((s) => {
+              if (s.data[i] > 0) {
+                lines.push(`${s.label}: ${Math.round(s.data[i])} ${displayUnit}`);
+                total += s.data[i];
+              }
+            });
+            lines.push(`Total: ${Math.round(total)} ${displayUnit}`);
+            return lines;
+          },
+        });
+      }
+      const entriesByExercise = {};
+      filteredEntries.forEach((e) => {
+        if (!entriesByExercise[e.exercise]) entriesByExercise[e.exercise] = [];
+        entriesByExercise[e.exercise].push(e);
+      });
+      Object.keys(entriesByExercise).forEach((ex) => {
+        const canvas = document.getElementById(`line-chart-${ex}`);
+        if (canvas) {
+          const { type, entries: chartEntries } = getChartedEntries(entriesByExercise[ex]);
+          const metrics = PROGRESS_METRICS[type];
+          // One point per training day, represented by its heaviest set
+          const series = buildProgressSeries(chartEntries, settings.e1rmFormula);
+          const dates = series.map((p) => p.date);
+          const weights = series.map((p) => p.weight);
+          const reps = series.map((p) => p.reps);
+          const e1rms = series.map((p) => p.e1rm);
+          const trend = calculateTrendLine(series, settings.trendType, metrics[0].key);
+          // Bodyweight, timed and distance exercises plot their best set
+          // on the left axis and the day's total on the right
+          const [best, total] = metrics.map((m) => series.map((p) => p[m.key]));
+          const legend = metrics.map((m) => m.label);
+          canvas.style.height = '300px';
+          attachChartInteractions(canvas, {
+            domain: getLineChartDomain(dates),
+            minSpan: 7,
+            draw: (chartView) =>
+              type === 'weight'
+                ? drawLineChart(canvas, dates, weights, reps, e1rms, ex, displayUnit, chartView, trend)
+                : drawLineChart(canvas, dates, best, total, null, ex, displayUnit, chartView, trend, legend),
+            describe: (i) => {
+              const point = series[i];
+              const lines =
+                type === 'weight'
+                  ? [
+                      point.date,
+                      `Top set: ${weights[i]} ${displayUnit} × ${reps[i]}`,
+                      `Est. 1RM: ${e1rms[i]} ${displayUnit}`,
+                    ]
+                  : [point.date, ...metrics.map((m) => `${m.label}: ${formatMetric(point[m.key], m, displayUnit)}`)];
+              point.entries.forEach((entry) => {
+                lines.push(`Sets: ${formatSets(entry)}`);
+                if (entry.notes) lines.push(`Notes: ${entry.notes}`);
+              });
+              if (i > 0) {
+                const gap = point.day - series[i - 1].day;
+                lines.push(`${gap} day${gap === 1 ? '' : 's'} since previous session`);
+              }
+              return lines;
+            },
+          });
+        }
+      });
+    }, 0);
+  }
+  // Build header with title and total workouts
+  const totalWorkouts = entries.length;
+  const header = React.createElement(
+    'header',
+    { className: 'app-header' },
+    React.createElement('h1', { className: 'app-title' }, '💪 Workout Tracker'),
+    React.createElement(
+      'div',
+      { className: 'app-stats' },
+      React.createElement('span', { className: 'stat-label' }, 'Total Workouts:'),
+      React.createElement('span', { className: 'stat-value' }, String(totalWorkouts))
+    )
+  );
+  // Build navigation bar using tab style
+  const navBar = React.createElement(
+    'nav',
+    { className: 'tab-nav' },
+    React.createElement(
+      'button',
+      {
+        className: view === 'log' ? 'tab-btn active' : 'tab-btn',
+        onClick: () => {
+          setView('log');
+          trackClarity('log');
+        },
+      },
+      'Log'
+    ),
+    React.createElement(
+      'button',
+      {
+        className: view === 'plan' ? 'tab-btn active' : 'tab-btn',
+        onClick: () => {
+          setView('plan');
+          trackClarity('plan');
+        },
+      },
+      'Plan'
+    ),
+    React.createElement(
+      'button',
+      {
+        className: view === 'exercises' ? 'tab-btn active' : 'tab-btn',
+        onClick: () => {
+          setView('exercises');
+          trackClarity('exercises');
+        },
+      },
+      'Exercises'
+    ),
+    React.createElement(
+      'button',
+      {
+        className: view === 'progress' ? 'tab-btn active' : 'tab-btn',
+        onClick: () => {
+          setView('progress');
+          trackClarity('progress');
+        },
+      },
+      'Progress'
+    )
+  );
+  /**
+   * Render the inputs for an ordered list of sets: one row per set with
+   * weight, reps and optional RPE fields, a remove button when there is
+   * more than one set, and an "Add Set" button below.  Shared by the
+   * log form, the planned-workout form and the inline edit row.  Timed
+   * sets ask for seconds instead of weight and reps, distance sets for
+   * metres and an optional time, and bodyweight sets for an optional
+   * added weight.
+   *
+   * @param {Array<{weight: string, reps: string, seconds: string, distance: string, rpe: string}>} sets
+   * @param {{onChange: Function, onAdd: Function, onRemove: Function}} handlers
+   * @param {string} keyPrefix Prefix for element keys.
+   * @param {string} [type] One of SET_TYPES; defaults to 'weight'.
+   */
+  function renderSetInputs(sets, handlers, keyPrefix, type) {
+    const rows = sets.map((set, idx) =>
+      React.createElement(
+        'div',
+        { className: 'set-row', key: `${keyPrefix}-set-${idx}` },
+        React.createElement('span', { className: 'set-label' }, `Set ${idx + 1}`),
+        type === 'time'
+          ? React.createElement('input', {
+              type: 'number',
+              min: '1',
+              placeholder: 'Seconds',
+              className: 'form-control',
+              value: set.seconds || '',
+              onInput: (ev) => handlers.onChange(idx, 'seconds', ev.target.value),
+            })
+          : type === 'distance'
+          ? [
+              React.createElement('input', {
+                type: 'number',
+                step: 'any',
+                min: '0',
+                placeholder: 'Metres',
+                className: 'form-control',
+                value: set.distance || '',
+                key: 'distance',
+                onInput: (ev) => handlers.onChange(idx, 'distance', ev.target.value),
+              }),
+              React.createElement('input', {
+                type: 'number',
+                min: '1',
+                placeholder: 'Seconds (optional)',
+                className: 'form-control',
+                value: set.seconds || '',
+                key: 'seconds',
+                onInput: (ev) => handlers.onChange(idx, 'seconds', ev.target.value),
+              }),
+            ]
+          : [
+              React.createElement('input', {
+                type: 'number',
+                step: 'any',
+                placeholder: type === 'bodyweight' ? 'Added weight' : 'Weight',
+                className: 'form-control',
+                value: set.weight,
+                key: 'weight',
+                onInput: (ev) => handlers.onChange(idx, 'weight', ev.target.value),
+              }),
+              React.createElement('input', {
+                type: 'number',
+                placeholder: 'Reps',
+                className: 'form-control',
+                value: set.reps,
+                key: 'reps',
+                onInput: (ev) => handlers.onChange(idx, 'reps', ev.target.value),
+              }),
+            ],
+        React.createElement('input', {
+          type: 'number',
+          step: '0.5',
+          min: '1',
+          max: '10',
+          placeholder: 'RPE',
+          className: 'form-control set-rpe',
+          value: set.rpe,
+          onInput: (ev) => handlers.onChange(idx, 'rpe', ev.target.value),
+        }),
+        sets.length > 1
+          ? React.createElement(
+              'button',
+              { type: 'button', className: 'btn btn--small btn--secondary', onClick: () => handlers.onRemove(idx) },
+              '✕'
+            )
+          : null
+      )
+    );
+    return React.createElement(
+      'div',
+      { className: 'set-list', key: `${keyPrefix}-sets` },
+      rows,
+      React.createElement(
+        'button',
+        { type: 'button', className: 'btn btn--small', onClick: handlers.onAdd },
+        'Add Set'
+      )
+    );
+  }
+  // Small kg/lbs selector used by the log forms, the edit row and the
+  // display preference on the progress page.
+  function renderUnitSelect(value, onChange, id) {
+    return React.createElement(
+      'select',
+      { id, className: 'form-control unit-select', onChange: (ev) => onChange(ev.target.value) },
+      WEIGHT_UNITS.map((u) => React.createElement('option', { value: u, key: u, selected: value === u }, u))
+    );
+  }
+  /**
+   * Render the workout in progress: its exercises in order with the
+   * numbers from the previous session, set rows to tick off for the
+   * current exercise, and the controls to add an exercise and to
+   * finish or discard the session.
+   */
+  function renderLiveSession() {
+    const session = liveSession;
+    const unitEntries = entries.map((e) => convertEntryUnit(e, session.unit));
+    const setsDone = session.exercises.reduce((sum, ex) => sum + ex.sets.filter((set) => set.done).length, 0);
+    const exerciseBlocks = session.exercises.map((ex, exIndex) => {
+      const done = ex.sets.filter((set) => set.done).length;
+      const isCurrent = exIndex === session.current;
+      let className = 'session-exercise';
+      if (isCurrent) className += ' session-exercise--current';
+      if (done > 0 && done === ex.sets.length) className += ' session-exercise--complete';
+      const header = React.createElement(
+        'button',
+        {
+          type: 'button',
+          className: 'session-exercise-header',
+          onClick: () => updateLiveSession({ ...session, current: exIndex }),
+        },
+        React.createElement('strong', null, ex.exercise),
+        React.createElement('span', null, `${done}/${ex.sets.length} sets`)
+      );
+      if (!isCurrent) {
+        return React.createElement('div', { className, key: `session-ex-${exIndex}` }, header);
+      }
+      const previous = getPreviousEntry(unitEntries, ex.exercise, session.date);
+      const previousSets = previous ? setsToInputs(getEntrySets(previous)) : [];
+      // The previous session's value for a field, shown as the placeholder
+      const lastValue = (setIndex, field, fallback) =>
+        previousSets[setIndex] && previousSets[setIndex][field] ? previousSets[setIndex][field] : fallback;
+      return React.createElement(
+        'div',
+        { className, key: `session-ex-${exIndex}` },
+        header,
+        ex.target ? React.createElement('p', { className: 'plan-target-text' }, `Target: ${ex.target}`) : null,
+        React.createElement(
+          'p',
+          { className: 'session-previous' },
+          previous ? `Last time (${previous.date}): ${formatSetsWithUnit(previous, session.unit)}` : 'No previous session.'
+        ),
+        React.createElement(
+          'div',
+          { className: 'set-list' },
+          ex.sets.map((set, setIndex) =>
+            React.createElement(
+              'div',
+              { className: set.done ? 'set-row set-row--done' : 'set-row', key: `session-set-${setIndex}` },
+              React.createElement('span', { className: 'set-label' }, `Set ${setIndex + 1}`),
+              ex.type === 'time'
+                ? React.createElement('input', {
+                    type: 'number',
+                    min: '1',
+                    placeholder: lastValue(setIndex, 'seconds', 'Seconds'),
+                    className: 'form-control',
+                    value: set.seconds || '',
+                    disabled: set.done,
+                    onInput: (ev) => updateSessionSet(exIndex, setIndex, 'seconds', ev.target.value),
+                  })
+                : ex.type === 'distance'
+                ? [
+                    React.createElement('input', {
+                      type: 'number',
+                      step: 'any',
+                      min: '0',
+                      placeholder: lastValue(setIndex, 'distance', 'Metres'),
+                      className: 'form-control',
+                      value: set.distance || '',
+                      disabled: set.done,
+                      key: 'distance',
+                      onInput: (ev) => updateSessionSet(exIndex, setIndex, 'distance', ev.target.value),
+                    }),
+                    React.createElement('input', {
+                      type: 'number',
+                      min: '1',
+                      placeholder: lastValue(setIndex, 'seconds', 'Seconds (optional)'),
+                      className: 'form-control',
+                      value: set.seconds || '',
+                      disabled: set.done,
+                      key: 'seconds',
+                      onInput: (ev) => updateSessionSet(exIndex, setIndex, 'seconds', ev.target.value),
+                    }),
+                  ]
+                : [
+                    React.createElement('input', {
+                      type: 'number',
+                      step: 'any',
+                      placeholder: lastValue(setIndex, 'weight', ex.type === 'bodyweight' ? 'Added weight' : 'Weight'),
+                      className: 'form-control',
+                      value: set.weight,
+                      disabled: set.done,
+                      key: 'weight',
+                      onInput: (ev) => updateSessionSet(exIndex, setIndex, 'weight', ev.target.value),
+                    }),
+                    React.createElement('input', {
+                      type: 'number',
+                      placeholder: lastValue(setIndex, 'reps', 'Reps'),
+                      className: 'form-control',
+                      value: set.reps,
+                      disabled: set.done,
+                      key: 'reps',
+                      onInput: (ev) => updateSessionSet(exIndex, setIndex, 'reps', ev.target.value),
+                    }),
+                  ],
+              React.createElement(
+                'button',
+                {
+                  type: 'button',
+                  className: set.done ? 'btn btn--small session-tick session-tick--done' : 'btn btn--small session-tick',
+                  title: set.done ? 'Undo' : 'Done',
+                  onClick: () => toggleSessionSet(exIndex, setIndex),
+                },
+                '✓'
+              ),
+              !set.done && ex.sets.length > 1
+                ? React.createElement(
+                    'button',
+                    {
+                      type: 'button',
+                      className: 'btn btn--small btn--secondary',
+                      onClick: () => removeSessionSet(exIndex, setIndex),
+                    },
+                    '✕'
+                  )
+                : null
+            )
+          ),
+          React.createElement(
+            'button',
+            { type: 'button', className: 'btn btn--small', onClick: () => addSessionSet(exIndex) },
+            'Add Set'
+          )
+        )
+      );
+    });
+    return React.createElement(
+      'div',
+      { className: 'live-session', key: 'live-session' },
+      React.createElement('h3', null, session.workout ? `Workout in progress: ${session.workout}` : 'Workout in progress'),
+      React.createElement(
+        'div',
+        { className: 'session-meta' },
+        React.createElement(
+          'span',
+          { className: 'help-text' },
+          `${session.date}, started at ${new Date(session.startedAt).toTimeString().slice(0, 5)} · ${setsDone} ${
+            setsDone === 1 ? 'set' : 'sets'
+          } done`
+        ),
+        React.createElement(
+          'label',
+          { className: 'inline-label', htmlFor: 'session-unit' },
+          'Unit',
+          renderUnitSelect(session.unit, changeSessionUnit, 'session-unit')
+        )
+      ),
+      exerciseBlocks.length > 0
+        ? exerciseBlocks
+        : React.createElement('p', { className: 'no-data-text' }, 'Nothing planned today. Add the exercises you do below.'),
+      React.createElement(
+        'div',
+        { className: 'session-add' },
+        React.createElement(
+          'select',
+          {
+            id: 'session-exercise',
+            className: 'form-control',
+            onChange: (ev) => setSessionExercise(ev.target.value),
+          },
+          React.createElement('option', { value: '', selected: sessionExercise === '' }, 'Add an exercise'),
+          exerciseNames.map((name) =>
+            React.createElement('option', { value: name, key: name, selected: sessionExercise === name }, name)
+          )
+        ),
+        React.createElement(
+          'button',
+          { type: 'button', className: 'btn btn--secondary', onClick: handleAddSessionExercise },
+          'Add'
+        )
+      ),
+      confirmDiscardSession
+        ? React.createElement(
+            'div',
+            { className: 'alert alert-warning' },
+            'Discard this workout and all ticked sets? ',
+            React.createElement(
+              'div',
+              { className: 'button-row' },
+              React.createElement(
+                'button',
+                { type: 'button', className: 'btn btn--danger', onClick: handleDiscardSession },
+                'Discard Workout'
+              ),
+              React.createElement(
+                'button',
+                { type: 'button', className: 'btn btn--secondary', onClick: () => setConfirmDiscardSession(false) },
+                'Keep Going'
+              )
+            )
+          )
+        : React.createElement(
+            'div',
+            { className: 'button-row' },
+            React.createElement(
+              'button',
+              { type: 'button', className: 'btn btn--primary', onClick: handleFinishSession },
+              'Finish Workout'
+            ),
+            React.createElement(
+              'button',
+              { type: 'button', className: 'btn btn--secondary', onClick: () => setConfirmDiscardSession(true) },
+              'Discard'
+            )
+          )
+    );
+  }
+  // Build log page content
+  let content;
+  if (view === 'log') {
+    const rows = [];
+    if (entries && entries.length > 0) {
+      const tableRows = entries.map((entry) => {
+        if (entry.id === editingEntryId) {
+          // Editable row: each cell becomes an input bound to editDraft
+          return React.createElement(
+            'tr',
+            { key: entry.id, className: 'editing-row' },
+            React.createElement(
+              'td',
+              null,
+              React.createElement('input', {
+                type: 'date',
+                className: 'form-control',
+                value: editDraft.date || '',
+                onInput: (ev) => handleEditFieldChange('date', ev.target.value),
+              })
+            ),
+            React.createElement(
+              'td',
+              null,
+              React.createElement(
+                'select',
+                {
+                  className: 'form-control',
+                  onChange: (ev) => handleEditFieldChange('exercise', ev.target.value),
+                },
+                datalistOptions.map((ex) =>
+                  React.createElement('option', { value: ex, key: ex, selected: editDraft.exercise === ex }, ex)
+                )
+              )
+            ),
+            React.createElement(
+              'td',
+              null,
+              renderSetInputs(
+                editDraft.sets || [],
+                { onChange: updateEditSet, onAdd: addEditSet, onRemove: removeEditSet },
+                `edit-${entry.id}`,
+                editDraft.type
+              ),
+              renderUnitSelect(editDraft.unit, (u) => handleEditFieldChange('unit', u))
+            ),
+            React.createElement(
+              'td',
+              null,
+              React.createElement('input', {
+                type: 'text',
+                className: 'form-control',
+                value: editDraft.notes || '',
+                onInput: (ev) => handleEditFieldChange('notes', ev.target.value),
+              })
+            ),
+            React.createElement(
+              'td',
+              { className: 'entry-actions' },
+              React.createElement('button', { type: 'button', className: 'btn btn--small', onClick: handleSaveEdit }, 'Save'),
+              React.createElement(
+                'button',
+                { type: 'button', className: 'btn btn--small btn--secondary', onClick: handleCancelEdit },
+                'Cancel'
+              )
+            )
+          );
+        }
+        return React.createElement(
+          'tr',
+          { key: entry.id },
+          React.createElement('td', null, entry.date),
+          React.createElement('td', null, entry.exercise),
+          React.createElement('td', null, formatSetsWithUnit(entry, entry.unit)),
+          React.createElement('td', null, entry.notes),
+          React.createElement(
+            'td',
+            { className: 'entry-actions' },
+            React.createElement(
+              'button',
+              { type: 'button', className: 'btn btn--small', onClick: () => handleStartEdit(entry) },
+              'Edit'
+            ),
+            React.createElement(
+              'button',
+              { type: 'button', className: 'btn btn--small btn--danger', onClick: () => handleDeleteEntry(entry) },
+              'Delete'
+            )
+          )
+        );
+      });
+      rows.push(
+        React.createElement(
+          'table',
+          { className: 'entries-table', key: 'table' },
+          React.createElement(
+            'thead',
+            null,
+            React.createElement(
+              'tr',
+              null,
+              React.createElement('th', null, 'Date'),
+              React.createElement('th', null, 'Exercise'),
+              React.createElement('th', null, 'Sets (weight × reps)'),
+              React.createElement('th', null, 'Notes'),
+              React.createElement('th', null, '')
+            )
+          ),
+          React.createElement('tbody', null, tableRows)
+        )
+      );
+    }
+    // Determine whether to show group form or individual form
+    const formElements = [];
+    formElements.push(
+      React.createElement('h2', { key: 'title' }, 'Log Workout')
+    );
+    if (logMessage) {
+      formElements.push(
+        React.createElement(
+          'div',
+          { key: 'msg', className: `alert alert-${logMessageType === 'error' ? 'error' : 'success'}` },
+          logMessage
+        )
+      );
+    }
+    // Rest timer.  Its countdown is written into the DOM by the timer
+    // itself (see startRestTimer()); this only renders the current state.
+    const restExercise = restTimer.exercise || logExercise.trim();
+    const restState = describeRestTimer();
+    formElements.push(
+      React.createElement(
+        'div',
+        { key: 'rest-timer', id: 'rest-timer', className: `rest-timer rest-timer--${restState.state}` },
+        React.createElement(
+          'div',
+          { className: 'rest-timer-main' },
+          React.createElement('span', { id: 'rest-timer-label', className: 'rest-timer-label' }, restState.label),
+          React.createElement('span', { id: 'rest-timer-display', className: 'rest-timer-display' }, restState.text),
+          React.createElement(
+            'div',
+            { className: 'button-row' },
+            React.createElement(
+              'button',
+              {
+                type: 'button',
+                className: 'btn btn--small',
+                onClick: () => startRestTimer(getRestSeconds(settings, restExercise), restExercise, settings),
+              },
+              'Start'
+            ),
+            React.createElement(
+              'button',
+              {
+                type: 'button',
+                className: 'btn btn--small btn--secondary',
+                onClick: () => adjustRestTimer(-REST_TIMER_STEP),
+              },
+              `−${REST_TIMER_STEP}s`
+            ),
+            React.createElement(
+              'button',
+              {
+                type: 'button',
+                className: 'btn btn--small btn--secondary',
+                onClick: () => adjustRestTimer(REST_TIMER_STEP),
+              },
+              `+${REST_TIMER_STEP}s`
+            ),
+            React.createElement(
+              'button',
+              { type: 'button', className: 'btn btn--small btn--secondary', onClick: stopRestTimer },
+              'Stop'
+            ),
+            React.createElement(
+              'button',
+              {
+                type: 'button',
+                className: 'btn btn--small btn--secondary',
+                onClick: () => setRestSettingsOpen(!restSettingsOpen),
+              },
+              restSettingsOpen ? 'Hide Settings' : 'Settings'
+            )
+          )
+        ),
+        restSettingsOpen
+          ? React.createElement(
+              'div',
+              { className: 'rest-timer-settings' },
+              React.createElement(
+                'label',
+                { className: 'inline-label' },
+                'Default rest (seconds)',
+                React.createElement('input', {
+                  type: 'number',
+                  min: '5',
+                  step: '5',
+                  className: 'form-control rest-seconds-input',
+                  value: settings.restSeconds,
+                  onChange: (ev) => {
+                    const seconds = parseInt(ev.target.value, 10);
+                    if (seconds > 0) updateSettings({ restSeconds: seconds });
+                  },
+                })
+              ),
+              restExercise
+                ? React.createElement(
+                    'label',
+                    { className: 'inline-label' },
+                    `Rest after ${restExercise}`,
+                    React.createElement('input', {
+                      type: 'number',
+                      min: '5',
+                      step: '5',
+                      className: 'form-control rest-seconds-input',
+                      placeholder: String(settings.restSeconds),
+                      value: (settings.restByExercise || {})[restExercise.toLowerCase()] || '',
+                      onChange: (ev) => updateExerciseRest(restExercise, ev.target.value),
+                    })
+                  )
+                : null,
+              React.createElement(
+                'label',
+                { className: 'inline-label' },
+                React.createElement('input', {
+                  type: 'checkbox',
+                  checked: settings.restSound,
+                  onChange: () => updateSettings({ restSound: !settings.restSound }),
+                }),
+                'Sound'
+              ),
+              React.createElement(
+                'label',
+                { className: 'inline-label' },
+                React.createElement('input', {
+                  type: 'checkbox',
+                  checked: settings.restVibrate,
+                  onChange: () => updateSettings({ restVibrate: !settings.restVibrate }),
+                }),
+                'Vibrate'
+              ),
+              React.createElement(
+                'label',
+                { className: 'inline-label' },
+                React.createElement('input', {
+                  type: 'checkbox',
+                  checked: settings.restNotify,
+                  onChange: () => handleRestNotifyChange(!settings.restNotify),
+                }),
+                'Notify when the app is in the background'
+              ),
+              React.createElement(
+                'p',
+                { className: 'help-text' },
+                'The timer starts by itself after you log a set.'
+              )
+            )
+          : null
+      )
+    );
+    if (liveSession) {
+      formElements.push(renderLiveSession());
+    } else {
+      formElements.push(
+        React.createElement(
+          'div',
+          { className: 'session-start', key: 'session-start' },
+          React.createElement(
+            'button',
+            { type: 'button', className: 'btn btn--primary', onClick: handleStartSession },
+            'Start Workout'
+          ),
+          React.createElement(
+            'span',
+            { className: 'help-text' },
+            plan && plan.schedule && plan.schedule[formatDate(new Date())]
+              ? `Walks through today’s ${plan.schedule[formatDate(new Date())].length} planned exercises and times the session.`
+              : 'Tick off sets as you go and save the whole session at the end.'
+          )
+        )
+      );
+      // Date field
+      formElements.push(
+        React.createElement(
+          'div',
+          { className: 'form-group', key: 'log-date' },
+          React.createElement('label', { htmlFor: 'log-date-input' }, 'Date'),
+          React.createElement('input', {
+            type: 'date',
+            id: 'log-date-input',
+            value: logDate,
+            max: plan && plan.endDate ? plan.endDate : undefined,
+            onInput: (e) => setLogDate(e.target.value),
+          })
+        )
+      );
+      if (scheduledExercises && scheduledExercises.length > 0) {
+        // Group logging form
+        formElements.push(
+          React.createElement(
+            'form',
+            { onSubmit: handleGroupSubmit, key: 'group-form' },
+            React.createElement(
+              'p',
+              null,
+              'Planned exercises for ',
+              logDate,
+              plan.type && plan.type !== 'weekly' ? ` (${getPlannedWorkoutName(plan, logDate, dayNames)})` : '',
+              ':'
+            ),
+            React.createElement(
+              'div',
+              { className: 'form-group' },
+              React.createElement('label', { htmlFor: 'group-unit' }, 'Unit'),
+              renderUnitSelect(groupUnit, setGroupUnit, 'group-unit')
+            ),
+            scheduledRows.map((row) => {
+              const ex = row.exercise;
+              const targetText = formatPrescription(row);
+              const suggestion = suggestNextLoad(
+                row,
+                entries.map((e) => convertEntryUnit(e, groupUnit)),
+                groupUnit,
+                settings.e1rmFormula,
+                logDate
+              );
+              return React.createElement(
+                'div',
+                { className: 'form-group', key: `group-${ex}` },
+                React.createElement(
+                  'label',
+                  null,
+                  ex,
+                  targetText ? React.createElement('span', { className: 'plan-target-text' }, ` Target: ${targetText}`) : null
+                ),
+                suggestion
+                  ? React.createElement(
+                      'p',
+                      { className: `load-suggestion load-suggestion--${suggestion.action}` },
+                      React.createElement('strong', null, `Suggested: ${suggestion.weight} ${groupUnit}`),
+                      ` – ${suggestion.reason}.`
+                    )
+                  : null,
+                renderSetInputs(
+                  getGroupSetInputs(ex),
+                  {
+                    onChange: (idx, field, value) => updateGroupSet(ex, idx, field, value),
+                    onAdd: () => addGroupSet(ex),
+                    onRemove: (idx) => removeGroupSet(ex, idx),
+                  },
+                  `group-${ex}`,
+                  getExerciseType(exerciseBank, ex)
+                )
+              );
+            }),
+            React.createElement('button', { type: 'submit', className: 'btn' }, 'Log Planned Workouts')
+          )
+        );
+      } else {
+        // Individual logging form
+        formElements.push(
+          React.createElement(
+            'form',
+            { onSubmit: handleLogSubmit, key: 'ind-form' },
+            // Exercise select with an option for "Other" and a custom input field
+            React.createElement(
+              'div',
+              { className: 'form-group' },
+              React.createElement('label', { htmlFor: 'log-ex-select' }, 'Exercise'),
+              (() => {
+                // Determine which option should be selected.  When the
+                // user chooses "Other", we set showLogCustomInput to
+                // true and do not select any predefined exercise.  When
+                // showLogCustomInput is false, the current logExercise
+                // determines the selected option.
+                const selectedVal = showLogCustomInput ? '__other__' : (logExercise || '');
+                return React.createElement(
+                  'select',
+                  {
+                    id: 'log-ex-select',
+                    onChange: (ev) => handleLogSelectChange(ev.target.value),
+                    className: 'form-control',
+                  },
+                  // Placeholder option
+                  React.createElement('option', { value: '', selected: selectedVal === '' }, 'Select exercise'),
+                  // Predefined exercises
+                  datalistOptions.map((ex) =>
+                    React.createElement('option', { value: ex, key: ex, selected: selectedVal === ex }, ex)
+                  ),
+                  // Other option
+                  React.createElement('option', { value: '__other__', selected: selectedVal === '__other__' }, 'Other')
+                );
+              })(),
+              showLogCustomInput
+                ? React.createElement('input', {
+                    type: 'text',
+                    id: 'log-ex-custom',
+                    placeholder: 'New exercise',
+                    value: logExercise,
+                    onInput: (ev) => setLogExercise(ev.target.value),
+                    style: { marginTop: '0.5rem' },
+                  })
+                : null,
+              React.createElement(
+                'button',
+                {
+                  type: 'button',
+                  className: 'btn',
+                  onClick: handleAddExerciseToBank,
+                  style: { marginTop: '0.5rem' },
+                },
+                'Add to Bank'
+              )
+            ),
+            // Sets: weight, reps and optional RPE per set, the time held
+            // for timed exercises or the distance for distance ones
+            React.createElement(
+              'div',
+              { className: 'form-group' },
+              React.createElement('label', null, 'Sets'),
+              renderSetInputs(
+                logSets,
+                { onChange: updateLogSet, onAdd: addLogSet, onRemove: removeLogSet },
+                'log',
+                getExerciseType(exerciseBank, logExercise)
+              )
+            ),
+            // Unit the weights above were lifted in
+            React.createElement(
+              'div',
+              { className: 'form-group' },
+              React.createElement('label', { htmlFor: 'log-unit' }, 'Unit'),
+              renderUnitSelect(logUnit, setLogUnit, 'log-unit')
+            ),
+            // Notes textarea
+            React.createElement(
+              'div',
+              { className: 'form-group' },
+              React.createElement('label', { htmlFor: 'log-notes' }, 'Notes (optional)'),
+              React.createElement('textarea', {
+                id: 'log-notes',
+                rows: 2,
+                value: logNotes,
+                onInput: (ev) => setLogNotes(ev.target.value),
+              })
+            ),
+            // Submit button
+            React.createElement('button', { type: 'submit', className: 'btn' }, 'Log Workout')
+          )
+        );
+      }
+    }
+    content = React.createElement(
+      'div',
+      { className: 'card' },
+      formElements,
+      rows
+    );
+  } else if (view === 'plan') {
+    const upcoming = getUpcomingSchedule();
+    const today = formatDate(new Date());
+    const adherenceOf = (p) =>
+      calculatePlanAdherence(schedulePlan(p, entries, today), displayEntries, displayUnit, settings.e1rmFormula, today);
+    const planElements = [];
+    planElements.push(React.createElement('h2', { key: 'title' }, 'Training Plan'));
+    if (planMessage) {
+      planElements.push(
+        React.createElement(
+          'div',
+          { key: 'msg', className: `alert alert-${planMessageType === 'error' ? 'error' : 'success'}` },
+          planMessage
+        )
+      );
+    }
+    // One-line description of how a plan is scheduled
+    const describePlan = (p) => {
+      let text;
+      if (p.type === 'rotation') {
+        text = `Rotation of ${p.workouts.map((w) => w.name).join(', ')} on ${p.trainingDays.map((d) => dayNames[d]).join(', ')}.`;
+      } else if (p.type === 'cycle') {
+        text = `${p.workouts.length}-day cycle: ${p.workouts
+          .map((w) => (w.exercises.length > 0 ? w.name : `${w.name} (rest)`))
+          .join(', ')}.`;
+      } else {
+        text = `Weekly on ${Object.keys(p.days || {})
+          .map((d) => dayNames[d])
+          .join(', ')}.`;
+      }
+      return p.type !== 'weekly' && p.pushMissed ? `${text} Missed sessions move to the next training day.` : text;
+    };
+    if (plan) {
+      const planAdherence = adherenceOf(plan);
+      planElements.push(
+        React.createElement(
+          'div',
+          { key: 'summary' },
+          React.createElement(
+            'p',
+            null,
+            'Current plan ',
+            React.createElement('strong', null, plan.name),
+            ' active from ',
+            plan.startDate,
+            ' to ',
+            plan.endDate
+          ),
+          React.createElement('p', { className: 'help-text' }, describePlan(plan)),
+          planAdherence.percent !== null
+            ? React.createElement(
+                'p',
+                null,
+                `Adherence so far: ${planAdherence.percent}% (${planAdherence.completed} of ${planAdherence.sessions} sessions)`
+              )
+            : null,
+          upcoming.length > 0
+            ? React.createElement(
+                'div',
+                null,
+                React.createElement('p', null, 'Upcoming 7 days:'),
+                upcoming.map((item) =>
+                  React.createElement(
+                    'div',
+                    { key: item.date },
+                    React.createElement('strong', null, item.date),
+                    plan.type && plan.type !== 'weekly' && item.workout ? ` (${item.workout})` : '',
+                    ': ',
+                    item.exercises.map((row) => row.exercise).join(', ')
+                  )
+                )
+              )
+            : React.createElement('p', null, 'No workouts scheduled in the next 7 days.'),
+          React.createElement(
+            'div',
+            { className: 'button-row', style: { marginTop: '0.5rem' } },
+            React.createElement(
+              'button',
+              { type: 'button', className: 'btn', onClick: () => handleEditPlan(plan.id) },
+              'Edit Plan'
+            ),
+            React.createElement('button', { type: 'button', className: 'btn', onClick: handleEndPlan }, 'End Plan')
+          ),
+          React.createElement('hr', { style: { margin: '1rem 0' } })
+        )
+      );
+    }
+    // Adherence calendar over every plan that has run.  Each scheduled
+    // day is coloured by what was logged; past days can be opened to
+    // see the session or to log it.
+    const ranPlans = plans.filter((p) => p.status !== 'saved').map((p) => schedulePlan(p, entries, today));
+    if (ranPlans.length > 0) {
+      const statuses = getScheduleStatuses(ranPlans, entries, today);
+      const weekly = calculateWeeklyAdherence(statuses);
+      const loggedDates = new Set(entries.map((e) => e.date));
+      const dayStatusLabels = { done: 'Done', partial: 'Partial', missed: 'Missed', upcoming: 'Upcoming' };
+      const [year, month] = calendarMonth.split('-').map(Number);
+      const renderDay = (date, i) => {
+        if (!date) return React.createElement('td', { key: `empty-${i}` });
+        const info = statuses[date];
+        let className = 'calendar-day';
+        if (info) className += ` calendar-day--${info.status}`;
+        else if (loggedDates.has(date)) className += ' calendar-day--logged';
+        if (date === today) className += ' calendar-day--today';
+        if (date === calendarDate) className += ' calendar-day--selected';
+        return React.createElement(
+          'td',
+          { key: date },
+          React.createElement(
+            'button',
+            {
+              type: 'button',
+              className,
+              disabled: date > today,
+              title: info ? dayStatusLabels[info.status] : loggedDates.has(date) ? 'Logged outside the plan' : '',
+              onClick: () => setCalendarDate(calendarDate === date ? null : date),
+            },
+            String(Number(date.slice(8)))
+          )
+        );
+      };
+      const calendarElements = [
+        React.createElement(
+          'div',
+          { className: 'calendar-header', key: 'header' },
+          React.createElement(
+            'button',
+            {
+              type: 'button',
+              className: 'btn btn--small btn--secondary',
+              onClick: () => setCalendarMonth(shiftMonth(calendarMonth, -1)),
+            },
+            '‹'
+          ),
+          React.createElement('strong', null, `${MONTH_NAMES[month - 1]} ${year}`),
+          React.createElement(
+            'button',
+            {
+              type: 'button',
+              className: 'btn btn--small btn--secondary',
+              onClick: () => setCalendarMonth(shiftMonth(calendarMonth, 1)),
+            },
+            '›'
+          )
+        ),
+        React.createElement(
+          'table',
+          { className: 'plan-calendar', key: 'grid' },
+          React.createElement(
+            'thead',
+            null,
+            React.createElement(
+              'tr',
+              null,
+              [1, 2, 3, 4, 5, 6, 0].map((d) => React.createElement('th', { key: d }, dayNames[d].slice(0, 3))),
+              React.createElement('th', { key: 'week' }, 'Week')
+            )
+          ),
+          React.createElement(
+            'tbody',
+            null,
+            getMonthGrid(calendarMonth).map((week) => {
+              const adherence = weekly[getWeekStart(week.find((date) => date))];
+              return React.createElement(
+                'tr',
+                { key: week.find((date) => date) },
+                week.map(renderDay),
+                React.createElement(
+                  'td',
+                  {
+                    className: 'calendar-week',
+                    title: adherence ? `${adherence.completed} of ${adherence.sessions} sessions done` : '',
+                  },
+                  adherence ? `${adherence.percent}%` : ''
+                )
+              );
+            })
+          )
+        ),
+        React.createElement(
+          'div',
+          { className: 'calendar-legend', key: 'legend' },
+          Object.keys(dayStatusLabels).map((status) =>
+            React.createElement('span', { key: status, className: `calendar-day calendar-day--${status}` }, dayStatusLabels[status])
+          )
+        ),
+      ];
+      if (calendarDate) {
+        // Planned exercises of the selected day next to what was logged
+        const info = statuses[calendarDate];
+        const dayEntries = entries.filter((e) => e.date === calendarDate);
+        const rows = info ? info.plan.schedule[calendarDate] : [];
+        const planned = new Set(rows.map((row) => row.exercise.toLowerCase()));
+        const workout = info ? getPlannedWorkoutName(info.plan, calendarDate, dayNames) : null;
+        const describeLogged = (list) => list.map((e) => formatSetsWithUnit(e, e.unit || 'kg')).join('; ');
+        calendarElements.push(
+          React.createElement(
+            'div',
+            { className: 'calendar-details', key: 'details' },
+            React.createElement(
+              'h4',
+              null,
+              calendarDate,
+              info ? ` – ${info.plan.name}${workout ? ` (${workout})` : ''}: ${dayStatusLabels[info.status]}` : ''
+            ),
+            rows.map((row, i) => {
+              const logged = dayEntries.filter((e) => e.exercise.toLowerCase() === row.exercise.toLowerCase());
+              const target = formatPrescription(row);
+              return React.createElement(
+                'div',
+                { key: `planned-${i}` },
+                React.createElement('strong', null, row.exercise),
+                target ? ` (${target})` : '',
+                ': ',
+                logged.length > 0 ? describeLogged(logged) : 'not logged'
+              );
+            }),
+            dayEntries
+              .filter((e) => !planned.has(e.exercise.toLowerCase()))
+              .map((e) =>
+                React.createElement(
+                  'div',
+                  { key: `extra-${e.id}` },
+                  React.createElement('strong', null, e.exercise),
+                  ': ',
+                  describeLogged([e]),
+                  info ? ' (not planned)' : ''
+                )
+              ),
+            rows.length === 0 && dayEntries.length === 0
+              ? React.createElement('p', { className: 'no-data-text' }, 'Nothing planned or logged on this day.')
+              : null,
+            React.createElement(
+              'button',
+              {
+                type: 'button',
+                className: 'btn btn--small',
+                style: { marginTop: '0.5rem' },
+                onClick: () => {
+                  setLogDate(calendarDate);
+                  setView('log');
+                },
+              },
+              dayEntries.length > 0 ? 'Log more for this day' : 'Log this day'
+            )
+          )
+        );
+      }
+      planElements.push(
+        React.createElement(
+          'div',
+          { key: 'calendar' },
+          React.createElement('h3', null, 'Adherence Calendar'),
+          calendarElements,
+          React.createElement('hr', { style: { margin: '1rem 0' } })
+        )
+      );
+    }
+    // Plan library: every saved, running and finished plan with its
+    // actions.  Archived plans are listed separately underneath.
+    const statusLabels = { saved: 'Saved', active: 'Active', finished: 'Finished' };
+    const renderPlanDetails = (p) => {
+      const groups =
+        p.type === 'rotation' || p.type === 'cycle'
+          ? p.workouts.map((w) => ({ label: w.name, rows: w.exercises }))
+          : Object.keys(p.days || {}).map((d) => ({ label: dayNames[d], rows: p.days[d] }));
+      return React.createElement(
+        'div',
+        { className: 'plan-details' },
+        groups
+          .filter((g) => g.rows.length > 0)
+          .map((g, i) =>
+            React.createElement(
+              'div',
+              { key: `detail-${i}` },
+              React.createElement('strong', null, g.label),
+              ': ',
+              g.rows
+                .map((row) => {
+                  const target = formatPrescription(row);
+                  return target ? `${row.exercise} (${target})` : row.exercise;
+                })
+                .join(', ')
+            )
+          )
+      );
+    };
+    const renderLibraryPlan = (p) => {
+      const ran = p.status !== 'saved';
+      const adherence = ran ? adherenceOf(p) : null;
+      return React.createElement(
+        'div',
+        { className: 'plan-library-item', key: `plan-${p.id}` },
+        React.createElement(
+          'div',
+          { className: 'plan-library-header' },
+          React.createElement('strong', null, p.name),
+          React.createElement('span', { className: `plan-badge plan-badge--${p.status}` }, statusLabels[p.status] || p.status)
+        ),
+        React.createElement('p', { className: 'help-text' }, describePlan(p)),
+        React.createElement(
+          'p',
+          { className: 'help-text' },
+          ran ? `${p.startDate} to ${p.endDate}` : `${Math.round((p.durationDays + 1) / 7)} weeks once started`,
+          adherence && adherence.percent !== null
+            ? ` · ${adherence.completed} of ${adherence.sessions} sessions done (${adherence.percent}%)`
+            : ''
+        ),
+        expandedPlanId === p.id ? renderPlanDetails(p) : null,
+        React.createElement(
+          'div',
+          { className: 'button-row' },
+          p.status === 'saved' && !p.archived
+            ? React.createElement(
+                'button',
+                { type: 'button', className: 'btn btn--small', onClick: () => handleStartPlan(p.id) },
+                'Start'
+              )
+            : null,
+          p.status !== 'finished' && !p.archived
+            ? React.createElement(
+                'button',
+                { type: 'button', className: 'btn btn--small btn--secondary', onClick: () => handleEditPlan(p.id) },
+                'Edit'
+              )
+            : null,
+          React.createElement(
+            'button',
+            {
+              type: 'button',
+              className: 'btn btn--small btn--secondary',
+              onClick: () => setExpandedPlanId(expandedPlanId === p.id ? null : p.id),
+            },
+            expandedPlanId === p.id ? 'Hide Details' : 'Details'
+          ),
+          React.createElement(
+            'button',
+            { type: 'button', className: 'btn btn--small btn--secondary', onClick: () => handleDuplicatePlan(p.id) },
+            'Duplicate'
+          ),
+          p.status !== 'active'
+            ? React.createElement(
+                'button',
+                {
+                  type: 'button',
+                  className: 'btn btn--small btn--secondary',
+                  onClick: () => handleArchivePlan(p.id, !p.archived),
+                },
+                p.archived ? 'Unarchive' : 'Archive'
+              )
+            : null
+        )
+      );
+    };
+    const libraryPlans = plans.filter((p) => !p.archived);
+    const archivedPlans = plans.filter((p) => p.archived);
+    // Plans that have run, newest block first, for comparing adherence
+    const historyPlans = plans
+      .filter((p) => p.status !== 'saved')
+      .slice()
+      .sort((a, b) => (b.startDate || '').localeCompare(a.startDate || ''));
+    planElements.push(
+      React.createElement(
+        'div',
+        { key: 'library', className: 'plan-library' },
+        React.createElement('h3', null, 'Plan Library'),
+        libraryPlans.length > 0
+          ? libraryPlans.map(renderLibraryPlan)
+          : React.createElement('p', { className: 'no-data-text' }, 'No saved plans yet.'),
+        React.createElement(
+          'div',
+          { className: 'form-group' },
+          React.createElement('label', { htmlFor: 'plan-template' }, 'Start from a template'),
+          React.createElement(
+            'div',
+            { className: 'button-row' },
+            React.createElement(
+              'select',
+              {
+                id: 'plan-template',
+                className: 'form-control',
+                style: { width: 'auto' },
+                onChange: (ev) => setPlanTemplate(ev.target.value),
+              },
+              Object.keys(PLAN_TEMPLATES).map((key) =>
+                React.createElement('option', { value: key, key, selected: planTemplate === key }, PLAN_TEMPLATES[key].name)
+              )
+            ),
+            React.createElement(
+              'button',
+              { type: 'button', className: 'btn btn--secondary', onClick: handleAddTemplate },
+              'Add to Library'
+            )
+          ),
+          PLAN_TEMPLATES[planTemplate]
+            ? React.createElement('p', { className: 'help-text' }, PLAN_TEMPLATES[planTemplate].description)
+            : null
+        ),
+        archivedPlans.length > 0
+          ? React.createElement(
+              'div',
+              { className: 'plan-archive' },
+              React.createElement('h4', null, `Archived (${archivedPlans.length})`),
+              archivedPlans.map(renderLibraryPlan)
+            )
+          : null,
+        historyPlans.length > 0
+          ? React.createElement(
+              'div',
+              { className: 'table-scroll' },
+              React.createElement('h4', null, 'Plan History'),
+              React.createElement(
+                'table',
+                { className: 'entries-table plan-history-table' },
+                React.createElement(
+                  'thead',
+                  null,
+                  React.createElement(
+                    'tr',
+                    null,
+                    ['Plan', 'Dates', 'Sessions done', 'Adherence', 'Targets met'].map((h) =>
+                      React.createElement('th', { key: h }, h)
+                    )
+                  )
+                ),
+                React.createElement(
+                  'tbody',
+                  null,
+                  historyPlans.map((p) => {
+                    const adherence = adherenceOf(p);
+                    return React.createElement(
+                      'tr',
+                      { key: `history-${p.id}` },
+                      React.createElement('td', null, p.name),
+                      React.createElement('td', null, `${p.startDate} – ${p.endDate}`),
+                      React.createElement('td', null, `${adherence.completed} / ${adherence.sessions}`),
+                      React.createElement('td', null, adherence.percent !== null ? `${adherence.percent}%` : '–'),
+                      React.createElement('td', null, adherence.metPercent !== null ? `${adherence.metPercent}%` : '–')
+                    );
+                  })
+                )
+              )
+            )
+          : null,
+        React.createElement('hr', { style: { margin: '1rem 0' } })
+      )
+    );
+    // Plan creation form
+    const dayCheckboxes = dayNames.map((name, idx) =>
+      React.createElement(
+        'div',
+        { key: `plan-day-${idx}`, style: { display: 'flex', alignItems: 'center', marginBottom: '0.25rem' } },
+        React.createElement('input', {
+          type: 'checkbox',
+          id: `plan-day-${idx}`,
+          checked: !!planSelectedDays[idx],
+          onChange: () => togglePlanDay(idx),
+        }),
+        React.createElement('label', { htmlFor: `plan-day-${idx}`, style: { marginLeft: '0.4rem' } }, name)
+      )
+    );
+    // Inputs for selected days
+    const selectedKeys = Object.entries(planSelectedDays)
+      .filter(([k, v]) => v && !isNaN(Number(k)) && dayNames[Number(k)] !== undefined)
+      .map(([k]) => k);
+    // Build dynamic exercise rows for each selected day.  Each row
+    // contains a select dropdown for choosing a predefined exercise or
+    // "Other", an optional custom input field for new exercises and a
+    // remove button.  A button is also provided to add additional
+    // exercise rows for the day.
+    const renderPlanExerciseRows = (k) => {
+      const list = planExercises[k] && Array.isArray(planExercises[k]) && planExercises[k].length > 0 ? planExercises[k] : [''];
+      const rows = list.map((exVal, idx) => {
+        // Compute the selected value.  An empty string indicates that
+        // the user has chosen "Other" and will enter a custom exercise.
+        const selectedVal = exVal === '' ? '__other__' : exVal;
+        const target = getPlanTarget(k, idx);
+        const exerciseRow = React.createElement(
+          'div',
+          {
+            key: `ex-row-${k}-${idx}`,
+            style: { display: 'flex', alignItems: 'center', marginBottom: '0.5rem' },
+          },
+          // Exercise select element
+          React.createElement(
+            'select',
+            {
+              onChange: (ev) => handlePlanExerciseSelectChange(k, idx, ev.target.value),
+              className: 'form-control',
+              style: { flexGrow: 1 },
+            },
+            React.createElement('option', { value: '', selected: selectedVal === '' }, 'Select exercise'),
+            datalistOptions.map((opt) =>
+              React.createElement('option', {
+                value: opt,
+                key: `opt-${k}-${idx}-${opt}`,
+                selected: selectedVal === opt,
+              }, opt)
+            ),
+            React.createElement('option', { value: '__other__', selected: selectedVal === '__other__' }, 'Other')
+          ),
+          // Custom input field when "Other" is selected (empty string)
+          exVal === ''
+            ? React.createElement('input', {
+                type: 'text',
+                placeholder: 'New exercise',
+                value: exVal || '',
+                onInput: (ev) => handlePlanExerciseInputChange(k, idx, ev.target.value),
+                style: { marginLeft: '0.5rem', flexGrow: 1 },
+              })
+            : null,
+          // Remove button (only show if more than one exercise row exists)
+          list.length > 1
+            ? React.createElement(
+                'button',
+                {
+                  type: 'button',
+                  className: 'btn',
+                  onClick: () => removePlanExerciseRow(k, idx),
+                  style: { marginLeft: '0.5rem', padding: '0.25rem 0.5rem' },
+                },
+                'Remove'
+              )
+            : null
+        );
+        // Optional targets: sets, reps (or a rep range) and the load as
+        // a weight or a percentage of the exercise's best e1RM
+        const targetRow = React.createElement(
+          'div',
+          { className: 'plan-target', key: `ex-target-${k}-${idx}` },
+          React.createElement('input', {
+            type: 'number',
+            min: '1',
+            className: 'form-control plan-target-sets',
+            placeholder: 'Sets',
+            title: 'Target sets',
+            value: target.sets,
+            onChange: (ev) => updatePlanTarget(k, idx, 'sets', ev.target.value),
+          }),
+          React.createElement('span', { className: 'set-label' }, '×'),
+          React.createElement('input', {
+            type: 'text',
+            className: 'form-control plan-target-reps',
+            placeholder: 'Reps, e.g. 8-12',
+            title: 'Target reps or rep range',
+            value: target.reps,
+            onChange: (ev) => updatePlanTarget(k, idx, 'reps', ev.target.value),
+          }),
+          React.createElement('span', { className: 'set-label' }, '@'),
+          React.createElement('input', {
+            type: 'number',
+            min: '0',
+            step: 'any',
+            className: 'form-control plan-target-load',
+            placeholder: 'Load',
+            title: 'Target load',
+            value: target.load,
+            onChange: (ev) => updatePlanTarget(k, idx, 'load', ev.target.value),
+          }),
+          React.createElement(
+            'select',
+            {
+              className: 'form-control plan-target-type',
+              onChange: (ev) => updatePlanTarget(k, idx, 'loadType', ev.target.value),
+            },
+            WEIGHT_UNITS.map((u) => React.createElement('option', { value: u, key: u, selected: target.loadType === u }, u)),
+            React.createElement('option', { value: 'percent', selected: target.loadType === 'percent' }, '% of e1RM')
+          ),
+          React.createElement(
+            'label',
+            { className: 'inline-label' },
+            React.createElement('input', {
+              type: 'checkbox',
+              checked: !!target.progress,
+              onChange: () => updatePlanTarget(k, idx, 'progress', !target.progress),
+            }),
+            'Auto-progress'
+          )
+        );
+        // Progression rule: shown once auto-progress is ticked
+        const progressionRow = target.progress
+          ? React.createElement(
+              'div',
+              { className: 'plan-target plan-progression', key: `ex-progression-${k}-${idx}` },
+              'Add',
+              React.createElement('input', {
+                type: 'number',
+                min: '0',
+                step: 'any',
+                className: 'form-control plan-target-load',
+                title: 'Load increase after a successful session',
+                value: target.increment,
+                onChange: (ev) => updatePlanTarget(k, idx, 'increment', ev.target.value),
+              }),
+              `${WEIGHT_UNITS.includes(target.loadType) ? target.loadType : displayUnit} when all target reps are hit; deload`,
+              React.createElement('input', {
+                type: 'number',
+                min: '1',
+                max: '99',
+                className: 'form-control plan-target-sets',
+                title: 'Deload percentage',
+                value: target.deload,
+                onChange: (ev) => updatePlanTarget(k, idx, 'deload', ev.target.value),
+              }),
+              '% after',
+              React.createElement('input', {
+                type: 'number',
+                min: '1',
+                className: 'form-control plan-target-sets',
+                title: 'Failed sessions before a deload',
+                value: target.failures,
+                onChange: (ev) => updatePlanTarget(k, idx, 'failures', ev.target.value),
+              }),
+              'failed sessions'
+            )
+          : null;
+        return [exerciseRow, targetRow, progressionRow];
       });
-    }, 0);
-  }
-  // Build header with title and total workouts
-  const totalWorkouts = entries.length;
-  const header = React.createElement(
-    'header',
-    { className: 'app-header' },
-    React.createElement('h1', { className: 'app-title' }, '💪 Workout Tracker'),
-    React.createElement(
-      'div',
-      { className: 'app-stats' },
-      React.createElement('span', { className: 'stat-label' }, 'Total Workouts:'),
-      React.createElement('span', { className: 'stat-value' }, String(totalWorkouts))
-    )
-  );
-  // Build navigation bar using tab style
-  const navBar = React.createElement(
-    'nav',
-    { className: 'tab-nav' },
-    React.createElement(
-      'button',
-      {
-        className: view === 'log' ? 'tab-btn active' : 'tab-btn',
-        onClick: () => {
-          setView('log');
-          trackClarity('log');
-        },
-      },
-      'Log'
-    ),
-    React.createElement(
-      'button',
-      {
-        className: view === 'plan' ? 'tab-btn active' : 'tab-btn',
-        onClick: () => {
-          setView('plan');
-          trackClarity('plan');
-        },
-      },
-      'Plan'
-    ),
-    React.createElement(
-      'button',
-      {
-        className: view === 'progress' ? 'tab-btn active' : 'tab-btn',
-        onClick: () => {
-          setView('progress');
-          trackClarity('progress');
-        },
-      },
-      'Progress'
-    )
-  );
-  // Build log page content
-  let content;
-  if (view === 'log') {
-    const rows = [];
-    if (entries && entries.length > 0) {
-      const tableRows = entries.map((entry) =>
+      // Button to add another exercise row
+      rows.push(
         React.createElement(
-          'tr',
-          { key: entry.id },
-          React.createElement('td', null, entry.date),
-          React.createElement('td', null, entry.exercise),
-          React.createElement('td', null, entry.weight),
-          React.createElement('td', null, entry.reps),
-          React.createElement('td', null, entry.notes)
+          'button',
+          {
+            type: 'button',
+            className: 'btn',
+            onClick: () => addPlanExerciseRow(k),
+            style: { marginTop: '0.25rem' },
+          },
+          'Add Exercise'
         )
       );
-      rows.push(
+      return rows;
+    };
+    const exercisesInputs =
+      planType === 'weekly'
+        ? selectedKeys.map((k) =>
+            React.createElement(
+              'div',
+              { className: 'form-group', key: `ex-group-${k}` },
+              React.createElement(
+                'label',
+                null,
+                'Exercises for ',
+                dayNames[k]
+              ),
+              renderPlanExerciseRows(k)
+            )
+          )
+        : [];
+    // Rotation and cycle plans: one block per workout (or cycle day)
+    // with an editable name.  Cycle days can be marked as rest days.
+    const workoutInputs =
+      planType === 'weekly'
+        ? null
+        : React.createElement(
+            'div',
+            { className: 'form-group' },
+            React.createElement('label', null, planType === 'cycle' ? 'Cycle days' : 'Workouts (done in turn)'),
+            planWorkouts.map((w, i) =>
+              React.createElement(
+                'div',
+                { className: 'plan-workout', key: `plan-workout-${i}` },
+                React.createElement(
+                  'div',
+                  { className: 'plan-workout-header' },
+                  React.createElement('input', {
+                    type: 'text',
+                    className: 'form-control',
+                    value: w.name,
+                    placeholder: 'Workout name',
+                    onChange: (ev) => updatePlanWorkout(i, { name: ev.target.value }),
+                  }),
+                  planType === 'cycle'
+                    ? React.createElement(
+                        'label',
+                        { className: 'inline-label' },
+                        React.createElement('input', {
+                          type: 'checkbox',
+                          checked: !!w.rest,
+                          onChange: () => updatePlanWorkout(i, { rest: !w.rest }),
+                        }),
+                        'Rest day'
+                      )
+                    : null
+                ),
+                w.rest ? null : renderPlanExerciseRows(`w${i}`)
+              )
+            ),
+            React.createElement(
+              'div',
+              { className: 'button-row' },
+              React.createElement(
+                'button',
+                { type: 'button', className: 'btn btn--secondary', onClick: addPlanWorkout },
+                planType === 'cycle' ? 'Add Day' : 'Add Workout'
+              ),
+              planWorkouts.length > 1
+                ? React.createElement(
+                    'button',
+                    { type: 'button', className: 'btn btn--secondary', onClick: removePlanWorkout },
+                    planType === 'cycle' ? 'Remove Last Day' : 'Remove Last Workout'
+                  )
+                : null
+            ),
+            React.createElement(
+              'label',
+              { className: 'inline-label', style: { marginTop: '0.5rem' } },
+              React.createElement('input', {
+                type: 'checkbox',
+                checked: planPushMissed,
+                onChange: () => setPlanPushMissed(!planPushMissed),
+              }),
+              'Missed sessions move to the next training day'
+            )
+          );
+    planElements.push(
+      React.createElement(
+        'form',
+        { onSubmit: handleSavePlan, key: 'plan-form' },
+        // Heading
         React.createElement(
-          'table',
-          { className: 'entries-table', key: 'table' },
+          'p',
+          null,
+          editingPlanId !== null ? `Editing “${(plans.find((p) => p.id === editingPlanId) || {}).name}”:` : 'Create a new plan:'
+        ),
+        // Plan name
+        React.createElement(
+          'div',
+          { className: 'form-group' },
+          React.createElement('label', { htmlFor: 'plan-name' }, 'Plan name'),
+          React.createElement('input', {
+            type: 'text',
+            id: 'plan-name',
+            className: 'form-control',
+            value: planName,
+            placeholder: `Plan ${plans.length + 1}`,
+            onInput: (ev) => setPlanName(ev.target.value),
+          })
+        ),
+        // Plan type
+        React.createElement(
+          'div',
+          { className: 'form-group' },
+          React.createElement('label', { htmlFor: 'plan-type' }, 'Plan type'),
           React.createElement(
-            'thead',
-            null,
-            React.createElement(
-              'tr',
-              null,
-              React.createElement('th', null, 'Date'),
-              React.createElement('th', null, 'Exercise'),
-              React.createElement('th', null, 'Weight'),
-              React.createElement('th', null, 'Reps'),
-              React.createElement('th', null, 'Notes')
+            'select',
+            {
+              id: 'plan-type',
+              className: 'form-control',
+              onChange: (ev) => handlePlanTypeChange(ev.target.value),
+            },
+            Object.keys(PLAN_TYPES).map((key) =>
+              React.createElement('option', { value: key, key, selected: planType === key }, PLAN_TYPES[key])
             )
-          ),
-          React.createElement('tbody', null, tableRows)
+          )
+        ),
+        // Day selection checkboxes (training days of a rotation; cycles
+        // ignore the weekday)
+        planType === 'cycle'
+          ? null
+          : React.createElement(
+              'div',
+              { className: 'form-group' },
+              React.createElement('label', null, planType === 'rotation' ? 'Training days' : 'Select days'),
+              dayCheckboxes
+            ),
+        // Exercise inputs for selected days
+        exercisesInputs,
+        workoutInputs,
+        // Button to add exercises from plan to the exercise bank
+        React.createElement(
+          'button',
+          {
+            type: 'button',
+            className: 'btn',
+            onClick: handleAddPlanExercisesToBank,
+            style: { marginBottom: '0.5rem' },
+          },
+          'Add Exercises to Bank'
+        ),
+        // End date input
+        React.createElement(
+          'div',
+          { className: 'form-group' },
+          React.createElement('label', { htmlFor: 'plan-end' }, 'End date'),
+          React.createElement('input', {
+            type: 'date',
+            id: 'plan-end',
+            value: planEndDate,
+            min: formatDate(new Date()),
+            onInput: (ev) => setPlanEndDate(ev.target.value),
+          })
+        ),
+        editingPlanId !== null
+          ? null
+          : React.createElement(
+              'label',
+              { className: 'inline-label', style: { marginBottom: '0.5rem' } },
+              React.createElement('input', {
+                type: 'checkbox',
+                id: 'plan-activate',
+                checked: planActivate,
+                onChange: () => setPlanActivate(!planActivate),
+              }),
+              plan ? 'Start this plan now (ends the current plan)' : 'Start this plan now'
+            ),
+        // Submit button
+        React.createElement(
+          'div',
+          { className: 'button-row' },
+          React.createElement('button', { type: 'submit', className: 'btn' }, editingPlanId !== null ? 'Save Changes' : 'Save Plan'),
+          editingPlanId !== null
+            ? React.createElement(
+                'button',
+                { type: 'button', className: 'btn btn--secondary', onClick: resetPlanForm },
+                'Cancel'
+              )
+            : null
         )
-      );
-    }
-    // Determine whether to show group form or individual form
-    const formElements = [];
-    formElements.push(
-      React.createElement('h2', { key: 'title' }, 'Log Workout')
+      )
     );
-    if (logMessage) {
-      formElements.push(
+    content = React.createElement('div', { className: 'card' }, planElements);
+  } else if (view === 'exercises') {
+    // Exercise bank: how each exercise is measured, its equipment and
+    // the muscles it trains
+    const bankElements = [React.createElement('h2', { key: 'title' }, 'Exercise Bank')];
+    if (bankMessage) {
+      bankElements.push(
         React.createElement(
           'div',
-          { key: 'msg', className: `alert alert-${logMessageType === 'error' ? 'error' : 'success'}` },
-          logMessage
+          { key: 'msg', className: `alert alert-${bankMessageType === 'error' ? 'error' : 'success'}` },
+          bankMessage
         )
       );
     }
-    // Date field
-    formElements.push(
+    const renderMuscleOptions = (field, label) =>
       React.createElement(
         'div',
-        { className: 'form-group', key: 'log-date' },
-        React.createElement('label', { htmlFor: 'log-date-input' }, 'Date'),
-        React.createElement('input', {
-          type: 'date',
-          id: 'log-date-input',
-          value: logDate,
-          max: plan && plan.endDate ? plan.endDate : undefined,
-          onInput: (e) => setLogDate(e.target.value),
-        })
-      )
-    );
-    if (scheduledExercises && scheduledExercises.length > 0) {
-      // Group logging form
-      formElements.push(
+        { className: 'form-group' },
+        React.createElement('label', null, label),
         React.createElement(
-          'form',
-          { onSubmit: handleGroupSubmit, key: 'group-form' },
-          React.createElement('p', null, 'Planned exercises for ', logDate, ':'),
-          scheduledExercises.map((ex) =>
+          'div',
+          { className: 'muscle-options' },
+          MUSCLE_GROUPS.map((muscle) =>
             React.createElement(
-              'div',
-              { className: 'form-group', key: `group-${ex}` },
-              React.createElement('label', null, ex),
+              'label',
+              { className: 'inline-label', key: `${field}-${muscle}` },
               React.createElement('input', {
-                type: 'number',
-                placeholder: 'Weight',
-                value: groupWeights[ex] || '',
-                onInput: (ev) => setGroupWeights({ ...groupWeights, [ex]: ev.target.value }),
+                type: 'checkbox',
+                checked: bankDraft[field].includes(muscle),
+                onChange: () => toggleBankMuscle(field, muscle),
               }),
-              React.createElement('input', {
-                type: 'number',
-                placeholder: 'Reps',
-                value: groupReps[ex] || '',
-                onInput: (ev) => setGroupReps({ ...groupReps, [ex]: ev.target.value }),
-                style: { marginTop: '0.5rem' },
-              })
+              muscle
+            )
+          )
+        )
+      );
+    if (bankDraft) {
+      bankElements.push(
+        React.createElement(
+          'form',
+          { key: 'bank-form', className: 'bank-editor', onSubmit: handleSaveBankExercise },
+          bankDraft.original
+            ? React.createElement('h3', null, bankDraft.original)
+            : React.createElement(
+                'div',
+                { className: 'form-group' },
+                React.createElement('label', { htmlFor: 'bank-name' }, 'Name'),
+                React.createElement('input', {
+                  type: 'text',
+                  id: 'bank-name',
+                  className: 'form-control',
+                  value: bankDraft.name,
+                  onInput: (ev) => setBankDraft({ ...bankDraft, name: ev.target.value }),
+                })
+              ),
+          React.createElement(
+            'div',
+            { className: 'form-group' },
+            React.createElement('label', { htmlFor: 'bank-type' }, 'Measured as'),
+            React.createElement(
+              'select',
+              {
+                id: 'bank-type',
+                className: 'form-control',
+                onChange: (ev) => setBankDraft({ ...bankDraft, type: ev.target.value }),
+              },
+              Object.keys(EXERCISE_TYPES).map((key) =>
+                React.createElement('option', { value: key, key, selected: bankDraft.type === key }, EXERCISE_TYPES[key])
+              )
+            )
+          ),
+          React.createElement(
+            'div',
+            { className: 'form-group' },
+            React.createElement('label', { htmlFor: 'bank-equipment' }, 'Equipment'),
+            React.createElement(
+              'select',
+              {
+                id: 'bank-equipment',
+                className: 'form-control',
+                onChange: (ev) => setBankDraft({ ...bankDraft, equipment: ev.target.value }),
+              },
+              React.createElement('option', { value: '', selected: !bankDraft.equipment }, '–'),
+              EQUIPMENT.map((item) =>
+                React.createElement('option', { value: item, key: item, selected: bankDraft.equipment === item }, item)
+              )
+            )
+          ),
+          renderMuscleOptions('primaryMuscles', 'Primary muscles'),
+          renderMuscleOptions('secondaryMuscles', 'Secondary muscles'),
+          React.createElement(
+            'div',
+            { className: 'button-row' },
+            React.createElement('button', { type: 'submit', className: 'btn' }, 'Save Exercise'),
+            React.createElement(
+              'button',
+              { type: 'button', className: 'btn btn--secondary', onClick: () => setBankDraft(null) },
+              'Cancel'
             )
           ),
-          React.createElement('button', { type: 'submit', className: 'btn' }, 'Log Planned Workouts')
+          React.createElement('hr', { style: { margin: '1rem 0' } })
         )
       );
     } else {
-      // Individual logging form
-      formElements.push(
+      bankElements.push(
         React.createElement(
-          'form',
-          { onSubmit: handleLogSubmit, key: 'ind-form' },
-          // Exercise select with an option for "Other" and a custom input field
+          'button',
+          { key: 'bank-new', type: 'button', className: 'btn', onClick: handleNewBankExercise },
+          'New Exercise'
+        )
+      );
+    }
+    bankElements.push(
+      React.createElement(
+        'div',
+        { className: 'table-scroll', key: 'bank-table' },
+        React.createElement(
+          'table',
+          { className: 'entries-table bank-table' },
           React.createElement(
-            'div',
-            { className: 'form-group' },
-            React.createElement('label', { htmlFor: 'log-ex-select' }, 'Exercise'),
-            (() => {
-              // Determine which option should be selected.  When the
-              // user chooses "Other", we set showLogCustomInput to
-              // true and do not select any predefined exercise.  When
-              // showLogCustomInput is false, the current logExercise
-              // determines the selected option.
-              const selectedVal = showLogCustomInput ? '__other__' : (logExercise || '');
-              return React.createElement(
-                'select',
-                {
-                  id: 'log-ex-select',
-                  onChange: (ev) => handleLogSelectChange(ev.target.value),
-                  className: 'form-control',
-                },
-                // Placeholder option
-                React.createElement('option', { value: '', selected: selectedVal === '' }, 'Select exercise'),
-                // Predefined exercises
-                datalistOptions.map((ex) =>
-                  React.createElement('option', { value: ex, key: ex, selected: selectedVal === ex }, ex)
-                ),
-                // Other option
-                React.createElement('option', { value: '__other__', selected: selectedVal === '__other__' }, 'Other')
-              );
-            })(),
-            showLogCustomInput
-              ? React.createElement('input', {
-                  type: 'text',
-                  id: 'log-ex-custom',
-                  placeholder: 'New exercise',
-                  value: logExercise,
-                  onInput: (ev) => setLogExercise(ev.target.value),
-                  style: { marginTop: '0.5rem' },
-                })
-              : null,
+            'thead',
+            null,
             React.createElement(
-              'button',
-              {
-                type: 'button',
-                className: 'btn',
-                onClick: handleAddExerciseToBank,
-                style: { marginTop: '0.5rem' },
-              },
-              'Add to Bank'
+              'tr',
+              null,
+              ['Exercise', 'Measured as', 'Equipment', 'Muscles', ''].map((h) => React.createElement('th', { key: h }, h))
             )
           ),
-          // Weight input
           React.createElement(
-            'div',
-            { className: 'form-group' },
-            React.createElement('label', { htmlFor: 'log-w' }, 'Weight'),
-            React.createElement('input', {
-              type: 'number',
-              step: 'any',
-              id: 'log-w',
-              value: logWeight,
-              onInput: (ev) => setLogWeight(ev.target.value),
-            })
-          ),
-          // Reps input
+            'tbody',
+            null,
+            exerciseBank.map((x) =>
+              React.createElement(
+                'tr',
+                { key: x.name },
+                React.createElement('td', null, x.name),
+                React.createElement('td', null, EXERCISE_TYPES[x.type]),
+                React.createElement('td', null, x.equipment || '–'),
+                React.createElement(
+                  'td',
+                  null,
+                  x.primaryMuscles.join(', ') || '–',
+                  x.secondaryMuscles.length > 0
+                    ? React.createElement('span', { className: 'help-text' }, ` (also ${x.secondaryMuscles.join(', ')})`)
+                    : null
+                ),
+                React.createElement(
+                  'td',
+                  null,
+                  React.createElement(
+                    'button',
+                    {
+                      type: 'button',
+                      className: 'btn btn--small btn--secondary',
+                      onClick: () => handleEditBankExercise(x.name),
+                    },
+                    'Edit'
+                  )
+                )
+              )
+            )
+          )
+        )
+      )
+    );
+    // Exercise manager: rename, merge or remove an exercise everywhere
+    // it is used, after a preview of how many records change
+    const allNames = getAllExerciseNames(entries, plans, exerciseBank);
+    const exerciseChange = managePreview ? prepareExerciseChange() : null;
+    const changeManaged = (setter) => (ev) => {
+      setter(ev.target.value);
+      if (managePreview) setManagePreview(false);
+    };
+    const renderNameOptions = (names, selected, placeholder) => [
+      React.createElement('option', { value: '', key: '', selected: selected === '' }, placeholder),
+      ...names.map((name) =>
+        React.createElement('option', { value: name, key: name, selected: selected === name }, name)
+      ),
+    ];
+    bankElements.push(
+      React.createElement(
+        'div',
+        { className: 'card', key: 'manage-card' },
+        React.createElement('h3', null, 'Rename, Merge or Remove'),
+        React.createElement(
+          'p',
+          { className: 'help-text' },
+          'Changes apply to every logged entry, plan and the bank at once. Merge combines spellings of one exercise.'
+        ),
+        React.createElement(
+          'form',
+          { className: 'manage-exercises', onSubmit: handlePreviewExerciseChange },
           React.createElement(
             'div',
             { className: 'form-group' },
-            React.createElement('label', { htmlFor: 'log-r' }, 'Reps'),
-            React.createElement('input', {
-              type: 'number',
-              id: 'log-r',
-              value: logReps,
-              onInput: (ev) => setLogReps(ev.target.value),
-            })
+            React.createElement('label', { htmlFor: 'manage-action' }, 'Action'),
+            React.createElement(
+              'select',
+              {
+                id: 'manage-action',
+                className: 'form-control',
+                onChange: (ev) => {
+                  setManageAction(ev.target.value);
+                  setManageTarget('');
+                  setManagePreview(false);
+                },
+              },
+              [
+                ['rename', 'Rename'],
+                ['merge', 'Merge into another exercise'],
+                ['remove', 'Remove from bank and plans'],
+              ].map(([value, label]) =>
+                React.createElement('option', { value, key: value, selected: manageAction === value }, label)
+              )
+            )
           ),
-          // Notes textarea
           React.createElement(
             'div',
             { className: 'form-group' },
-            React.createElement('label', { htmlFor: 'log-notes' }, 'Notes (optional)'),
-            React.createElement('textarea', {
-              id: 'log-notes',
-              rows: 2,
-              value: logNotes,
-              onInput: (ev) => setLogNotes(ev.target.value),
-            })
+            React.createElement('label', { htmlFor: 'manage-source' }, 'Exercise'),
+            React.createElement(
+              'select',
+              { id: 'manage-source', className: 'form-control', onChange: changeManaged(setManageSource) },
+              renderNameOptions(allNames, manageSource, 'Select exercise')
+            )
           ),
-          // Submit button
-          React.createElement('button', { type: 'submit', className: 'btn' }, 'Log Workout')
+          manageAction === 'rename'
+            ? React.createElement(
+                'div',
+                { className: 'form-group' },
+                React.createElement('label', { htmlFor: 'manage-target' }, 'New name'),
+                React.createElement('input', {
+                  type: 'text',
+                  id: 'manage-target',
+                  className: 'form-control',
+                  value: manageTarget,
+                  onInput: changeManaged(setManageTarget),
+                })
+              )
+            : null,
+          manageAction === 'merge'
+            ? React.createElement(
+                'div',
+                { className: 'form-group' },
+                React.createElement('label', { htmlFor: 'manage-target' }, 'Merge into'),
+                React.createElement(
+                  'select',
+                  { id: 'manage-target', className: 'form-control', onChange: changeManaged(setManageTarget) },
+                  renderNameOptions(
+                    allNames.filter((name) => name !== manageSource),
+                    manageTarget,
+                    'Select exercise'
+                  )
+                )
+              )
+            : null,
+          exerciseChange && !exerciseChange.error
+            ? React.createElement(
+                'div',
+                { className: 'alert alert-warning' },
+                exerciseChange.summary,
+                React.createElement(
+                  'div',
+                  { className: 'button-row' },
+                  React.createElement(
+                    'button',
+                    {
+                      type: 'button',
+                      className: manageAction === 'remove' ? 'btn btn--danger' : 'btn btn--primary',
+                      onClick: handleApplyExerciseChange,
+                    },
+                    manageAction === 'remove' ? 'Remove Exercise' : 'Apply Change'
+                  ),
+                  React.createElement(
+                    'button',
+                    { type: 'button', className: 'btn btn--secondary', onClick: () => setManagePreview(false) },
+                    'Cancel'
+                  )
+                )
+              )
+            : React.createElement('button', { type: 'submit', className: 'btn' }, 'Preview')
         )
-      );
-    }
-    content = React.createElement(
-      'div',
-      { className: 'card' },
-      formElements,
-      rows
+      )
     );
-  } else if (view === 'plan') {
-    const upcoming = getUpcomingSchedule();
-    const planElements = [];
-    planElements.push(React.createElement('h2', { key: 'title' }, 'Weekly Plan'));
-    if (planMessage) {
-      planElements.push(
+    content = React.createElement('div', { className: 'card' }, bankElements);
+  } else {
+    // Progress page
+    // CSV import card.  Shown whether or not there is data yet so a
+    // backup can be restored into an empty history.
+    const importElements = [React.createElement('h3', { key: 'import-title' }, 'Import CSV')];
+    if (importMessage) {
+      importElements.push(
         React.createElement(
           'div',
-          { key: 'msg', className: `alert alert-${planMessageType === 'error' ? 'error' : 'success'}` },
-          planMessage
+          { key: 'import-msg', className: `alert alert-${importMessageType === 'error' ? 'error' : 'success'}` },
+          importMessage
         )
       );
     }
-    if (plan) {
-      planElements.push(
+    if (!importPreview) {
+      importElements.push(
         React.createElement(
           'div',
-          { key: 'summary' },
-          React.createElement('p', null, 'Current plan active from ', plan.startDate, ' to ', plan.endDate),
-          upcoming.length > 0
-            ? React.createElement(
-                'div',
-                null,
-                React.createElement('p', null, 'Upcoming 7 days:'),
-                upcoming.map((item) =>
-                  React.createElement(
-                    'div',
-                    { key: item.date },
-                    React.createElement('strong', null, item.date),
-                    ': ',
-                    item.exercises.join(', ')
-                  )
-                )
-              )
-            : React.createElement('p', null, 'No workouts scheduled in the next 7 days.'),
+          { className: 'form-group', key: 'import-file' },
           React.createElement(
-            'button',
-            { className: 'btn', onClick: handleClearPlan, style: { marginTop: '0.5rem' } },
-            'Clear Plan'
+            'label',
+            { htmlFor: 'import-file-input' },
+            'Choose a CSV file exported from this app or a spreadsheet'
           ),
-          React.createElement('hr', { style: { margin: '1rem 0' } })
+          React.createElement('input', {
+            type: 'file',
+            id: 'import-file-input',
+            accept: '.csv,text/csv',
+            onChange: handleImportFile,
+          })
         )
       );
-    }
-    // Plan creation form
-    const dayCheckboxes = dayNames.map((name, idx) =>
-      React.createElement(
-        'div',
-        { key: `plan-day-${idx}`, style: { display: 'flex', alignItems: 'center', marginBottom: '0.25rem' } },
-        React.createElement('input', {
-          type: 'checkbox',
-          id: `plan-day-${idx}`,
-          checked: !!planSelectedDays[idx],
-          onChange: () => togglePlanDay(idx),
-        }),
-        React.createElement('label', { htmlFor: `plan-day-${idx}`, style: { marginLeft: '0.4rem' } }, name)
-      )
-    );
-    // Inputs for selected days
-    const selectedKeys = Object.entries(planSelectedDays)
-      .filter(([k, v]) => v && !isNaN(Number(k)) && dayNames[Number(k)] !== undefined)
-      .map(([k]) => k);
-    // Build dynamic exercise rows for each selected day.  Each row
-    // contains a select dropdown for choosing a predefined exercise or
-    // "Other", an optional custom input field for new exercises and a
-    // remove button.  A button is also provided to add additional
-    // exercise rows for the day.
-    const exercisesInputs = selectedKeys.map((k) => {
-      const list = planExercises[k] && Array.isArray(planExercises[k]) && planExercises[k].length > 0 ? planExercises[k] : [''];
-      const rows = list.map((exVal, idx) => {
-        // Compute the selected value.  An empty string indicates that
-        // the user has chosen "Other" and will enter a custom exercise.
-        const selectedVal = exVal === '' ? '__other__' : exVal;
-        return React.createElement(
-          'div',
-          {
-            key: `ex-row-${k}-${idx}`,
-            style: { display: 'flex', alignItems: 'center', marginBottom: '0.5rem' },
-          },
-          // Exercise select element
-          React.createElement(
-            'select',
-            {
-              onChange: (ev) => handlePlanExerciseSelectChange(k, idx, ev.target.value),
-              className: 'form-control',
-              style: { flexGrow: 1 },
-            },
-            React.createElement('option', { value: '', selected: selectedVal === '' }, 'Select exercise'),
-            datalistOptions.map((opt) =>
-              React.createElement('option', {
-                value: opt,
-                key: `opt-${k}-${idx}-${opt}`,
-                selected: selectedVal === opt,
-              }, opt)
-            ),
-            React.createElement('option', { value: '__other__', selected: selectedVal === '__other__' }, 'Other')
-          ),
-          // Custom input field when "Other" is selected (empty string)
-          exVal === ''
-            ? React.createElement('input', {
-                type: 'text',
-                placeholder: 'New exercise',
-                value: exVal || '',
-                onInput: (ev) => handlePlanExerciseInputChange(k, idx, ev.target.value),
-                style: { marginLeft: '0.5rem', flexGrow: 1 },
-              })
-            : null,
-          // Remove button (only show if more than one exercise row exists)
-          list.length > 1
-            ? React.createElement(
-                'button',
-                {
-                  type: 'button',
-                  className: 'btn',
-                  onClick: () => removePlanExerciseRow(k, idx),
-                  style: { marginLeft: '0.5rem', padding: '0.25rem 0.5rem' },
-                },
-                'Remove'
-              )
-            : null
-        );
-      });
-      // Button to add another exercise row
-      rows.push(
+    } else {
+      const duplicateCount = importPreview.rows.filter((row) => row.duplicate).length;
+      const importCount = importPreview.rows.length - (importSkipDuplicates ? duplicateCount : 0);
+      importElements.push(
         React.createElement(
-          'button',
-          {
-            type: 'button',
-            className: 'btn',
-            onClick: () => addPlanExerciseRow(k),
-            style: { marginTop: '0.25rem' },
-          },
-          'Add Exercise'
+          'p',
+          { key: 'import-summary' },
+          `${importPreview.fileName}: ${importPreview.rows.length} ${importPreview.rows.length === 1 ? 'entry' : 'entries'} read, `,
+          `${duplicateCount} already logged, ${importPreview.errors.length} line${importPreview.errors.length === 1 ? '' : 's'} skipped. `,
+          `Rows without a unit are treated as ${displayUnit}.`
         )
       );
-      return React.createElement(
-        'div',
-        { className: 'form-group', key: `ex-group-${k}` },
+      if (importPreview.errors.length > 0) {
+        importElements.push(
+          React.createElement(
+            'ul',
+            { className: 'import-errors', key: 'import-errors' },
+            importPreview.errors.map((err) =>
+              React.createElement('li', { key: `err-${err.line}` }, `Line ${err.line}: ${err.message}`)
+            )
+          )
+        );
+      }
+      if (importPreview.rows.length > 0) {
+        importElements.push(
+          React.createElement(
+            'div',
+            { className: 'table-scroll', key: 'import-table' },
+            React.createElement(
+              'table',
+              { className: 'entries-table' },
+              React.createElement(
+                'thead',
+                null,
+                React.createElement(
+                  'tr',
+                  null,
+                  React.createElement('th', null, 'Date'),
+                  React.createElement('th', null, 'Exercise'),
+                  React.createElement('th', null, 'Sets (weight × reps)'),
+                  React.createElement('th', null, 'Notes'),
+                  React.createElement('th', null, 'Status')
+                )
+              ),
+              React.createElement(
+                'tbody',
+                null,
+                importPreview.rows.map((row, idx) =>
+                  React.createElement(
+                    'tr',
+                    { key: `import-row-${idx}`, className: row.duplicate && importSkipDuplicates ? 'duplicate-row' : '' },
+                    React.createElement('td', null, row.entry.date),
+                    React.createElement('td', null, row.entry.exercise),
+                    React.createElement('td', null, formatSetsWithUnit(row.entry, row.entry.unit)),
+                    React.createElement('td', null, row.entry.notes),
+                    React.createElement('td', null, row.duplicate ? 'Duplicate' : 'New')
+                  )
+                )
+              )
+            )
+          )
+        );
+      }
+      importElements.push(
         React.createElement(
-          'label',
-          null,
-          'Exercises for ',
-          dayNames[k]
+          'div',
+          { className: 'form-group', key: 'import-skip', style: { display: 'flex', alignItems: 'center' } },
+          React.createElement('input', {
+            type: 'checkbox',
+            id: 'import-skip-duplicates',
+            checked: importSkipDuplicates,
+            onChange: () => setImportSkipDuplicates(!importSkipDuplicates),
+          }),
+          React.createElement(
+            'label',
+            { htmlFor: 'import-skip-duplicates', style: { marginLeft: '0.4rem', marginBottom: 0 } },
+            'Skip duplicates'
+          )
         ),
-        rows
+        React.createElement(
+          'div',
+          { className: 'button-row', key: 'import-actions' },
+          React.createElement(
+            'button',
+            { type: 'button', className: 'btn btn--primary', onClick: handleConfirmImport, disabled: importCount === 0 },
+            `Import ${importCount} ${importCount === 1 ? 'entry' : 'entries'}`
+          ),
+          React.createElement(
+            'button',
+            { type: 'button', className: 'btn btn--secondary', onClick: handleCancelImport },
+            'Cancel'
+          )
+        )
       );
-    });
-    planElements.push(
+    }
+    const importSection = React.createElement('div', { className: 'card', key: 'import-card' }, importElements);
+    // Backup & restore card: full JSON export of every stored value and
+    // a validated restore in replace or merge mode.
+    const backupElements = [
+      React.createElement('h3', { key: 'backup-title' }, 'Backup & Restore'),
       React.createElement(
-        'form',
-        { onSubmit: handleSavePlan, key: 'plan-form' },
-        // Heading
-        React.createElement('p', null, 'Create a new plan:'),
-        // Day selection checkboxes
-        React.createElement('div', { className: 'form-group' }, React.createElement('label', null, 'Select days'), dayCheckboxes),
-        // Exercise inputs for selected days
-        exercisesInputs,
-        // Button to add exercises from plan to the exercise bank
+        'p',
+        { key: 'backup-help', className: 'help-text' },
+        'A backup contains all entries, your plan, the exercise bank and settings.'
+      ),
+    ];
+    if (backupMessage) {
+      backupElements.push(
+        React.createElement(
+          'div',
+          { key: 'backup-msg', className: `alert alert-${backupMessageType === 'error' ? 'error' : 'success'}` },
+          backupMessage
+        )
+      );
+    }
+    if (!restorePreview) {
+      backupElements.push(
         React.createElement(
           'button',
           {
             type: 'button',
-            className: 'btn',
-            onClick: handleAddPlanExercisesToBank,
-            style: { marginBottom: '0.5rem' },
+            key: 'backup-export',
+            className: 'btn btn--primary',
+            onClick: () => exportBackup({ entries, plans, sessions, exerciseBank, settings }),
+            style: { marginBottom: '0.75rem' },
           },
-          'Add Exercises to Bank'
+          'Download Backup'
         ),
-        // End date input
         React.createElement(
           'div',
-          { className: 'form-group' },
-          React.createElement('label', { htmlFor: 'plan-end' }, 'End date'),
+          { className: 'form-group', key: 'backup-file' },
+          React.createElement('label', { htmlFor: 'restore-file-input' }, 'Restore from a backup file'),
           React.createElement('input', {
-            type: 'date',
-            id: 'plan-end',
-            value: planEndDate,
-            min: formatDate(new Date()),
-            onInput: (ev) => setPlanEndDate(ev.target.value),
+            type: 'file',
+            id: 'restore-file-input',
+            accept: '.json,application/json',
+            onChange: handleRestoreFile,
           })
+        )
+      );
+    } else {
+      const data = restorePreview.data;
+      const exportedAt = restorePreview.exportedAt ? new Date(restorePreview.exportedAt) : null;
+      backupElements.push(
+        React.createElement(
+          'p',
+          { key: 'restore-summary' },
+          `${restorePreview.fileName}`,
+          exportedAt && !isNaN(exportedAt) ? ` (saved ${formatDate(exportedAt)})` : '',
+          `: ${data.entries.length} ${data.entries.length === 1 ? 'entry' : 'entries'}, `,
+          `${data.plans.length} ${data.plans.length === 1 ? 'plan' : 'plans'}, `,
+          `${data.sessions.length} ${data.sessions.length === 1 ? 'session' : 'sessions'}, `,
+          `${data.exerciseBank.length} exercises in the bank.`
         ),
-        // Submit button
-        React.createElement('button', { type: 'submit', className: 'btn' }, 'Save Plan')
-      )
-    );
-    content = React.createElement('div', { className: 'card' }, planElements);
-  } else {
-    // Progress page
-    const avg = calculateGlobalAverages(entries);
-    const prs = calculatePRs(entries);
-    const volumeMap = calculateVolumePerExercise(entries);
-    const exs = Object.keys(volumeMap).sort();
-    // Build the progress section differently: show an export button,
-    // statistics grid, a volume chart and individual line charts for
-    // each exercise.  When there is no data, display a simple message.
-    if (entries && entries.length > 0) {
-      // Build personal records list.  Each record shows max weight,
-      // max reps and max volume for an exercise.
-      const prList = prs.map((item) =>
         React.createElement(
           'div',
-          { className: 'pr-item', key: `pr-${item.exercise}` },
-          React.createElement('div', { className: 'pr-exercise' }, item.exercise),
-          React.createElement(
-            'div',
-            { className: 'pr-records' },
+          { className: 'form-group', key: 'restore-mode' },
+          ['merge', 'replace'].map((mode) =>
             React.createElement(
               'div',
-              { className: 'pr-record' },
-              React.createElement('span', { className: 'pr-record-label' }, 'Max Weight'),
-              React.createElement('span', { className: 'pr-record-value' }, `${item.maxWeight}`)
-            ),
-            React.createElement(
-              'div',
-              { className: 'pr-record' },
-              React.createElement('span', { className: 'pr-record-label' }, 'Max Reps'),
-              React.createElement('span', { className: 'pr-record-value' }, `${item.maxReps}`)
-            ),
-            React.createElement(
-              'div',
-              { className: 'pr-record' },
-              React.createElement('span', { className: 'pr-record-label' }, 'Max Volume'),
+              { key: `mode-${mode}`, style: { display: 'flex', alignItems: 'center', marginBottom: '0.25rem' } },
+              React.createElement('input', {
+                type: 'radio',
+                name: 'restore-mode',
+                id: `restore-mode-${mode}`,
+                checked: restoreMode === mode,
+                onChange: () => setRestoreMode(mode),
+              }),
               React.createElement(
-                'span',
-                { className: 'pr-record-value' },
-                `${(item.maxWeight * item.maxReps).toFixed(1)}`
+                'label',
+                { htmlFor: `restore-mode-${mode}`, style: { marginLeft: '0.4rem', marginBottom: 0 } },
+                mode === 'merge'
+                  ? 'Merge: add missing entries, plans, sessions and exercises, keep my active plan and settings'
+                  : 'Replace: discard current data and use the backup as is'
               )
             )
           )
+        ),
+        React.createElement(
+          'div',
+          { className: 'button-row', key: 'restore-actions' },
+          React.createElement(
+            'button',
+            { type: 'button', className: restoreMode === 'replace' ? 'btn btn--danger' : 'btn btn--primary', onClick: handleConfirmRestore },
+            restoreMode === 'replace' ? 'Replace All Data' : 'Merge Backup'
+          ),
+          React.createElement(
+            'button',
+            { type: 'button', className: 'btn btn--secondary', onClick: () => setRestorePreview(null) },
+            'Cancel'
+          )
         )
       );
+    }
+    const backupSection = React.createElement('div', { className: 'card', key: 'backup-card' }, backupElements);
+    const avg = calculateGlobalAverages(filteredEntries);
+    const prs = calculatePRs(filteredEntries, settings.e1rmFormula);
+    const volumeMap = calculateVolumePerExercise(filteredEntries);
+    const exs = Object.keys(volumeMap).sort();
+    // Build the progress section differently: show an export button,
+    // statistics grid, a volume chart and individual line charts for
+    // each exercise.  When there is no data, display a simple message.
+    if (entries && entries.length > 0) {
+      // Build personal records list.  Each record shows max weight,
+      // max reps and max volume for an exercise; bodyweight, timed and
+      // distance exercises show their reps, hold times and distances
+      // instead.
+      const renderRecord = ([label, value]) =>
+        React.createElement(
+          'div',
+          { className: 'pr-record', key: label },
+          React.createElement('span', { className: 'pr-record-label' }, label),
+          React.createElement('span', { className: 'pr-record-value' }, value)
+        );
+      const prList = prs.map((item) => {
+        let records = [
+          ['Max Weight', `${item.maxWeight} ${displayUnit}`],
+          ['Max Reps', `${item.maxReps}`],
+          ['Best e1RM', `${item.bestE1RM} ${displayUnit}`],
+          ['Max Volume', `${item.maxVolume.toFixed(1)} ${displayUnit}`],
+          ['Session Volume', `${item.maxSessionVolume.toFixed(1)} ${displayUnit}`],
+        ];
+        if (item.type === 'bodyweight') {
+          records = [
+            ['Max Reps', `${item.maxReps}`],
+            ['Max Added Weight', item.maxWeight > 0 ? `${item.maxWeight} ${displayUnit}` : '–'],
+            ['Most Reps in an Entry', `${item.maxVolume}`],
+            ['Session Reps', `${item.maxSessionVolume}`],
+          ];
+        } else if (item.type === 'time') {
+          records = [
+            ['Longest Hold', `${item.maxSeconds} s`],
+            ['Most Time in an Entry', `${item.maxVolume} s`],
+            ['Session Time', `${item.maxSessionVolume} s`],
+          ];
+        } else if (item.type === 'distance') {
+          records = [
+            ['Longest Distance', `${item.maxDistance} m`],
+            ['Most Distance in an Entry', `${item.maxVolume} m`],
+            ['Session Distance', `${item.maxSessionVolume} m`],
+          ];
+        }
+        return React.createElement(
+          'div',
+          { className: 'pr-item', key: `pr-${item.exercise}` },
+          React.createElement('div', { className: 'pr-exercise' }, item.exercise),
+          React.createElement('div', { className: 'pr-records' }, records.map(renderRecord))
+        );
+      });
       // Build global averages display
+      const bestSession = calculateBestSessionVolume(filteredEntries);
       const avgDisplay = React.createElement(
         'div',
         { className: 'stat-display' },
@@ -1322,18 +7266,385 @@ function App() {
           'div',
           { className: 'stat-item' },
           React.createElement('span', { className: 'stat-label' }, 'Average Weight:'),
-          React.createElement('span', { className: 'stat-value' }, `${avg.averageWeight}`)
+          React.createElement('span', { className: 'stat-value' }, `${avg.averageWeight} ${displayUnit}`)
         ),
         React.createElement(
           'div',
           { className: 'stat-item' },
           React.createElement('span', { className: 'stat-label' }, 'Average Reps:'),
           React.createElement('span', { className: 'stat-value' }, `${avg.averageReps}`)
+        ),
+        React.createElement(
+          'div',
+          { className: 'stat-item' },
+          React.createElement('span', { className: 'stat-label' }, 'Best Session Volume:'),
+          React.createElement(
+            'span',
+            { className: 'stat-value' },
+            bestSession.date ? `${bestSession.volume.toFixed(1)} ${displayUnit} (${bestSession.date})` : '–'
+          )
+        )
+      );
+      // Planned vs. actual: the plan's targets for each past session in
+      // the selected period next to what was logged that day.
+      const today = formatDate(new Date());
+      const comparison = comparePlanToActual(
+        plan,
+        displayEntries,
+        displayUnit,
+        settings.e1rmFormula,
+        progressBounds.fromDate,
+        progressBounds.toDate && progressBounds.toDate < today ? progressBounds.toDate : today
+      ).filter(
+        (item) =>
+          // Today's session is not missed until the day is over
+          !(item.date === today && item.status === 'missed') &&
+          (progressExercises.length === 0 ||
+            progressExercises.some((ex) => ex.toLowerCase() === item.row.exercise.toLowerCase()))
+      );
+      const countStatus = (status) => comparison.filter((item) => item.status === status).length;
+      const planComparisonSection = plan
+        ? React.createElement(
+            'div',
+            { className: 'card' },
+            React.createElement('h3', null, 'Planned vs. Actual'),
+            comparison.length === 0
+              ? React.createElement('p', { className: 'no-data-text' }, 'No planned sessions in the selected period yet.')
+              : [
+                  React.createElement(
+                    'p',
+                    { className: 'help-text', key: 'plan-summary' },
+                    `${countStatus('met')} of ${comparison.length} planned exercises met, `,
+                    `${countStatus('partial')} partly done, ${countStatus('missed')} missed.`,
+                    comparison.length > PLAN_COMPARISON_ROWS ? ` Showing the ${PLAN_COMPARISON_ROWS} most recent.` : ''
+                  ),
+                  React.createElement(
+                    'div',
+                    { className: 'table-scroll', key: 'plan-table' },
+                    React.createElement(
+                      'table',
+                      { className: 'entries-table plan-comparison-table' },
+                      React.createElement(
+                        'thead',
+                        null,
+                        React.createElement(
+                          'tr',
+                          null,
+                          ['Date', 'Exercise', 'Planned', 'Actual', 'Status'].map((h) =>
+                            React.createElement('th', { key: h }, h)
+                          )
+                        )
+                      ),
+                      React.createElement(
+                        'tbody',
+                        null,
+                        comparison.slice(0, PLAN_COMPARISON_ROWS).map((item) => {
+                          let planned = formatPrescription(item.row) || '–';
+                          if (item.row.loadType === 'percent' && item.targetLoad !== null) {
+                            planned += ` (${item.targetLoad} ${displayUnit})`;
+                          }
+                          const actual = item.entries.map((e) => formatSetsWithUnit(e, displayUnit)).join('; ') || '–';
+                          return React.createElement(
+                            'tr',
+                            { key: `${item.date}-${item.row.exercise}` },
+                            React.createElement('td', null, item.date),
+                            React.createElement('td', null, item.row.exercise),
+                            React.createElement('td', null, planned),
+                            React.createElement('td', null, actual),
+                            React.createElement(
+                              'td',
+                              null,
+                              React.createElement(
+                                'span',
+                                { className: `plan-status plan-status--${item.status}` },
+                                item.status === 'met' ? 'Met' : item.status === 'partial' ? 'Partial' : 'Missed'
+                              )
+                            )
+                          );
+                        })
+                      )
+                    )
+                  ),
+                ]
+          )
+        : null;
+      // Workout sessions in the selected period: how long they took and
+      // how much was lifted per minute.
+      const sessionStats = calculateSessionStats(
+        sessions.filter(
+          (x) =>
+            (!progressBounds.fromDate || x.date >= progressBounds.fromDate) &&
+            (!progressBounds.toDate || x.date <= progressBounds.toDate)
+        ),
+        displayEntries
+      );
+      const averageOf = (key) => sessionStats.reduce((sum, stat) => sum + stat[key], 0) / sessionStats.length;
+      const sessionSection =
+        sessionStats.length > 0
+          ? React.createElement(
+              'div',
+              { className: 'card' },
+              React.createElement('h3', null, 'Workout Sessions'),
+              React.createElement(
+                'div',
+                { className: 'pr-records' },
+                React.createElement(
+                  'div',
+                  { className: 'pr-record' },
+                  React.createElement('span', { className: 'pr-record-label' }, 'Sessions'),
+                  React.createElement('span', { className: 'pr-record-value' }, `${sessionStats.length}`)
+                ),
+                React.createElement(
+                  'div',
+                  { className: 'pr-record' },
+                  React.createElement('span', { className: 'pr-record-label' }, 'Average Duration'),
+                  React.createElement('span', { className: 'pr-record-value' }, formatDuration(Math.round(averageOf('minutes'))))
+                ),
+                React.createElement(
+                  'div',
+                  { className: 'pr-record' },
+                  React.createElement('span', { className: 'pr-record-label' }, 'Average Density'),
+                  React.createElement(
+                    'span',
+                    { className: 'pr-record-value' },
+                    `${averageOf('density').toFixed(1)} ${displayUnit}/min`
+                  )
+                )
+              ),
+              React.createElement(
+                'div',
+                { className: 'table-scroll' },
+                React.createElement(
+                  'table',
+                  { className: 'entries-table session-table' },
+                  React.createElement(
+                    'thead',
+                    null,
+                    React.createElement(
+                      'tr',
+                      null,
+                      ['Date', 'Workout', 'Duration', 'Exercises', 'Sets', 'Volume', 'Density'].map((h) =>
+                        React.createElement('th', { key: h }, h)
+                      )
+                    )
+                  ),
+                  React.createElement(
+                    'tbody',
+                    null,
+                    sessionStats.slice(0, SESSION_TABLE_ROWS).map((stat) =>
+                      React.createElement(
+                        'tr',
+                        { key: `session-${stat.session.id}` },
+                        React.createElement('td', null, stat.session.date),
+                        React.createElement('td', null, stat.session.workout || '–'),
+                        React.createElement('td', null, formatDuration(stat.minutes)),
+                        React.createElement('td', null, `${stat.exercises}`),
+                        React.createElement('td', null, `${stat.sets}`),
+                        React.createElement('td', null, `${stat.volume.toFixed(1)} ${displayUnit}`),
+                        React.createElement('td', null, `${stat.density.toFixed(1)} ${displayUnit}/min`)
+                      )
+                    )
+                  )
+                )
+              )
+            )
+          : null;
+      // Weekly sets and volume per muscle group for the most recent
+      // weeks of the period, each compared with the group's target range
+      const muscleVolume = calculateMuscleVolume(
+        filteredEntries,
+        exerciseBank,
+        progressBounds.fromDate || undefined,
+        progressBounds.toDate || undefined
+      );
+      const firstMuscleWeek = Math.max(0, muscleVolume.weeks.length - MUSCLE_TABLE_WEEKS);
+      const muscleWeeks = muscleVolume.weeks.slice(firstMuscleWeek);
+      const muscleStatus = (muscle, index) =>
+        getTargetStatus(muscleVolume.muscles[muscle].sets[index], getMuscleTarget(settings.muscleTargets, muscle));
+      const latestWeek = muscleVolume.weeks.length - 1;
+      const musclesWith = (status) => MUSCLE_GROUPS.filter((muscle) => muscleStatus(muscle, latestWeek) === status);
+      const muscleSummary = () => {
+        const week = muscleVolume.weeks[latestWeek];
+        const under = musclesWith('under');
+        const over = musclesWith('over');
+        const parts = [];
+        if (under.length > 0) parts.push(`under target: ${under.join(', ')}`);
+        if (over.length > 0) parts.push(`over target: ${over.join(', ')}`);
+        const label = week === getWeekStart(today) ? 'This week (so far)' : `Week of ${week}`;
+        return `${label}: ${parts.length > 0 ? parts.join('; ') : 'every muscle group is within its target'}.`;
+      };
+      // Changing one end of a range moves the other along when they cross
+      const updateMuscleTarget = (muscle, key, value) => {
+        const sets = parseInt(value, 10);
+        if (isNaN(sets) || sets < 0) return;
+        const target = { ...getMuscleTarget(settings.muscleTargets, muscle), [key]: sets };
+        if (key === 'min' && target.max < sets) target.max = sets;
+        if (key === 'max' && target.min > sets) target.min = sets;
+        updateSettings({ muscleTargets: { ...settings.muscleTargets, [muscle]: target } });
+      };
+      const renderMuscleTarget = (muscle) => {
+        const target = getMuscleTarget(settings.muscleTargets, muscle);
+        if (!editMuscleTargets) return `${target.min}–${target.max}`;
+        return ['min', 'max'].map((key) =>
+          React.createElement('input', {
+            type: 'number',
+            key,
+            className: 'form-control muscle-target-input',
+            min: '0',
+            value: target[key],
+            'aria-label': `${muscle} ${key === 'min' ? 'minimum' : 'maximum'} sets`,
+            onChange: (ev) => updateMuscleTarget(muscle, key, ev.target.value),
+          })
+        );
+      };
+      const muscleSection =
+        muscleWeeks.length > 0
+          ? React.createElement(
+              'div',
+              { className: 'card' },
+              React.createElement('h3', null, 'Weekly Sets per Muscle Group'),
+              React.createElement(
+                'p',
+                { className: 'help-text' },
+                'Every logged set counts in full for the primary muscles of its exercise and half for the secondary ',
+                'ones, as set on the Exercises page. Targets are sets per week.'
+              ),
+              React.createElement('p', null, muscleSummary()),
+              React.createElement(
+                'div',
+                { className: 'table-scroll' },
+                React.createElement(
+                  'table',
+                  { className: 'entries-table muscle-table' },
+                  React.createElement(
+                    'thead',
+                    null,
+                    React.createElement(
+                      'tr',
+                      null,
+                      React.createElement('th', null, 'Muscle group'),
+                      React.createElement('th', null, 'Target'),
+                      muscleWeeks.map((week) => React.createElement('th', { key: week }, `Week of ${week}`))
+                    )
+                  ),
+                  React.createElement(
+                    'tbody',
+                    null,
+                    MUSCLE_GROUPS.map((muscle) =>
+                      React.createElement(
+                        'tr',
+                        { key: `muscle-${muscle}` },
+                        React.createElement('td', null, muscle),
+                        React.createElement('td', { className: 'muscle-target' }, renderMuscleTarget(muscle)),
+                        muscleWeeks.map((week, i) => {
+                          const index = firstMuscleWeek + i;
+                          const volume = muscleVolume.muscles[muscle].volume[index];
+                          return React.createElement(
+                            'td',
+                            { key: week, className: `muscle-sets muscle-sets--${muscleStatus(muscle, index)}` },
+                            `${muscleVolume.muscles[muscle].sets[index]}`,
+                            volume > 0
+                              ? React.createElement(
+                                  'span',
+                                  { className: 'muscle-volume' },
+                                  `${Math.round(volume)} ${displayUnit}`
+                                )
+                              : null
+                          );
+                        })
+                      )
+                    )
+                  )
+                )
+              ),
+              muscleVolume.unassigned.length > 0
+                ? React.createElement(
+                    'p',
+                    { className: 'help-text' },
+                    `Not counted (no muscles set on the Exercises page): ${muscleVolume.unassigned.join(', ')}.`
+                  )
+                : null,
+              React.createElement(
+                'button',
+                {
+                  type: 'button',
+                  className: 'btn btn--small btn--secondary',
+                  onClick: () => setEditMuscleTargets(!editMuscleTargets),
+                },
+                editMuscleTargets ? 'Done' : 'Edit Targets'
+              )
+            )
+          : null;
+      // Rep-max table: best weight for at least N reps per exercise
+      const repBuckets = settings.repBuckets;
+      const repMaxes = calculateRepMaxes(filteredEntries, repBuckets);
+      const repMaxSection = React.createElement(
+        'div',
+        { className: 'card' },
+        React.createElement('h3', null, 'Rep Maxes'),
+        React.createElement(
+          'div',
+          { className: 'form-group' },
+          React.createElement('label', { htmlFor: 'rep-buckets' }, 'Rep counts (comma separated)'),
+          React.createElement('input', {
+            type: 'text',
+            id: 'rep-buckets',
+            value: repBuckets.join(', '),
+            onChange: (ev) => updateSettings({ repBuckets: parseRepBuckets(ev.target.value) }),
+          })
+        ),
+        React.createElement(
+          'div',
+          { className: 'table-scroll' },
+          React.createElement(
+            'table',
+            { className: 'entries-table rep-max-table' },
+            React.createElement(
+              'thead',
+              null,
+              React.createElement(
+                'tr',
+                null,
+                React.createElement('th', null, 'Exercise'),
+                repBuckets.map((b) => React.createElement('th', { key: `rm-h-${b}` }, `${b}RM`))
+              )
+            ),
+            React.createElement(
+              'tbody',
+              null,
+              Object.keys(repMaxes)
+                .sort((a, b) => a.localeCompare(b))
+                .map((ex) =>
+                  React.createElement(
+                    'tr',
+                    { key: `rm-${ex}` },
+                    React.createElement('td', null, ex),
+                    repBuckets.map((b) =>
+                      React.createElement('td', { key: `rm-${ex}-${b}` }, repMaxes[ex][b] ? `${repMaxes[ex][b]} ${displayUnit}` : '–')
+                    )
+                  )
+                )
+            )
+          )
         )
       );
-      // Build charts for each exercise
-      const exerciseCharts = exs.map((ex) =>
+      // Build charts for each exercise, each followed by its rate of
+      // progress over the filtered period.
+      const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+      const renderRateItem = (label, value) =>
         React.createElement(
+          'div',
+          { className: 'pr-record', key: label },
+          React.createElement('span', { className: 'pr-record-label' }, label),
+          React.createElement('span', { className: 'pr-record-value' }, value)
+        );
+      const exerciseCharts = exs.map((ex) => {
+        const { type, entries: chartEntries } = getChartedEntries(filteredEntries.filter((e) => e.exercise === ex));
+        const metrics = PROGRESS_METRICS[type];
+        const series = buildProgressSeries(chartEntries, settings.e1rmFormula);
+        const rate = calculateProgressRate(series, settings.plateauWeeks, metrics);
+        const hasRate = rate.perWeek[metrics[0].key] !== null;
+        return React.createElement(
           'div',
           { className: 'card', key: `card-${ex}` },
           React.createElement('h3', null, `${ex} Progress`),
@@ -1341,7 +7652,117 @@ function App() {
             'div',
             { className: 'chart-container' },
             React.createElement('canvas', { id: `line-chart-${ex}` })
+          ),
+          React.createElement(
+            'div',
+            { className: 'pr-records trend-stats' },
+            metrics.map((m) =>
+              renderRateItem(
+                `${m.label} / week`,
+                hasRate ? formatMetric(signed(rate.perWeek[m.key]), m, displayUnit) : '–'
+              )
+            ),
+            renderRateItem(
+              `${metrics[0].label} change`,
+              rate.percentChange !== null ? `${signed(rate.percentChange)}%` : '–'
+            ),
+            renderRateItem('Sessions', `${rate.sessions}`)
+          ),
+          rate.stalled.length > 0
+            ? React.createElement(
+                'div',
+                { className: 'alert alert-warning plateau-warning' },
+                `Possible plateau: ${rate.stalled
+                  .map((s) => `${s.metric} has not improved in ${s.weeks} weeks`)
+                  .join('; ')}.`
+              )
+            : null
+        );
+      });
+      // Filter bar: date range presets (or a custom range) and an
+      // exercise multi-select shown as toggle chips.
+      const allExercises = getUniqueExercises(entries);
+      const toggleProgressExercise = (ex) => {
+        setProgressExercises(
+          progressExercises.includes(ex) ? progressExercises.filter((x) => x !== ex) : [...progressExercises, ex]
+        );
+      };
+      const filterBar = React.createElement(
+        'div',
+        { className: 'filter-bar' },
+        React.createElement(
+          'div',
+          { className: 'filter-row' },
+          React.createElement(
+            'label',
+            { className: 'inline-label', htmlFor: 'progress-range' },
+            'Period',
+            React.createElement(
+              'select',
+              { id: 'progress-range', className: 'form-control', onChange: (ev) => setProgressRange(ev.target.value) },
+              Object.keys(PROGRESS_RANGES).map((key) =>
+                React.createElement('option', { value: key, key, selected: progressRange === key }, PROGRESS_RANGES[key].label)
+              )
+            )
+          ),
+          progressRange === 'custom'
+            ? [
+                React.createElement(
+                  'label',
+                  { className: 'inline-label', htmlFor: 'progress-from', key: 'from' },
+                  'From',
+                  React.createElement('input', {
+                    type: 'date',
+                    id: 'progress-from',
+                    className: 'form-control',
+                    value: progressFrom,
+                    onInput: (ev) => setProgressFrom(ev.target.value),
+                  })
+                ),
+                React.createElement(
+                  'label',
+                  { className: 'inline-label', htmlFor: 'progress-to', key: 'to' },
+                  'To',
+                  React.createElement('input', {
+                    type: 'date',
+                    id: 'progress-to',
+                    className: 'form-control',
+                    value: progressTo,
+                    onInput: (ev) => setProgressTo(ev.target.value),
+                  })
+                ),
+              ]
+            : null
+        ),
+        React.createElement(
+          'div',
+          { className: 'filter-row chip-list' },
+          React.createElement(
+            'button',
+            {
+              type: 'button',
+              className: progressExercises.length === 0 ? 'chip active' : 'chip',
+              onClick: () => setProgressExercises([]),
+            },
+            'All exercises'
+          ),
+          allExercises.map((ex) =>
+            React.createElement(
+              'button',
+              {
+                type: 'button',
+                key: `chip-${ex}`,
+                className: progressExercises.includes(ex) ? 'chip active' : 'chip',
+                onClick: () => toggleProgressExercise(ex),
+              },
+              ex
+            )
           )
+        ),
+        React.createElement(
+          'p',
+          { className: 'help-text' },
+          `Showing ${filteredEntries.length} of ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}.`
         )
       );
       // Compose the content with a top heading, export button,
@@ -1351,14 +7772,77 @@ function App() {
         { className: 'card' },
         React.createElement('h2', null, 'Progress & Analytics'),
         React.createElement(
-          'button',
-          {
-            className: 'btn btn--primary',
-            onClick: () => exportCSV(entries),
-            style: { marginBottom: '1rem' },
-          },
-          'Export CSV'
+          'div',
+          { className: 'progress-toolbar' },
+          React.createElement(
+            'button',
+            {
+              className: 'btn btn--primary',
+              onClick: () => exportCSV(displayEntries),
+            },
+            'Export CSV'
+          ),
+          React.createElement(
+            'label',
+            { className: 'inline-label', htmlFor: 'display-unit' },
+            'Show weights in',
+            renderUnitSelect(displayUnit, (u) => updateSettings({ displayUnit: u }), 'display-unit')
+          ),
+          React.createElement(
+            'label',
+            { className: 'inline-label', htmlFor: 'e1rm-formula' },
+            'e1RM formula',
+            React.createElement(
+              'select',
+              {
+                id: 'e1rm-formula',
+                className: 'form-control',
+                onChange: (ev) => updateSettings({ e1rmFormula: ev.target.value }),
+              },
+              Object.keys(E1RM_FORMULAS).map((key) =>
+                React.createElement(
+                  'option',
+                  { value: key, key, selected: settings.e1rmFormula === key },
+                  E1RM_FORMULAS[key].label
+                )
+              )
+            )
+          ),
+          React.createElement(
+            'label',
+            { className: 'inline-label', htmlFor: 'trend-type' },
+            'Trend line',
+            React.createElement(
+              'select',
+              {
+                id: 'trend-type',
+                className: 'form-control',
+                onChange: (ev) => updateSettings({ trendType: ev.target.value }),
+              },
+              Object.keys(TREND_TYPES).map((key) =>
+                React.createElement('option', { value: key, key, selected: settings.trendType === key }, TREND_TYPES[key])
+              )
+            )
+          ),
+          React.createElement(
+            'label',
+            { className: 'inline-label', htmlFor: 'plateau-weeks' },
+            'Plateau after',
+            React.createElement('input', {
+              type: 'number',
+              id: 'plateau-weeks',
+              className: 'form-control plateau-input',
+              min: '1',
+              value: settings.plateauWeeks,
+              onChange: (ev) => {
+                const weeks = parseInt(ev.target.value, 10);
+                if (weeks > 0) updateSettings({ plateauWeeks: weeks });
+              },
+            }),
+            'weeks'
+          )
         ),
+        filterBar,
         // Stats grid with averages and personal records
         React.createElement(
           'div',
@@ -1375,24 +7859,39 @@ function App() {
             React.createElement('h3', null, 'Personal Records'),
             prs && prs.length > 0
               ? React.createElement('div', { className: 'pr-list' }, prList)
-              : React.createElement('p', { className: 'no-data-text' }, 'No personal records yet. Start lifting!')
+              : React.createElement(
+                  'p',
+                  { className: 'no-data-text' },
+                  filteredEntries.length === 0 ? 'No entries match the current filters.' : 'No personal records yet. Start lifting!'
+                )
           )
         ),
+        repMaxSection,
+        planComparisonSection,
+        sessionSection,
+        muscleSection,
         // Volume bar chart (only if there are exercises)
         exs && exs.length > 0
           ? React.createElement(
               'div',
               { className: 'card' },
-              React.createElement('h3', null, 'Total Volume per Exercise'),
+              React.createElement('h3', null, 'Weekly Volume by Exercise'),
               React.createElement(
                 'div',
                 { className: 'chart-container' },
-                React.createElement('canvas', { id: 'volume-bar-chart' })
+                React.createElement('canvas', { id: 'volume-bar-chart', className: 'stacked-chart' })
+              ),
+              React.createElement(
+                'p',
+                { className: 'help-text' },
+                'Hover or tap a chart for details. Scroll or pinch to zoom, drag to pan and double-click to reset.'
               )
             )
           : null,
         // Individual exercise charts
-        exerciseCharts
+        exerciseCharts,
+        importSection,
+        backupSection
       );
     } else {
       // No data yet
@@ -1400,18 +7899,68 @@ function App() {
         'div',
         { className: 'card' },
         React.createElement('h2', null, 'Progress & Analytics'),
-        React.createElement('p', null, 'No workout data available yet.')
+        React.createElement('p', null, 'No workout data available yet.'),
+        importSection,
+        backupSection
       );
     }
   }
+  // One-off question for histories logged before units were stored.
+  // Shown on every page until answered so the stats are never built on
+  // a wrong assumption for long.
+  const unitPrompt = unitlessCount > 0
+    ? React.createElement(
+        'div',
+        { className: 'card unit-prompt' },
+        React.createElement(
+          'p',
+          null,
+          `${unitlessCount} logged ${unitlessCount === 1 ? 'entry was' : 'entries were'} recorded before units were tracked. `,
+          'Which unit did you use for them?'
+        ),
+        WEIGHT_UNITS.map((u) =>
+          React.createElement(
+            'button',
+            { type: 'button', className: 'btn', key: `legacy-${u}`, onClick: () => handleAssignLegacyUnit(u) },
+            u
+          )
+        )
+      )
+    : null;
+  const storageAlert = storageError
+    ? React.createElement(
+        'div',
+        { className: 'alert alert-error storage-alert' },
+        React.createElement('span', null, storageError),
+        React.createElement(
+          'button',
+          { type: 'button', className: 'btn btn--small btn--secondary', onClick: () => setStorageError(null) },
+          'Dismiss'
+        )
+      )
+    : null;
+  // Toast offering to undo the last deletion.  It is rendered outside
+  // the page content so it stays visible when switching tabs.
+  const undoToast = undoDelete
+    ? React.createElement(
+        'div',
+        { className: 'toast' },
+        React.createElement('span', null, `Deleted ${undoDelete.entry.exercise} (${undoDelete.entry.date}).`),
+        React.createElement('button', { type: 'button', className: 'btn btn--small', onClick: handleUndoDelete }, 'Undo')
+      )
+    : null;
   // Compose the root element.  Include a header with a title and
   // basic statistics, followed by the tabbed navigation bar and
   // whichever page content is currently selected.
-  return React.createElement('div', null, header, navBar, content);
+  return React.createElement('div', null, header, navBar, storageAlert, unitPrompt, content, undoToast);
 }
 
 // Mount application
 document.addEventListener('DOMContentLoaded', () => {
   const root = document.getElementById('root');
-  React.render(React.createElement(App), root);
+  // Saving happens in the background; a write that fails is reported
+  // above the page.  The stored data is read into memory before the
+  // first render.
+  AppStorage.onError((key, err) => setStorageError(describeStorageError(key, err)));
+  AppStorage.open().then(() => React.render(React.createElement(App), root));
 });
\ No newline at end of file
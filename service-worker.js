@@ -13,7 +13,7 @@
 // Update the cache name to reflect the GitHub repo and bump the version
 // when releasing new versions.  This ensures old caches are cleared
 // properly when the application is updated.
-const CACHE_NAME = 'strength-tracker-v1';
+const CACHE_NAME = 'strength-tracker-v2';
 // List of assets to cache.  These must be relative to the service
 // worker's location.  Add any additional static files here if they
 // should be available offline.
@@ -22,6 +22,7 @@ const urlsToCache = [
   './index.html',
   './styles.css',
   './myreact.js',
+  './storage.js',
   './app.js',
   './manifest.json',
   './icons/icon-192.png',
@@ -75,4 +76,18 @@ self.addEventListener('fetch', (event) => {
       })
     );
   }
+});
+
+// Notification click (e.g. the rest timer's "Rest over"): bring the
+// app back to the front, opening it if no window is left.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      if (clients.length > 0) {
+        return clients[0].focus();
+      }
+      return self.clients.openWindow('./');
+    })
+  );
 });
\ No newline at end of file
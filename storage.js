@@ -0,0 +1,304 @@
+/*
+ * Storage layer
+ *
+ * Keeps the app's data in IndexedDB.  Entries, plans and workout
+ * sessions are stored one record per row, so logging a set writes only
+ * the entry that changed instead of the whole history; entries are
+ * indexed by date and exercise.  Settings, the exercise bank and the
+ * workout in progress are stored whole under their key.
+ *
+ * Everything is read into memory once when the app starts (see
+ * open()), so app.js can keep loading its data synchronously with
+ * get().  set() updates that copy at once and writes the difference to
+ * the database in the background.  A write that fails is passed to the
+ * handler given to onError() so it can be shown to the user.
+ *
+ * Data kept in localStorage by earlier versions is moved over the
+ * first time the database is opened, under the same keys.  Browsers
+ * without a usable IndexedDB keep using localStorage.
+ */
+
+(() => {
+  const DB_NAME = 'strength-tracker';
+  const DB_VERSION = 1;
+  // Lists of records stored one per row, keyed by their `id`, with the
+  // fields each store is indexed by
+  const RECORD_STORES = {
+    workoutEntries: { name: 'entries', indexes: ['date', 'exercise'] },
+    workoutPlans: { name: 'plans', indexes: [] },
+    workoutSessions: { name: 'sessions', indexes: ['date'] },
+  };
+  // Values stored whole in a single store.  `workoutPlan` is the plan
+  // kept before the plan library existed; app.js converts it.
+  const VALUE_STORE = 'values';
+  const VALUE_KEYS = ['workoutPlan', 'liveSession', 'appSettings', 'exerciseBank'];
+  // Set in the value store once localStorage has been moved over
+  const MIGRATED_KEY = 'migratedFromLocalStorage';
+
+  // The open database, or null when falling back to localStorage
+  let db = null;
+  // Each key's value as last loaded or set
+  const cache = {};
+  // What the database holds for each key, as JSON: a Map of id to JSON
+  // for record stores, a string for values.  Writes send only what
+  // differs from it.
+  const written = {};
+  let errorHandler = null;
+  // The last write queued for each key; see set()
+  const queues = {};
+  // The promise returned by open(), so the data is only read once
+  let opening = null;
+
+  const isRecordKey = (key) => Object.prototype.hasOwnProperty.call(RECORD_STORES, key);
+  const storeFor = (key) => (isRecordKey(key) ? RECORD_STORES[key].name : VALUE_STORE);
+  const allStores = () => Object.values(RECORD_STORES).map((s) => s.name).concat(VALUE_STORE);
+
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        Object.values(RECORD_STORES).forEach(({ name, indexes }) => {
+          const store = database.createObjectStore(name, { keyPath: 'id' });
+          indexes.forEach((field) => store.createIndex(field, field));
+        });
+        database.createObjectStore(VALUE_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The database is in use by an older version of the app'));
+    });
+  }
+
+  /**
+   * Run `work` in a transaction over the given stores.  Resolves with
+   * whatever `work` returns once the transaction has completed and
+   * rejects with the error that aborted it.
+   *
+   * @param {Array<string>} stores Object store names.
+   * @param {string} mode 'readonly' or 'readwrite'.
+   * @param {function(IDBTransaction): *} work Issues the requests.
+   * @returns {Promise<*>}
+   */
+  function transact(stores, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('The transaction was aborted'));
+      try {
+        result = work(tx);
+      } catch (err) {
+        tx.abort();
+        reject(err);
+      }
+    });
+  }
+
+  // Read every key: record stores as arrays (undefined when empty, as
+  // if the key was never stored) and the values as stored.
+  function readAll() {
+    return transact(allStores(), 'readonly', (tx) => {
+      const stored = {};
+      Object.keys(RECORD_STORES).forEach((key) => {
+        const request = tx.objectStore(RECORD_STORES[key].name).getAll();
+        request.onsuccess = () => {
+          stored[key] = request.result.length > 0 ? request.result : undefined;
+        };
+      });
+      VALUE_KEYS.concat(MIGRATED_KEY).forEach((key) => {
+        const request = tx.objectStore(VALUE_STORE).get(key);
+        request.onsuccess = () => {
+          stored[key] = request.result;
+        };
+      });
+      return stored;
+    });
+  }
+
+  // Write `value` under `key` within a readwrite transaction
+  function putValue(tx, key, value) {
+    if (isRecordKey(key)) {
+      const store = tx.objectStore(RECORD_STORES[key].name);
+      store.clear();
+      value.forEach((record) => store.put(record));
+    } else {
+      tx.objectStore(VALUE_STORE).put(value, key);
+    }
+  }
+
+  /**
+   * Copy the data kept in localStorage by earlier versions into the
+   * database, then remove it from localStorage.  A key that cannot be
+   * parsed is left where it is.  Records stored without an id get one
+   * so they can be keyed.
+   */
+  function migrateLocalStorage() {
+    const values = {};
+    Object.keys(RECORD_STORES)
+      .concat(VALUE_KEYS)
+      .forEach((key) => {
+        try {
+          const data = localStorage.getItem(key);
+          if (data === null) return;
+          const parsed = JSON.parse(data);
+          if (!isRecordKey(key)) {
+            values[key] = parsed;
+          } else if (Array.isArray(parsed)) {
+            const now = Date.now();
+            values[key] = parsed.map((record, idx) => (record.id === undefined ? { ...record, id: now + idx } : record));
+          }
+        } catch (err) {
+          console.error(`Failed to read ${key} from localStorage:`, err);
+        }
+      });
+    return transact(allStores(), 'readwrite', (tx) => {
+      Object.keys(values).forEach((key) => putValue(tx, key, values[key]));
+      tx.objectStore(VALUE_STORE).put(true, MIGRATED_KEY);
+    }).then(() => {
+      Object.keys(values).forEach((key) => localStorage.removeItem(key));
+    });
+  }
+
+  function loadFromLocalStorage() {
+    Object.keys(RECORD_STORES)
+      .concat(VALUE_KEYS)
+      .forEach((key) => {
+        try {
+          const data = localStorage.getItem(key);
+          cache[key] = data === null ? undefined : JSON.parse(data);
+        } catch (err) {
+          console.error(`Failed to load ${key}:`, err);
+        }
+      });
+  }
+
+  /**
+   * Open the database, move any data over from localStorage and read
+   * everything into memory.  Falls back to localStorage when IndexedDB
+   * cannot be opened.  Always resolves; call before the first get().
+   *
+   * @returns {Promise<void>}
+   */
+  function open() {
+    if (opening) return opening;
+    opening = openDatabase()
+      .then((database) => {
+        db = database;
+        return readAll();
+      })
+      .then((stored) => (stored[MIGRATED_KEY] ? stored : migrateLocalStorage().then(readAll)))
+      .then((stored) => {
+        Object.keys(RECORD_STORES).forEach((key) => {
+          cache[key] = stored[key];
+          written[key] = new Map((stored[key] || []).map((record) => [record.id, JSON.stringify(record)]));
+        });
+        VALUE_KEYS.forEach((key) => {
+          cache[key] = stored[key];
+          written[key] = stored[key] === undefined ? undefined : JSON.stringify(stored[key]);
+        });
+      })
+      .catch((err) => {
+        console.warn('Failed to open the database, using localStorage instead:', err);
+        if (db) db.close();
+        db = null;
+        loadFromLocalStorage();
+      });
+    return opening;
+  }
+
+  // The value last stored under `key`, or undefined
+  function get(key) {
+    return cache[key];
+  }
+
+  function reportError(key, err) {
+    console.error(`Failed to save ${key}:`, err);
+    if (errorHandler) errorHandler(key, err);
+  }
+
+  /**
+   * Store a value.  Record lists write only the records that were
+   * added or changed and delete those that are gone; other values are
+   * written whole, and only when they changed.  `null` or `undefined`
+   * removes the key.  Resolves once the write is done; a failure is
+   * reported through onError() rather than rejecting.
+   *
+   * Writes to one key run one after another, each starting once the
+   * previous one has finished, so every difference is taken against
+   * what the database actually holds.  A failed write leaves that
+   * unchanged and its changes are sent again with the next one.
+   *
+   * @param {string} key Storage key, e.g. 'workoutEntries'.
+   * @param {*} value Plain data to store.
+   * @returns {Promise<void>}
+   */
+  function set(key, value) {
+    cache[key] = value === null ? undefined : value;
+    // Writing happens after the current task so that a failure is
+    // never reported while the app is rendering
+    const queued = (queues[key] || Promise.resolve())
+      .then(() => write(key, value))
+      .catch((err) => reportError(key, err));
+    queues[key] = queued;
+    return queued;
+  }
+
+  // Write the difference between `value` and what is stored under `key`
+  function write(key, value) {
+    if (!db) {
+      if (value === null || value === undefined) localStorage.removeItem(key);
+      else localStorage.setItem(key, JSON.stringify(value));
+      return Promise.resolve();
+    }
+    const store = storeFor(key);
+    if (isRecordKey(key)) {
+      const previous = written[key] || new Map();
+      const next = new Map();
+      const puts = [];
+      (value || []).forEach((record) => {
+        const json = JSON.stringify(record);
+        next.set(record.id, json);
+        if (previous.get(record.id) !== json) puts.push(record);
+      });
+      const deletes = Array.from(previous.keys()).filter((id) => !next.has(id));
+      if (puts.length === 0 && deletes.length === 0) return Promise.resolve();
+      return transact([store], 'readwrite', (tx) => {
+        puts.forEach((record) => tx.objectStore(store).put(record));
+        deletes.forEach((id) => tx.objectStore(store).delete(id));
+      }).then(() => {
+        written[key] = next;
+      });
+    }
+    const json = value === null || value === undefined ? undefined : JSON.stringify(value);
+    if (written[key] === json) return Promise.resolve();
+    return transact([store], 'readwrite', (tx) =>
+      json === undefined ? tx.objectStore(store).delete(key) : tx.objectStore(store).put(value, key)
+    ).then(() => {
+      written[key] = json;
+    });
+  }
+
+  function remove(key) {
+    return set(key, undefined);
+  }
+
+  // Register the function told about failed writes: it receives the
+  // key and the error.
+  function onError(handler) {
+    errorHandler = handler;
+  }
+
+  window.AppStorage = {
+    open,
+    get,
+    set,
+    remove,
+    onError,
+  };
+})();